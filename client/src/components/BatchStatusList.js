@@ -0,0 +1,59 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import './BatchStatusList.css';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  processing: 'Processing',
+  completed: 'Done',
+  failed: 'Failed'
+};
+
+const BatchStatusList = ({ items }) => {
+  const completedCount = items.filter(item => item.status === 'completed').length;
+  const failedCount = items.filter(item => item.status === 'failed').length;
+
+  return (
+    <div className="batch-status-container">
+      <div className="batch-status-header">
+        <h3>Batch Upload</h3>
+        <p>
+          {completedCount} of {items.length} processed
+          {failedCount > 0 && `, ${failedCount} failed`}
+        </p>
+      </div>
+
+      <ul className="batch-status-list">
+        {items.map((item, index) => (
+          <li key={item.jobId || index} className={`batch-status-item ${item.status}`}>
+            <div className="batch-file">
+              <span className="batch-filename">{item.filename}</span>
+              {item.archive && <span className="batch-archive">from {item.archive}</span>}
+            </div>
+
+            <div className="batch-detail">
+              {item.status === 'processing' && (
+                <div className="batch-progress">
+                  <div className="batch-progress-fill" style={{ width: `${item.progress || 0}%` }}></div>
+                </div>
+              )}
+              {item.status === 'completed' && item.result && (
+                <Link to={`/documents/${item.result.id}`} className="batch-view-link">
+                  {item.result.keyValuePairs?.length || 0} fields
+                  {item.result.duplicate && ` · ${item.result.duplicate.type} duplicate`} · View
+                </Link>
+              )}
+              {item.status === 'failed' && item.error && (
+                <span className="batch-error">{item.error.message}</span>
+              )}
+            </div>
+
+            <span className="batch-status-badge">{STATUS_LABELS[item.status] || item.status}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default BatchStatusList;
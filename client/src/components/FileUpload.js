@@ -1,11 +1,138 @@
-import React, { useCallback } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useDropzone } from 'react-dropzone';
 import axios from 'axios';
 import './FileUpload.css';
 
-const FileUpload = ({ onFileProcessed, onProcessingStart, isProcessing }) => {
+const JOB_POLL_INTERVAL_MS = 1000;
+
+// Polls an async processing job until it finishes, reporting progress along the way
+const waitForJob = async (jobId, file, onProgress) => {
+  let { data: job } = await axios.get(`/api/jobs/${jobId}`);
+
+  while (job.status === 'queued' || job.status === 'processing') {
+    onProgress(job);
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    ({ data: job } = await axios.get(`/api/jobs/${jobId}`));
+  }
+
+  if (job.status === 'completed') {
+    return job.result;
+  }
+
+  return {
+    error: ['NO_TEXT_CONTENT', 'DUPLICATE_DOCUMENT', 'TEMPLATE_SELECTION'].includes(job.error?.processingStep)
+      ? job.error.message
+      : 'Failed to process document. Please try again.',
+    duplicate: job.error?.duplicate,
+    keyValuePairs: [],
+    details: {
+      filename: file.name,
+      mimeType: file.type,
+      fileSize: file.size,
+      processingStep: job.error?.processingStep,
+      message: job.error?.message,
+      timestamp: job.completedAt
+    }
+  };
+};
+
+const isZipFile = (file) => file.name.toLowerCase().endsWith('.zip');
+
+// Upload query string; an empty OCR engine leaves the choice to the server's default chain,
+// an empty template extracts generic key-value pairs
+const buildUploadQuery = (ocrEngine, template) => {
+  const params = new URLSearchParams({ async: 'true' });
+  if (ocrEngine) {
+    params.set('ocr', ocrEngine);
+  }
+  if (template) {
+    params.set('template', template);
+  }
+  return params.toString();
+};
+
+// Uploads several files or ZIP archives as one batch and polls every queued job until all are done
+const processBatch = async (files, query, onBatchUpdate) => {
+  const formData = new FormData();
+  files.forEach(file => formData.append('documents', file));
+
+  const response = await axios.post(`/api/process-documents/batch?${query}`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+
+  let items = response.data.results;
+  onBatchUpdate(items);
+
+  const isPending = (item) => item.status === 'queued' || item.status === 'processing';
+  while (items.some(isPending)) {
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+
+    const ids = items.filter(isPending).map(item => item.jobId);
+    const { data } = await axios.get(`/api/jobs?ids=${ids.join(',')}`);
+    const jobsById = Object.fromEntries(data.jobs.map(job => [job.id, job]));
+
+    items = items.map(item => {
+      const job = jobsById[item.jobId];
+      if (!job) return item;
+      return {
+        ...item,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        result: job.result,
+        error: job.error
+      };
+    });
+    onBatchUpdate(items);
+  }
+
+  return items;
+};
+
+const FileUpload = ({
+  onFileProcessed,
+  onProcessingStart,
+  onProgress,
+  onBatchUpdate,
+  onBatchProcessed,
+  isProcessing
+}) => {
+  const [ocrEngines, setOcrEngines] = useState([]);
+  const [ocrEngine, setOcrEngine] = useState('');
+  const [templates, setTemplates] = useState([]);
+  const [template, setTemplate] = useState('');
+
+  useEffect(() => {
+    axios.get('/api/ocr/engines')
+      .then(({ data }) => setOcrEngines(data.engines.filter(engine => engine.isAvailable)))
+      .catch(error => console.error('Error fetching OCR engines:', error));
+
+    axios.get('/api/templates')
+      .then(({ data }) => setTemplates(data.templates))
+      .catch(error => console.error('Error fetching templates:', error));
+  }, []);
+
   const onDrop = useCallback(async (acceptedFiles) => {
     if (acceptedFiles.length === 0) return;
+    const query = buildUploadQuery(ocrEngine, template);
+
+    if (acceptedFiles.length > 1 || isZipFile(acceptedFiles[0])) {
+      onProcessingStart();
+
+      try {
+        onBatchProcessed(await processBatch(acceptedFiles, query, onBatchUpdate));
+      } catch (error) {
+        console.error('Error processing batch:', error);
+        onBatchProcessed(acceptedFiles.map(file => ({
+          filename: file.name,
+          status: 'failed',
+          error: { message: error.response?.data?.error || 'Failed to upload batch. Please try again.' }
+        })));
+      }
+      return;
+    }
     
     const file = acceptedFiles[0];
     const formData = new FormData();
@@ -14,21 +141,23 @@ const FileUpload = ({ onFileProcessed, onProcessingStart, isProcessing }) => {
     onProcessingStart();
     
     try {
-      const response = await axios.post('/api/process-document', formData, {
+      const response = await axios.post(`/api/process-document?${query}`, formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
       });
       
-      onFileProcessed(response.data);
+      onFileProcessed(await waitForJob(response.data.jobId, file, onProgress));
     } catch (error) {
       console.error('Error processing file:', error);
       onFileProcessed({
-        error: 'Failed to process document. Please try again.',
+        error: error.response?.status === 400 && error.response.data?.error
+          ? error.response.data.error
+          : 'Failed to process document. Please try again.',
         keyValuePairs: []
       });
     }
-  }, [onFileProcessed, onProcessingStart]);
+  }, [ocrEngine, template, onFileProcessed, onProcessingStart, onProgress, onBatchUpdate, onBatchProcessed]);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
@@ -36,9 +165,17 @@ const FileUpload = ({ onFileProcessed, onProcessingStart, isProcessing }) => {
       'application/pdf': ['.pdf'],
       'image/jpeg': ['.jpeg', '.jpg'],
       'image/jpg': ['.jpg'],
-      'image/png': ['.png']
+      'image/png': ['.png'],
+      'image/tiff': ['.tif', '.tiff'],
+      'image/webp': ['.webp'],
+      'image/heic': ['.heic'],
+      'image/heif': ['.heif'],
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+      'text/plain': ['.txt'],
+      'message/rfc822': ['.eml'],
+      'application/zip': ['.zip'],
+      'application/x-zip-compressed': ['.zip']
     },
-    maxFiles: 1,
     disabled: isProcessing
   });
 
@@ -52,15 +189,50 @@ const FileUpload = ({ onFileProcessed, onProcessingStart, isProcessing }) => {
         <div className="upload-content">
           <div className="upload-icon">📄</div>
           {isDragActive ? (
-            <p>Drop the document here...</p>
+            <p>Drop the documents here...</p>
           ) : (
             <>
               <p><strong>Click to upload</strong> or drag and drop</p>
-              <p className="supported-formats">Supported formats: PDF, JPEG, JPG, PNG</p>
+              <p className="supported-formats">Supported formats: PDF, JPEG, PNG, TIFF, WEBP, HEIC, DOCX, TXT, EML</p>
+              <p className="supported-formats">Drop several files or a ZIP archive to process a batch</p>
             </>
           )}
         </div>
       </div>
+
+      {templates.length > 0 && (
+        <div className="upload-option-select">
+          <label htmlFor="document-template">Document type:</label>
+          <select
+            id="document-template"
+            value={template}
+            onChange={(e) => setTemplate(e.target.value)}
+            disabled={isProcessing}
+          >
+            <option value="">Any (extract all fields)</option>
+            {templates.map(item => (
+              <option key={item._id} value={item.key}>{item.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {ocrEngines.length > 1 && (
+        <div className="upload-option-select">
+          <label htmlFor="ocr-engine">OCR engine for scanned pages:</label>
+          <select
+            id="ocr-engine"
+            value={ocrEngine}
+            onChange={(e) => setOcrEngine(e.target.value)}
+            disabled={isProcessing}
+          >
+            <option value="">Automatic</option>
+            {ocrEngines.map(engine => (
+              <option key={engine.name} value={engine.name}>{engine.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,61 @@
+import React from 'react';
+import './PageViewer.css';
+
+const toPercentStyle = (box) => ({
+  left: `${box.x * 100}%`,
+  top: `${box.y * 100}%`,
+  width: `${box.width * 100}%`,
+  height: `${box.height * 100}%`
+});
+
+const PageViewer = ({ documentId, pages, pageNumber, onPageChange, highlights = [] }) => {
+  const page = pages.find(p => p.pageNumber === pageNumber) || pages[0];
+  if (!page) return null;
+
+  return (
+    <div className="page-viewer">
+      {pages.length > 1 && (
+        <div className="page-viewer-nav">
+          {pages.map(p => (
+            <button
+              key={p.pageNumber}
+              className={p.pageNumber === page.pageNumber ? 'page-tab active' : 'page-tab'}
+              onClick={() => onPageChange(p.pageNumber)}
+            >
+              {p.thumbnail && (
+                <img
+                  src={`/api/documents/${documentId}/pages/${p.pageNumber}/thumbnail`}
+                  alt=""
+                  loading="lazy"
+                />
+              )}
+              <span>Page {p.pageNumber}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {page.image ? (
+        <div className="page-image-wrapper">
+          <img
+            src={`/api/documents/${documentId}/pages/${page.pageNumber}/image`}
+            alt={`Page ${page.pageNumber}`}
+          />
+          {highlights.map((highlight, index) => (
+            <div
+              key={index}
+              className={`page-highlight ${highlight.type}`}
+              style={toPercentStyle(highlight.box)}
+            ></div>
+          ))}
+        </div>
+      ) : (
+        <div className="page-image-missing">
+          <p>No preview is available for this page.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PageViewer;
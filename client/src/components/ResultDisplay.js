@@ -1,6 +1,38 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 import './ResultDisplay.css';
 
+// Normalized form of a value (ISO date, amount with currency, E.164 phone...) when it differs from the raw text
+const formatNormalizedValue = (pair) => {
+  if (pair.normalizedValue === undefined || pair.normalizedValue === null) return null;
+  const normalized = pair.currency ? `${pair.normalizedValue} ${pair.currency}` : String(pair.normalizedValue);
+  return normalized === String(pair.value) ? null : normalized;
+};
+
+// Required template fields the provider could not find in the document
+const MissingFieldsNotice = ({ data }) => (
+  <div className="missing-fields-notice">
+    Missing required {data.template ? `${data.template.name} ` : ''}fields: {data.missingFields.join(', ')}
+  </div>
+);
+
+const DuplicateNotice = ({ duplicate }) => {
+  const reason = duplicate.reason === 'fields' ? 'the same key fields' : 'the same text';
+
+  return (
+    <div className={`duplicate-notice ${duplicate.type}`}>
+      {duplicate.type === 'exact' ? (
+        <p>This file was already uploaded, so the existing results are shown instead of processing it again.</p>
+      ) : (
+        <p>This looks like another copy of an earlier document ({reason}).</p>
+      )}
+      <Link to={`/documents/${duplicate.documentId}`}>
+        View {duplicate.originalFilename || 'earlier document'}
+      </Link>
+    </div>
+  );
+};
+
 const ResultDisplay = ({ data }) => {
   if (data.error) {
     return (
@@ -9,6 +41,8 @@ const ResultDisplay = ({ data }) => {
         <div className="error-message">
           <p>{data.error}</p>
         </div>
+
+        {data.duplicate && <DuplicateNotice duplicate={data.duplicate} />}
         
         {/* Show detailed error information in development mode */}
         {data.details && (
@@ -34,7 +68,7 @@ const ResultDisplay = ({ data }) => {
         <div className="error-suggestions">
           <h4>Suggestions:</h4>
           <ul>
-            <li>Try converting PDF to JPG/PNG format for scanned documents</li>
+            <li>For scanned PDFs, make sure pages are upright and legible</li>
             <li>Ensure the document contains readable text or clear images</li>
             <li>Check that the file isn't corrupted</li>
           </ul>
@@ -48,29 +82,64 @@ const ResultDisplay = ({ data }) => {
       <div className="result-container">
         <h3>No Data Extracted</h3>
         <p>No key-value pairs were found in the document.</p>
+        {data.missingFields?.length > 0 && <MissingFieldsNotice data={data} />}
       </div>
     );
   }
 
+  const lowConfidenceCount = data.keyValuePairs.filter(pair => pair.lowConfidence).length;
+
   return (
     <div className="result-container">
       <div className="result-header">
         <h3>Extracted Key-Value Pairs</h3>
-        <p>Found {data.keyValuePairs.length} key-value pairs in the document</p>
+        <p>
+          Found {data.keyValuePairs.length} key-value pairs in the document
+          {data.template && ` using the ${data.template.name} template`}
+        </p>
+        {data.classification?.type && (
+          <p className="document-classification">
+            Classified as <strong>{data.classification.label || data.classification.type}</strong>
+            {' '}({Math.round(data.classification.confidence * 100)}% confidence)
+          </p>
+        )}
       </div>
+
+      {data.missingFields?.length > 0 && <MissingFieldsNotice data={data} />}
+
+      {data.duplicate && <DuplicateNotice duplicate={data.duplicate} />}
       
+      {lowConfidenceCount > 0 && (
+        <div className="low-confidence-summary">
+          {lowConfidenceCount} of {data.keyValuePairs.length} fields have low confidence and should be reviewed
+        </div>
+      )}
+
       <div className="kv-pairs-grid">
         {data.keyValuePairs.map((pair, index) => (
-          <div key={index} className="kv-pair">
+          <div key={index} className={`kv-pair ${pair.lowConfidence ? 'low-confidence' : ''}`}>
             <div className="key">{pair.key}</div>
-            <div className="value">{pair.value}</div>
+            <div className="value">
+              {pair.value}
+              {formatNormalizedValue(pair) && (
+                <div className="normalized-value" title={`Detected type: ${pair.valueType}`}>
+                  → {formatNormalizedValue(pair)}
+                </div>
+              )}
+              {typeof pair.confidence === 'number' && (
+                <div className="field-confidence" title={pair.validationIssue}>
+                  {Math.round(pair.confidence * 100)}% confidence
+                  {pair.validationIssue && ` · ${pair.validationIssue}`}
+                </div>
+              )}
+            </div>
           </div>
         ))}
       </div>
       
-      {data.confidence && (
+      {typeof data.confidence === 'number' && (
         <div className="confidence-score">
-          <span>AI Confidence: {Math.round(data.confidence * 100)}%</span>
+          <span>Document Confidence: {Math.round(data.confidence * 100)}%</span>
         </div>
       )}
       
@@ -107,8 +176,8 @@ const downloadAsJSON = (data) => {
 
 const downloadAsCSV = (data) => {
   const csvContent = [
-    'Key,Value',
-    ...data.map(pair => `"${pair.key}","${pair.value}"`)
+    'Key,Value,Type,Normalized Value',
+    ...data.map(pair => `"${pair.key}","${pair.value}","${pair.valueType || ''}","${formatNormalizedValue(pair) ?? pair.normalizedValue ?? ''}"`)
   ].join('\n');
   
   const blob = new Blob([csvContent], { type: 'text/csv' });
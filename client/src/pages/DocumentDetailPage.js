@@ -1,13 +1,42 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import PageViewer from '../components/PageViewer';
 import './DocumentDetailPage.css';
 
+// Normalized form of a value (ISO date, amount with currency, E.164 phone...) when it differs from the raw text
+const formatNormalizedValue = (pair) => {
+  if (pair.normalizedValue === undefined || pair.normalizedValue === null) return null;
+  const normalized = pair.currency ? `${pair.normalizedValue} ${pair.currency}` : String(pair.normalizedValue);
+  return normalized === String(pair.value) ? null : normalized;
+};
+
+// Total tokens and estimated cost of the AI requests made for a document; cost is unknown for unpriced models
+const formatAiUsage = (aiUsage) => {
+  const tokens = aiUsage.reduce((sum, call) => sum + (call.inputTokens || 0) + (call.outputTokens || 0), 0);
+  const priced = aiUsage.filter(call => typeof call.cost === 'number');
+  const cost = priced.reduce((sum, call) => sum + call.cost, 0);
+  const calls = `${aiUsage.length} request${aiUsage.length === 1 ? '' : 's'}`;
+  return `${tokens.toLocaleString()} tokens · ${calls}${priced.length > 0 ? ` · ~$${cost.toFixed(4)}` : ''}`;
+};
+
+// PiiDetector types on the server
+const PII_LABELS = {
+  ssn: 'SSN',
+  credit_card: 'Card Number',
+  iban: 'IBAN',
+  passport: 'Passport Number',
+  drivers_license: "Driver's License",
+  national_id: 'National ID'
+};
+
 const DocumentDetailPage = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [document, setDocument] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [selectedPair, setSelectedPair] = useState(null);
+  const [viewerPage, setViewerPage] = useState(1);
 
   useEffect(() => {
     fetchDocument();
@@ -39,23 +68,80 @@ const DocumentDetailPage = () => {
   };
 
   const getKeyValuePairs = (doc) => {
-    if (!doc || !doc.keyValuePairs) return {};
+    if (!doc || !doc.keyValuePairs) return [];
     
-    // Handle array format: [{key: "...", value: "..."}]
+    // Handle array format: [{key: "...", value: "...", page: 1}]
     if (Array.isArray(doc.keyValuePairs)) {
-      const pairs = {};
-      doc.keyValuePairs.forEach(pair => {
-        if (pair.key && pair.value !== null && pair.value !== undefined && pair.value !== '') {
-          pairs[pair.key] = pair.value;
-        }
-      });
-      return pairs;
+      return doc.keyValuePairs.filter(pair =>
+        pair.key && pair.value !== null && pair.value !== undefined && pair.value !== ''
+      );
     }
     
     // Handle object format: {key: value}
-    return doc.keyValuePairs;
+    return Object.entries(doc.keyValuePairs).map(([key, value]) => ({ key, value }));
+  };
+
+  const getPairsForPage = (pairs, pageNumber) => {
+    return pairs.filter(pair => (pair.page || 1) === pageNumber);
   };
 
+  const handleSelectPair = (pair) => {
+    setSelectedPair(pair);
+    setViewerPage(pair.page || 1);
+  };
+
+  const getHighlights = (pair) => {
+    if (!pair) return [];
+    return [
+      pair.keyBoundingBox && { type: 'key', box: pair.keyBoundingBox },
+      pair.boundingBox && { type: 'value', box: pair.boundingBox }
+    ].filter(Boolean);
+  };
+
+  const renderKeyValuePairs = (pairs) => (
+    <div className="kv-pairs-container">
+      {pairs.map((pair, index) => (
+        <div
+          key={index}
+          className={[
+            'kv-pair-item',
+            pair.boundingBox || pair.keyBoundingBox ? 'locatable' : '',
+            pair === selectedPair ? 'selected' : '',
+            pair.lowConfidence ? 'low-confidence' : ''
+          ].join(' ')}
+          onClick={() => handleSelectPair(pair)}
+          title={pair.boundingBox || pair.keyBoundingBox ? 'Show on page' : undefined}
+        >
+          <div className="kv-key">{pair.key}</div>
+          <div className="kv-value">
+            {String(pair.value)}
+            {formatNormalizedValue(pair) && (
+              <div className="kv-normalized" title={`Detected type: ${pair.valueType}`}>
+                → {formatNormalizedValue(pair)}
+              </div>
+            )}
+            {typeof pair.confidence === 'number' && (
+              <div className="kv-confidence">
+                {Math.round(pair.confidence * 100)}% confidence
+                {pair.validationIssue && ` · ${pair.validationIssue}`}
+              </div>
+            )}
+            {pair.pii && (
+              <div className="kv-pii" title="Masked in document lists and search results">
+                Sensitive: {PII_LABELS[pair.pii] || pair.pii}
+              </div>
+            )}
+            {pair.valueConflict && (
+              <div className="kv-conflict">
+                Conflicting value{pair.chunk ? ` from text section ${pair.chunk}` : ''}
+              </div>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
   if (loading) {
     return (
       <div className="document-detail-page">
@@ -79,6 +165,11 @@ const DocumentDetailPage = () => {
     );
   }
 
+  const keyValuePairs = getKeyValuePairs(document);
+  const pages = document.pages || [];
+  const isMultiPage = pages.length > 1;
+  const hasPageImages = pages.some(page => page.image);
+
   return (
     <div className="document-detail-page">
       <div className="detail-header">
@@ -89,6 +180,30 @@ const DocumentDetailPage = () => {
         <div className="document-info">
           <h1>{document.originalFilename}</h1>
           <p className="upload-date">Processed on {formatDate(document.createdAt)}</p>
+          {document.duplicateOf?.documentId && (
+            <p className="duplicate-of">
+              Possible duplicate of{' '}
+              <Link to={`/documents/${document.duplicateOf.documentId._id}`}>
+                {document.duplicateOf.documentId.originalFilename}
+              </Link>
+              {' '}(same {document.duplicateOf.reason === 'fields' ? 'key fields' : 'text'})
+            </p>
+          )}
+          {document.missingFields?.length > 0 && (
+            <p className="missing-fields">
+              Missing required fields: {document.missingFields.join(', ')}
+            </p>
+          )}
+          {document.storage?.originalKey && (
+            <div className="original-file-actions">
+              <a href={`/api/documents/${id}/file`} target="_blank" rel="noopener noreferrer" className="original-file-link">
+                Open Original
+              </a>
+              <a href={`/api/documents/${id}/file?download=true`} className="original-file-link">
+                Download
+              </a>
+            </div>
+          )}
         </div>
       </div>
 
@@ -107,16 +222,57 @@ const DocumentDetailPage = () => {
             </div>
             <div className="metadata-item">
               <span className="label">Processing Method:</span>
-              <span className="value">{document.processingMethod || 'Unknown'}</span>
+              <span className="value">
+                {document.aiProviders?.length > 0 ? document.aiProviders.join(', ') : document.processingMethod || 'Unknown'}
+              </span>
             </div>
+            {document.classification?.type && (
+              <div className="metadata-item">
+                <span className="label">Document Type:</span>
+                <span className="value">
+                  {document.classification.label || document.classification.type}
+                  {' '}({Math.round(document.classification.confidence * 100)}%)
+                </span>
+              </div>
+            )}
+            {document.metadata?.aiUsage?.length > 0 && (
+              <div className="metadata-item">
+                <span className="label">AI Usage:</span>
+                <span className="value">{formatAiUsage(document.metadata.aiUsage)}</span>
+              </div>
+            )}
+            {document.promptVersions?.length > 0 && (
+              <div className="metadata-item">
+                <span className="label">Prompts:</span>
+                <span className="value">{document.promptVersions.join(', ')}</span>
+              </div>
+            )}
+            {document.template?.name && (
+              <div className="metadata-item">
+                <span className="label">Template:</span>
+                <span className="value">{document.template.name}</span>
+              </div>
+            )}
+            {document.ocrEngines?.length > 0 && (
+              <div className="metadata-item">
+                <span className="label">OCR Engine:</span>
+                <span className="value">{document.ocrEngines.join(', ')}</span>
+              </div>
+            )}
             <div className="metadata-item">
               <span className="label">Confidence:</span>
               <span className="value">{Math.round(document.confidence * 100)}%</span>
             </div>
             <div className="metadata-item">
               <span className="label">Fields Extracted:</span>
-              <span className="value">{Object.keys(getKeyValuePairs(document)).length}</span>
+              <span className="value">{keyValuePairs.length}</span>
             </div>
+            {isMultiPage && (
+              <div className="metadata-item">
+                <span className="label">Pages:</span>
+                <span className="value">{pages.length}</span>
+              </div>
+            )}
             {document.metadata?.processingTime && (
               <div className="metadata-item">
                 <span className="label">Processing Time:</span>
@@ -126,25 +282,58 @@ const DocumentDetailPage = () => {
           </div>
         </div>
 
+        {hasPageImages && (
+          <div className="document-viewer">
+            <h3>Document Viewer</h3>
+            <p className="viewer-hint">Click an extracted field below to highlight where it appears on the page.</p>
+            <PageViewer
+              documentId={document._id}
+              pages={pages}
+              pageNumber={viewerPage}
+              onPageChange={setViewerPage}
+              highlights={selectedPair && (selectedPair.page || 1) === viewerPage ? getHighlights(selectedPair) : []}
+            />
+          </div>
+        )}
+
         <div className="extracted-data">
           <h3>Extracted Key-Value Pairs</h3>
-          {Object.keys(getKeyValuePairs(document)).length === 0 ? (
+          {keyValuePairs.length === 0 ? (
             <div className="no-data">
               <p>No key-value pairs were extracted from this document.</p>
             </div>
-          ) : (
-            <div className="kv-pairs-container">
-              {Object.entries(getKeyValuePairs(document)).map(([key, value], index) => (
-                <div key={index} className="kv-pair-item">
-                  <div className="kv-key">{key}</div>
-                  <div className="kv-value">{String(value)}</div>
+          ) : isMultiPage ? (
+            pages.map((page) => {
+              const pagePairs = getPairsForPage(keyValuePairs, page.pageNumber);
+              return (
+                <div key={page.pageNumber} className="page-group">
+                  <h4>Page {page.pageNumber}</h4>
+                  {pagePairs.length === 0 ? (
+                    <p className="page-empty">No key-value pairs on this page.</p>
+                  ) : (
+                    renderKeyValuePairs(pagePairs)
+                  )}
                 </div>
-              ))}
-            </div>
+              );
+            })
+          ) : (
+            renderKeyValuePairs(keyValuePairs)
           )}
         </div>
 
-        {document.extractedText && (
+        {isMultiPage ? (
+          <div className="extracted-text">
+            <h3>Extracted Text by Page</h3>
+            {pages.map((page) => (
+              <div key={page.pageNumber} className="page-group">
+                <h4>Page {page.pageNumber}</h4>
+                <div className="text-content">
+                  <pre>{page.text || 'No text found on this page.'}</pre>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : document.extractedText && (
           <div className="extracted-text">
             <h3>Full Extracted Text</h3>
             <div className="text-content">
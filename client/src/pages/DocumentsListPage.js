@@ -3,21 +3,87 @@ import { useNavigate } from 'react-router-dom';
 import DocumentChat from '../components/DocumentChat';
 import './DocumentsListPage.css';
 
+const SEARCH_DELAY_MS = 300;
+const SEARCH_PAGE_SIZE = 20;
+
+// Snippet text with the parts that matched the search wrapped in <mark>
+const renderHighlighted = (snippet) => {
+  const parts = [];
+  let position = 0;
+  snippet.highlights.forEach((highlight, index) => {
+    parts.push(snippet.text.substring(position, highlight.start));
+    parts.push(<mark key={index}>{snippet.text.substring(highlight.start, highlight.end)}</mark>);
+    position = highlight.end;
+  });
+  parts.push(snippet.text.substring(position));
+  return parts;
+};
+
 const DocumentsListPage = () => {
   const [documents, setDocuments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [searchPage, setSearchPage] = useState(1);
+  const [searchResult, setSearchResult] = useState(null);
+  const [searchError, setSearchError] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [documentTypes, setDocumentTypes] = useState([]);
+  const [typeFilter, setTypeFilter] = useState('');
   const [showChat, setShowChat] = useState(false);
   const navigate = useNavigate();
 
   useEffect(() => {
-    fetchDocuments();
+    fetchDocumentTypes();
   }, []);
 
-  const fetchDocuments = async () => {
+  useEffect(() => {
+    if (!searchTerm.trim()) {
+      setSearchResult(null);
+      setSearchError(null);
+      fetchDocuments(typeFilter);
+      return undefined;
+    }
+
+    // Search once typing pauses; a newer search discards the answer of an older one
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const data = await searchDocuments(searchTerm, typeFilter, searchPage);
+        if (!cancelled) {
+          setDocuments(data.documents || []);
+          setSearchResult(data);
+          setSearchError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setSearchError(err.message);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchTerm, typeFilter, searchPage]);
+
+  const fetchDocumentTypes = async () => {
     try {
-      const response = await fetch('/api/documents');
+      const response = await fetch('/api/document-types');
+      if (response.ok) {
+        const data = await response.json();
+        setDocumentTypes(data.types || []);
+      }
+    } catch (err) {
+      console.error('Error fetching document types:', err);
+    }
+  };
+
+  const fetchDocuments = async (type) => {
+    try {
+      const response = await fetch(type ? `/api/documents?type=${encodeURIComponent(type)}` : '/api/documents');
       if (!response.ok) {
         throw new Error('Failed to fetch documents');
       }
@@ -30,6 +96,27 @@ const DocumentsListPage = () => {
     }
   };
 
+  const searchDocuments = async (query, type, page) => {
+    const params = new URLSearchParams({ q: query, page: String(page), limit: String(SEARCH_PAGE_SIZE) });
+    if (type) params.set('type', type);
+    const response = await fetch(`/api/search?${params}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Search failed');
+    }
+    return data;
+  };
+
+  const handleSearchChange = (value) => {
+    setSearchTerm(value);
+    setSearchPage(1);
+  };
+
+  const handleTypeChange = (value) => {
+    setTypeFilter(value);
+    setSearchPage(1);
+  };
+
   const handleDeleteDocument = async (docId) => {
     if (!window.confirm('Are you sure you want to delete this document?')) {
       return;
@@ -50,10 +137,6 @@ const DocumentsListPage = () => {
     }
   };
 
-  const filteredDocuments = documents.filter(doc =>
-    doc.originalFilename.toLowerCase().includes(searchTerm.toLowerCase())
-  );
-
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -85,7 +168,9 @@ const DocumentsListPage = () => {
   const getFileTypeIcon = (filename) => {
     const ext = filename.split('.').pop().toLowerCase();
     if (ext === 'pdf') return '📄';
-    if (['jpg', 'jpeg', 'png'].includes(ext)) return '🖼️';
+    if (['jpg', 'jpeg', 'png', 'tif', 'tiff', 'webp', 'heic', 'heif'].includes(ext)) return '🖼️';
+    if (['docx', 'txt'].includes(ext)) return '📝';
+    if (ext === 'eml') return '✉️';
     return '📎';
   };
 
@@ -106,7 +191,7 @@ const DocumentsListPage = () => {
         <div className="error-container">
           <h2>Error Loading Documents</h2>
           <p>{error}</p>
-          <button onClick={fetchDocuments}>Try Again</button>
+          <button onClick={() => fetchDocuments(typeFilter)}>Try Again</button>
         </div>
       </div>
     );
@@ -143,24 +228,44 @@ const DocumentsListPage = () => {
           <div className="search-section">
             <input
               type="text"
-              placeholder="Search documents by filename..."
+              placeholder='Search names, fields and text: words, "exact phrases", prefix*'
               value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
+              onChange={(e) => handleSearchChange(e.target.value)}
               className="search-input"
             />
+            {documentTypes.some(type => type.count > 0) && (
+              <select
+                value={typeFilter}
+                onChange={(e) => handleTypeChange(e.target.value)}
+                className="type-filter"
+              >
+                <option value="">All document types</option>
+                {documentTypes.filter(type => type.count > 0).map(type => (
+                  <option key={type.type} value={type.type}>{type.label} ({type.count})</option>
+                ))}
+              </select>
+            )}
           </div>
 
-          {filteredDocuments.length === 0 ? (
+          {searchTerm.trim() && (
+            <div className={`search-status ${searchError ? 'error' : ''}`}>
+              {searchError || (searching
+                ? 'Searching...'
+                : searchResult && `${searchResult.total} matching document${searchResult.total === 1 ? '' : 's'}, best matches first`)}
+            </div>
+          )}
+
+          {documents.length === 0 ? (
             <div className="empty-state">
               <div className="empty-icon">📂</div>
               <h3>No documents found</h3>
               <p>
-                {searchTerm 
+                {searchTerm || typeFilter
                   ? 'No documents match your search criteria' 
                   : 'Upload your first document to get started'
                 }
               </p>
-              {!searchTerm && (
+              {!searchTerm && !typeFilter && (
                 <button 
                   className="upload-first-btn"
                   onClick={() => navigate('/')}
@@ -171,7 +276,7 @@ const DocumentsListPage = () => {
             </div>
           ) : (
             <div className="documents-grid">
-              {filteredDocuments.map((doc) => (
+              {documents.map((doc) => (
                 <div key={doc._id} className="document-card">
                   <div className="document-header">
                     <div className="file-icon">
@@ -196,10 +301,29 @@ const DocumentsListPage = () => {
                   </div>
                   
                   <div className="document-content">
-                    <h3 className="document-title">{doc.originalFilename}</h3>
+                    <h3 className="document-title">
+                      {doc.snippets?.find(snippet => snippet.field === 'filename')
+                        ? renderHighlighted(doc.snippets.find(snippet => snippet.field === 'filename'))
+                        : doc.originalFilename}
+                    </h3>
+                    {doc.classification?.type && (
+                      <span className="document-type" title={`${Math.round(doc.classification.confidence * 100)}% confidence`}>
+                        {doc.classification.label || doc.classification.type}
+                      </span>
+                    )}
                     <p className="document-date">
                       Processed on {formatDate(doc.createdAt)}
                     </p>
+                    {doc.snippets?.length > 0 && (
+                      <div className="search-snippets">
+                        {doc.snippets.filter(snippet => snippet.field !== 'filename').slice(0, 2).map((snippet, index) => (
+                          <p key={index} className="search-snippet">
+                            {snippet.key && <span className="snippet-key">{snippet.key}: </span>}
+                            {renderHighlighted(snippet)}
+                          </p>
+                        ))}
+                      </div>
+                    )}
                     
                     <div className="document-stats">
                       <span className="stat-item">
@@ -208,9 +332,34 @@ const DocumentsListPage = () => {
                       <span className="stat-item">
                         📊 {Math.round(doc.confidence * 100)}% confidence
                       </span>
+                      {Array.isArray(doc.keyValuePairs) && doc.keyValuePairs.some(pair => pair.lowConfidence) && (
+                        <span className="stat-item low-confidence" title="Fields that should be reviewed">
+                          ⚠️ {doc.keyValuePairs.filter(pair => pair.lowConfidence).length} low-confidence
+                        </span>
+                      )}
+                      {doc.piiTypes?.length > 0 && (
+                        <span className="stat-item pii" title={`Sensitive data: ${doc.piiTypes.join(', ')}`}>
+                          🔒 PII
+                        </span>
+                      )}
                       <span className="stat-item">
                         🤖 {doc.processingMethod}
                       </span>
+                      {doc.template?.name && (
+                        <span className="stat-item">
+                          📋 {doc.template.name}
+                        </span>
+                      )}
+                      {doc.missingFields?.length > 0 && (
+                        <span className="stat-item missing-fields" title={`Missing: ${doc.missingFields.join(', ')}`}>
+                          ❗ {doc.missingFields.length} missing
+                        </span>
+                      )}
+                      {doc.duplicateOf?.documentId && (
+                        <span className="stat-item" title="Looks like another copy of an earlier document">
+                          ♻️ possible duplicate
+                        </span>
+                      )}
                     </div>
 
                     {doc.metadata?.fileSize && (
@@ -245,6 +394,24 @@ const DocumentsListPage = () => {
               ))}
             </div>
           )}
+
+          {searchResult?.totalPages > 1 && (
+            <div className="search-pagination">
+              <button
+                onClick={() => setSearchPage(searchPage - 1)}
+                disabled={searchPage <= 1 || searching}
+              >
+                ← Previous
+              </button>
+              <span>Page {searchResult.page} of {searchResult.totalPages}</span>
+              <button
+                onClick={() => setSearchPage(searchPage + 1)}
+                disabled={searchPage >= searchResult.totalPages || searching}
+              >
+                Next →
+              </button>
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -2,41 +2,87 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import FileUpload from '../components/FileUpload';
 import ResultDisplay from '../components/ResultDisplay';
+import BatchStatusList from '../components/BatchStatusList';
 import './HomePage.css';
 
+const STAGE_LABELS = {
+  upload: 'Uploading document',
+  ocr: 'Reading text',
+  ai_extraction: 'Extracting key-value pairs with AI',
+  indexing: 'Indexing results'
+};
+
 const HomePage = () => {
   const [extractedData, setExtractedData] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [jobStatus, setJobStatus] = useState(null);
+  const [batchItems, setBatchItems] = useState(null);
   const navigate = useNavigate();
 
   const handleFileProcessed = (data) => {
     setExtractedData(data);
     setIsProcessing(false);
+    setJobStatus(null);
+  };
+
+  const handleBatchProcessed = (items) => {
+    setBatchItems(items);
+    setIsProcessing(false);
   };
 
   const handleProcessingStart = () => {
     setIsProcessing(true);
     setExtractedData(null);
+    setJobStatus(null);
+    setBatchItems(null);
   };
 
   return (
     <div className="homepage">
       <div className="hero-section">
         <h1>Document AI Processor</h1>
-        <p>Upload PDF, JPEG, JPG, or PNG documents to extract key-value pairs using AI</p>
+        <p>Upload PDFs, images, Word documents or emails to extract key-value pairs using AI</p>
       </div>
       
       <div className="upload-section">
         <FileUpload 
           onFileProcessed={handleFileProcessed}
           onProcessingStart={handleProcessingStart}
+          onProgress={setJobStatus}
+          onBatchUpdate={setBatchItems}
+          onBatchProcessed={handleBatchProcessed}
           isProcessing={isProcessing}
         />
         
-        {isProcessing && (
+        {isProcessing && !batchItems && (
           <div className="processing-indicator">
             <div className="spinner"></div>
-            <p>Processing document with AI...</p>
+            {jobStatus ? (
+              <>
+                <p>{STAGE_LABELS[jobStatus.stage] || 'Processing document'}... {jobStatus.progress}%</p>
+                <div className="progress-bar">
+                  <div className="progress-fill" style={{ width: `${jobStatus.progress}%` }}></div>
+                </div>
+              </>
+            ) : (
+              <p>Processing document with AI...</p>
+            )}
+          </div>
+        )}
+        
+        {batchItems && (
+          <div className="result-section">
+            <BatchStatusList items={batchItems} />
+            {!isProcessing && (
+              <div className="next-steps">
+                <button 
+                  className="view-all-btn"
+                  onClick={() => navigate('/documents')}
+                >
+                  View All Documents
+                </button>
+              </div>
+            )}
           </div>
         )}
         
@@ -7,11 +7,28 @@ require('dotenv').config();
 
 const { connectDatabase } = require('./services/database');
 const FormData = require('./models/FormData');
+const PageWords = require('./models/PageWords');
 const ChatHistory = require('./models/ChatHistory');
+const DocumentTemplate = require('./models/DocumentTemplate');
 const KeyValueIndexService = require('./services/keyValueIndexService');
 const ChatService = require('./services/chatService');
+const DocumentPipeline = require('./services/documentPipeline');
+const BatchProcessor = require('./services/batchProcessor');
 const documentProcessor = require('./services/documentProcessor');
+const fileStore = require('./services/fileStore');
+const jobQueue = require('./services/jobQueue');
+const DuplicateDetector = require('./services/duplicateDetector');
+const ocrService = require('./services/ocrService');
 const aiService = require('./services/aiService');
+const TemplateService = require('./services/templateService');
+const DocumentClassifier = require('./services/documentClassifier');
+const ValueNormalizer = require('./services/valueNormalizer');
+const PromptRegistry = require('./services/promptRegistry');
+const UsageService = require('./services/usageService');
+const PiiDetector = require('./services/piiDetector');
+const SearchService = require('./services/searchService');
+const KeyValueFilterService = require('./services/keyValueFilterService');
+const KeyRegistry = require('./services/keyRegistry');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -40,75 +57,53 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
-    if (allowedTypes.includes(file.mimetype)) {
+    const mimeType = documentProcessor.resolveMimeType(file.mimetype, file.originalname);
+    if (mimeType) {
+      file.mimetype = mimeType;
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, JPEG, JPG, and PNG files are allowed.'));
+      cb(new Error('Invalid file type. Only PDF, JPEG, JPG, PNG, TIFF, WEBP, HEIC, DOCX, TXT and EML files are allowed.'));
     }
   }
 });
 
+// Batch uploads accept any file type so unsupported files can be reported per file
+const batchUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit to leave room for ZIP archives
+    files: parseInt(process.env.BATCH_MAX_FILES) || 100
+  }
+});
+
 app.post('/api/process-document', upload.single('document'), async (req, res) => {
-  const startTime = Date.now();
-  
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    console.log(`Processing file: ${req.file.originalname}`);
-    
-    const extractedText = await documentProcessor.extractText(req.file.path, req.file.mimetype);
-    
-    if (!extractedText.trim()) {
-      return res.status(400).json({ 
-        error: 'No text content found in the document',
-        keyValuePairs: []
+    const templateParam = req.query.template || req.body.template;
+    const options = {
+      duplicatePolicy: DuplicateDetector.resolvePolicy(req.query.duplicatePolicy || req.body.duplicatePolicy),
+      ocrEngines: req.query.ocr || req.body.ocr ? ocrService.resolveChain(req.query.ocr || req.body.ocr) : undefined,
+      templateId: templateParam ? (await TemplateService.resolveTemplate(templateParam))._id.toString() : undefined,
+      locale: req.query.locale || req.body.locale ? ValueNormalizer.resolveLocale(req.query.locale || req.body.locale) : undefined
+    };
+
+    // Async mode: queue the job and let the client poll /api/jobs/:id
+    if (req.query.async === 'true' || req.body.async === 'true') {
+      const job = await jobQueue.createJob(req.file, options);
+      return res.status(202).json({
+        jobId: job._id,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        statusUrl: `/api/jobs/${job._id}`
       });
     }
 
-    const keyValuePairs = await aiService.extractKeyValuePairs(extractedText);
-    const processingTime = Date.now() - startTime;
-    
-    // Save to database
-    const formData = new FormData({
-      filename: req.file.filename,
-      originalFilename: req.file.originalname,
-      keyValuePairs: keyValuePairs,
-      confidence: 0.85,
-      extractedText: extractedText,
-      processingMethod: process.env.AI_PROVIDER || 'tesseract',
-      metadata: {
-        fileSize: req.file.size,
-        mimeType: req.file.mimetype,
-        processingTime: processingTime,
-        extractedAt: new Date()
-      }
-    });
-
-    await formData.save();
-    console.log(`Saved form data to database with ID: ${formData._id}`);
-    
-    // Index key-value pairs for fast searching
-    await KeyValueIndexService.indexKeyValuePairs(
-      formData._id,
-      formData.filename,
-      formData.originalFilename,
-      keyValuePairs,
-      formData.metadata.extractedAt
-    );
-    
-    // Clean up file
-    fs.unlinkSync(req.file.path);
-    
-    res.json({
-      id: formData._id,
-      keyValuePairs,
-      confidence: 0.85,
-      originalFilename: req.file.originalname,
-      processingTime: processingTime
-    });
+    const result = await DocumentPipeline.processDocument(req.file, undefined, options);
+    res.json(result);
 
   } catch (error) {
     console.error('Error processing document:', error);
@@ -116,6 +111,25 @@ app.post('/api/process-document', upload.single('document'), async (req, res) =>
     if (req.file && fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
+
+    if (error.processingStep === 'NO_TEXT_CONTENT') {
+      return res.status(400).json({ 
+        error: 'No text content found in the document',
+        keyValuePairs: []
+      });
+    }
+
+    if (['DUPLICATE_POLICY', 'OCR_ENGINE_SELECTION', 'TEMPLATE_SELECTION', 'LOCALE_SELECTION'].includes(error.processingStep)) {
+      return res.status(400).json({ error: error.message, keyValuePairs: [] });
+    }
+
+    if (error.processingStep === 'DUPLICATE_DOCUMENT') {
+      return res.status(409).json({
+        error: error.message,
+        duplicate: error.duplicate,
+        keyValuePairs: []
+      });
+    }
     
     // Provide detailed error messages in development mode
     const isDev = process.env.NODE_ENV === 'development' || process.env.NODE_ENV !== 'production';
@@ -133,6 +147,53 @@ app.post('/api/process-document', upload.single('document'), async (req, res) =>
         mimeType: req.file ? req.file.mimetype : 'unknown',
         fileSize: req.file ? req.file.size : 0,
         timestamp: new Date().toISOString(),
+        processingStep: error.processingStep || 'unknown',
+        rawResponses: error.rawResponses
+      };
+    }
+    
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Process many files, or ZIP archives of files, in one request
+app.post('/api/process-documents/batch', batchUpload.array('documents'), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const async = req.query.async === 'true' || req.body.async === 'true';
+    const duplicatePolicy = DuplicateDetector.resolvePolicy(req.query.duplicatePolicy || req.body.duplicatePolicy);
+    const ocrEngines = req.query.ocr || req.body.ocr ? ocrService.resolveChain(req.query.ocr || req.body.ocr) : undefined;
+    const templateParam = req.query.template || req.body.template;
+    const templateId = templateParam ? (await TemplateService.resolveTemplate(templateParam))._id.toString() : undefined;
+    const locale = req.query.locale || req.body.locale ? ValueNormalizer.resolveLocale(req.query.locale || req.body.locale) : undefined;
+    const batchResult = await BatchProcessor.processBatch(req.files, { async, duplicatePolicy, ocrEngines, templateId, locale });
+
+    res.status(async ? 202 : 200).json(batchResult);
+  } catch (error) {
+    console.error('Error processing batch:', error);
+
+    (req.files || []).forEach(file => {
+      if (fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    });
+
+    if (['BATCH_SIZE_CHECK', 'DUPLICATE_POLICY', 'OCR_ENGINE_SELECTION', 'TEMPLATE_SELECTION', 'LOCALE_SELECTION'].includes(error.processingStep)) {
+      return res.status(400).json({ error: error.message, results: [] });
+    }
+
+    const isDev = process.env.NODE_ENV === 'development' || process.env.NODE_ENV !== 'production';
+    
+    const errorResponse = { error: 'Failed to process batch. Please try again.', results: [] };
+    if (isDev) {
+      errorResponse.details = {
+        message: error.message,
+        stack: error.stack,
+        fileCount: req.files ? req.files.length : 0,
+        timestamp: new Date().toISOString(),
         processingStep: error.processingStep || 'unknown'
       };
     }
@@ -141,16 +202,94 @@ app.post('/api/process-document', upload.single('document'), async (req, res) =>
   }
 });
 
-// Get all processed documents
+// Get status of several async processing jobs at once (?ids=id1,id2)
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const ids = (req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length === 0) {
+      return res.status(400).json({ error: 'Job ids are required' });
+    }
+
+    const jobs = await jobQueue.getJobStatuses(ids);
+    res.json({ jobs, count: jobs.length });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    const isDev = process.env.NODE_ENV === 'development' || process.env.NODE_ENV !== 'production';
+    
+    const errorResponse = { error: 'Failed to fetch jobs' };
+    if (isDev) {
+      errorResponse.details = {
+        message: error.message,
+        stack: error.stack,
+        jobIds: req.query.ids,
+        timestamp: new Date().toISOString()
+      };
+    }
+    
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Get status, progress and result of an async processing job
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.getJobStatus(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    const isDev = process.env.NODE_ENV === 'development' || process.env.NODE_ENV !== 'production';
+    
+    const errorResponse = { error: 'Failed to fetch job' };
+    if (isDev) {
+      errorResponse.details = {
+        message: error.message,
+        stack: error.stack,
+        jobId: req.params.id,
+        timestamp: new Date().toISOString()
+      };
+    }
+    
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Get all processed documents (?type=invoice to only list one document type,
+// ?prompt=extraction@1 to list the documents produced with a prompt version)
 app.get('/api/documents', async (req, res) => {
   try {
-    const documents = await FormData.find()
-      .select('_id originalFilename keyValuePairs confidence processingMethod createdAt metadata.fileSize')
+    const filter = {};
+    if (req.query.type) {
+      if (!DocumentClassifier.isValidType(req.query.type)) {
+        return res.status(400).json({
+          error: `Invalid document type "${req.query.type}". Use one of: ${DocumentClassifier.DOCUMENT_TYPES.map(entry => entry.type).join(', ')}`
+        });
+      }
+      filter['classification.type'] = req.query.type;
+    }
+    if (req.query.prompt) {
+      filter.promptVersions = req.query.prompt;
+    }
+    if (req.query.pii) {
+      if (!PiiDetector.PII_TYPES.some(entry => entry.type === req.query.pii)) {
+        return res.status(400).json({
+          error: `Invalid PII type "${req.query.pii}". Use one of: ${PiiDetector.PII_TYPES.map(entry => entry.type).join(', ')}`
+        });
+      }
+      filter.piiTypes = req.query.pii;
+    }
+
+    const documents = await FormData.find(filter)
+      .select('_id originalFilename keyValuePairs confidence processingMethod createdAt metadata.fileSize duplicateOf template missingFields classification promptVersions piiTypes')
       .sort({ createdAt: -1 })
-      .limit(50);
+      .limit(50)
+      .lean();
     
     res.json({
-      documents,
+      documents: documents.map(document => PiiDetector.maskDocument(document)),
       count: documents.length
     });
   } catch (error) {
@@ -170,10 +309,29 @@ app.get('/api/documents', async (req, res) => {
   }
 });
 
+// Document types documents are classified as, with how many documents each has
+app.get('/api/document-types', async (req, res) => {
+  try {
+    const counts = await FormData.aggregate([
+      { $group: { _id: '$classification.type', count: { $sum: 1 } } }
+    ]);
+    const countByType = Object.fromEntries(counts.map(entry => [entry._id, entry.count]));
+
+    res.json({
+      types: DocumentClassifier.DOCUMENT_TYPES.map(entry => ({ ...entry, count: countByType[entry.type] || 0 })),
+      unclassified: countByType.null || 0
+    });
+  } catch (error) {
+    console.error('Error fetching document types:', error);
+    res.status(500).json({ error: 'Failed to fetch document types' });
+  }
+});
+
 // Get specific document by ID
 app.get('/api/documents/:id', async (req, res) => {
   try {
-    const document = await FormData.findById(req.params.id);
+    const document = await FormData.findById(req.params.id)
+      .populate('duplicateOf.documentId', 'originalFilename createdAt');
     if (!document) {
       return res.status(404).json({ error: 'Document not found' });
     }
@@ -196,29 +354,139 @@ app.get('/api/documents/:id', async (req, res) => {
   }
 });
 
-// Search documents by filename
-app.get('/api/search', async (req, res) => {
+// Streams a file from the file store, responding with 404 when it no longer exists
+const sendStoredFile = async (res, key, headers) => {
+  const stream = key ? await fileStore.getStream(key) : null;
+  if (!stream) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  res.set(headers);
+  stream.on('error', error => {
+    console.error(`Error streaming stored file ${key}:`, error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// Get the original uploaded file (?download=true to save it instead of viewing inline)
+app.get('/api/documents/:id/file', async (req, res) => {
   try {
-    const { q } = req.query;
-    if (!q) {
-      return res.status(400).json({ error: 'Search query required' });
+    const document = await FormData.findById(req.params.id).select('originalFilename storage metadata.mimeType');
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
     }
+
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    await sendStoredFile(res, document.storage?.originalKey, {
+      'Content-Type': document.metadata?.mimeType || 'application/octet-stream',
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(document.originalFilename)}`
+    });
+  } catch (error) {
+    console.error('Error fetching original file:', error);
+    const isDev = process.env.NODE_ENV === 'development' || process.env.NODE_ENV !== 'production';
     
-    const documents = await FormData.find({
-      $or: [
-        { originalFilename: { $regex: q, $options: 'i' } },
-        { filename: { $regex: q, $options: 'i' } }
-      ]
-    })
-    .select('_id originalFilename keyValuePairs confidence processingMethod createdAt')
-    .sort({ createdAt: -1 });
+    const errorResponse = { error: 'Failed to fetch original file' };
+    if (isDev) {
+      errorResponse.details = {
+        message: error.message,
+        stack: error.stack,
+        documentId: req.params.id,
+        timestamp: new Date().toISOString()
+      };
+    }
     
-    res.json({
-      documents,
-      count: documents.length,
-      query: q
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Get the preview image or thumbnail of a document page
+app.get('/api/documents/:id/pages/:pageNumber/:variant(image|thumbnail)', async (req, res) => {
+  try {
+    const document = await FormData.findById(req.params.id).select('pages.pageNumber pages.image pages.thumbnail');
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const page = document.pages.find(p => p.pageNumber === parseInt(req.params.pageNumber));
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    await sendStoredFile(res, page[req.params.variant], {
+      'Content-Type': 'image/jpeg',
+      'Cache-Control': 'private, max-age=86400'
     });
   } catch (error) {
+    console.error(`Error fetching page ${req.params.variant}:`, error);
+    const isDev = process.env.NODE_ENV === 'development' || process.env.NODE_ENV !== 'production';
+    
+    const errorResponse = { error: `Failed to fetch page ${req.params.variant}` };
+    if (isDev) {
+      errorResponse.details = {
+        message: error.message,
+        stack: error.stack,
+        documentId: req.params.id,
+        pageNumber: req.params.pageNumber,
+        timestamp: new Date().toISOString()
+      };
+    }
+    
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Get the OCR word boxes of a document page, as fractions of the page size
+app.get('/api/documents/:id/pages/:pageNumber/words', async (req, res) => {
+  try {
+    const document = await FormData.findById(req.params.id).select('pages.pageNumber pages.words').lean();
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const pageNumber = parseInt(req.params.pageNumber);
+    const page = (document.pages || []).find(p => p.pageNumber === pageNumber);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const pageWords = await PageWords.findOne({ documentId: document._id, pageNumber }).lean();
+    // Documents saved before word boxes moved to their own collection still carry them inline
+    res.json(pageWords ? pageWords.words : page.words || []);
+  } catch (error) {
+    console.error('Error fetching page words:', error);
+    const isDev = process.env.NODE_ENV === 'development' || process.env.NODE_ENV !== 'production';
+    
+    const errorResponse = { error: 'Failed to fetch page words' };
+    if (isDev) {
+      errorResponse.details = {
+        message: error.message,
+        stack: error.stack,
+        documentId: req.params.id,
+        pageNumber: req.params.pageNumber,
+        timestamp: new Date().toISOString()
+      };
+    }
+    
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Ranked full-text search over filenames, field values and document text, with snippets (see SearchService.parseQuery for the syntax)
+app.get('/api/search', async (req, res) => {
+  try {
+    const { q, page, limit, type } = req.query;
+    if (type && !DocumentClassifier.isValidType(type)) {
+      return res.status(400).json({
+        error: `Invalid document type "${type}". Use one of: ${DocumentClassifier.DOCUMENT_TYPES.map(entry => entry.type).join(', ')}`
+      });
+    }
+
+    res.json(await SearchService.search(q, { page, limit, type }));
+  } catch (error) {
+    if (error.processingStep === 'SEARCH_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error searching documents:', error);
     const isDev = process.env.NODE_ENV === 'development' || process.env.NODE_ENV !== 'production';
     
@@ -236,6 +504,35 @@ app.get('/api/search', async (req, res) => {
   }
 });
 
+// Filter documents by typed field values, e.g. { "where": "Total > 500 AND State = CA" } or a JSON { "filter": {...} }
+app.post('/api/search/filter', async (req, res) => {
+  try {
+    const { where, filter, locale, page = 1, limit = 100, minConfidence = null } = req.body || {};
+    if (minConfidence !== null && (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 1)) {
+      return res.status(400).json({ error: 'minConfidence must be a number between 0 and 1' });
+    }
+
+    res.json(await KeyValueFilterService.search({ where, filter, page: Number(page), limit: Number(limit), minConfidence, locale }));
+  } catch (error) {
+    if (error.processingStep === 'FILTER_QUERY' || error.processingStep === 'LOCALE_SELECTION') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error filtering by key values:', error);
+    const isDev = process.env.NODE_ENV === 'development' || process.env.NODE_ENV !== 'production';
+
+    const errorResponse = { error: 'Failed to filter documents' };
+    if (isDev) {
+      errorResponse.details = {
+        message: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    res.status(500).json(errorResponse);
+  }
+});
+
 // Search for a specific key across all documents (OPTIMIZED)
 app.get('/api/search/key/:keyName', async (req, res) => {
   try {
@@ -246,15 +543,23 @@ app.get('/api/search/key/:keyName', async (req, res) => {
       return res.status(400).json({ error: 'Key name is required' });
     }
 
+    let minConfidence = null;
+    if (req.query.minConfidence !== undefined) {
+      minConfidence = parseFloat(req.query.minConfidence);
+      if (isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+        return res.status(400).json({ error: 'minConfidence must be a number between 0 and 1' });
+      }
+    }
+
     const searchLimit = parseInt(limit) || 100;
     let results;
 
     if (exact === 'true') {
       // Use indexed exact key search
-      results = await KeyValueIndexService.searchByKeyExact(keyName, searchLimit);
+      results = await KeyValueIndexService.searchByKeyExact(keyName, searchLimit, minConfidence);
     } else {
       // Use indexed partial key search
-      results = await KeyValueIndexService.searchByKeyPartial(keyName, searchLimit);
+      results = await KeyValueIndexService.searchByKeyPartial(keyName, searchLimit, minConfidence);
     }
 
     res.json(results);
@@ -271,6 +576,7 @@ app.get('/api/search/key/:keyName', async (req, res) => {
         keyName: req.params.keyName,
         exact: req.query.exact,
         limit: req.query.limit,
+        minConfidence: req.query.minConfidence,
         timestamp: new Date().toISOString()
       };
     }
@@ -304,6 +610,88 @@ app.get('/api/keys/stats', async (req, res) => {
   }
 });
 
+// Key registry: canonical keys and the synonyms extracted keys are grouped under
+app.get('/api/keys/canonical', async (req, res) => {
+  try {
+    const keys = await KeyRegistry.listKeys();
+    res.json({ keys, count: keys.length });
+  } catch (error) {
+    console.error('Error fetching canonical keys:', error);
+    res.status(500).json({ error: 'Failed to fetch canonical keys' });
+  }
+});
+
+app.get('/api/keys/canonical/:key', async (req, res) => {
+  try {
+    const entry = await KeyRegistry.getKey(req.params.key);
+    if (!entry) {
+      return res.status(404).json({ error: 'Canonical key not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error('Error fetching canonical key:', error);
+    res.status(500).json({ error: 'Failed to fetch canonical key' });
+  }
+});
+
+// Responds to key registry create/update failures: 400 for invalid bodies, 409 for a key or synonym that is taken
+const sendKeyRegistryError = (res, error, message) => {
+  if (error.processingStep === 'KEY_VALIDATION') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.processingStep === 'KEY_CONFLICT') {
+    return res.status(409).json({ error: error.message });
+  }
+
+  const isDev = process.env.NODE_ENV === 'development' || process.env.NODE_ENV !== 'production';
+  const errorResponse = { error: message };
+  if (isDev) {
+    errorResponse.details = {
+      message: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    };
+  }
+  res.status(500).json(errorResponse);
+};
+
+// Creating, changing or deleting a canonical key remaps the index entries of the keys it covers
+app.post('/api/keys/canonical', async (req, res) => {
+  try {
+    const entry = await KeyRegistry.createKey(req.body);
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Error creating canonical key:', error);
+    sendKeyRegistryError(res, error, 'Failed to create canonical key');
+  }
+});
+
+app.put('/api/keys/canonical/:key', async (req, res) => {
+  try {
+    const entry = await KeyRegistry.updateKey(req.params.key, req.body);
+    if (!entry) {
+      return res.status(404).json({ error: 'Canonical key not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error('Error updating canonical key:', error);
+    sendKeyRegistryError(res, error, 'Failed to update canonical key');
+  }
+});
+
+app.delete('/api/keys/canonical/:key', async (req, res) => {
+  try {
+    const entry = await KeyRegistry.deleteKey(req.params.key);
+    if (!entry) {
+      return res.status(404).json({ error: 'Canonical key not found' });
+    }
+    res.json({ message: 'Canonical key deleted successfully', key: entry.key });
+  } catch (error) {
+    console.error('Error deleting canonical key:', error);
+    res.status(500).json({ error: 'Failed to delete canonical key' });
+  }
+});
+
 // Delete a document and its index entries
 app.delete('/api/documents/:id', async (req, res) => {
   try {
@@ -315,6 +703,10 @@ app.delete('/api/documents/:id', async (req, res) => {
       return res.status(404).json({ error: 'Document not found' });
     }
     
+    // Remove the original upload, page images and word boxes
+    await fileStore.deleteDocumentFiles(documentId);
+    await PageWords.deleteMany({ documentId });
+    
     // Remove index entries
     const removedIndexCount = await KeyValueIndexService.removeDocumentIndex(documentId);
     
@@ -375,7 +767,10 @@ app.post('/api/chat/query', async (req, res) => {
         confidence: response.confidence,
         processingTime: response.metadata?.totalProcessingTime,
         responseType: response.type,
-        matchedDocuments: response.metadata?.searchResults?.totalMatches || 0
+        matchedDocuments: response.metadata?.searchResults?.totalMatches || 0,
+        aiProvider: response.metadata?.aiProvider,
+        promptVersion: response.metadata?.promptVersion,
+        aiUsage: response.metadata?.aiUsage
       }
     };
     
@@ -449,14 +844,161 @@ app.delete('/api/chat/history/:sessionId', async (req, res) => {
   }
 });
 
+// Document templates: declared fields that providers extract instead of generic key-value pairs
+app.get('/api/templates', async (req, res) => {
+  try {
+    const templates = await TemplateService.listTemplates();
+    res.json({ templates, count: templates.length, fieldTypes: DocumentTemplate.FIELD_TYPES });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({ error: 'Failed to fetch templates' });
+  }
+});
+
+app.get('/api/templates/:id', async (req, res) => {
+  try {
+    const template = await TemplateService.getTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    console.error('Error fetching template:', error);
+    res.status(500).json({ error: 'Failed to fetch template' });
+  }
+});
+
+// Responds to template create/update failures: 400 for invalid bodies, 409 for a key that is taken
+const sendTemplateError = (res, error, message) => {
+  if (error.processingStep === 'TEMPLATE_VALIDATION') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.processingStep === 'TEMPLATE_CONFLICT') {
+    return res.status(409).json({ error: error.message });
+  }
+
+  const isDev = process.env.NODE_ENV === 'development' || process.env.NODE_ENV !== 'production';
+  const errorResponse = { error: message };
+  if (isDev) {
+    errorResponse.details = {
+      message: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    };
+  }
+  res.status(500).json(errorResponse);
+};
+
+app.post('/api/templates', async (req, res) => {
+  try {
+    const template = await TemplateService.createTemplate(req.body);
+    res.status(201).json(template);
+  } catch (error) {
+    console.error('Error creating template:', error);
+    sendTemplateError(res, error, 'Failed to create template');
+  }
+});
+
+app.put('/api/templates/:id', async (req, res) => {
+  try {
+    const template = await TemplateService.updateTemplate(req.params.id, req.body);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    console.error('Error updating template:', error);
+    sendTemplateError(res, error, 'Failed to update template');
+  }
+});
+
+// Documents keep the template's key and name, so deleting a template does not touch them
+app.delete('/api/templates/:id', async (req, res) => {
+  try {
+    const template = await TemplateService.deleteTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({ message: 'Template deleted successfully', templateId: template._id });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+// AI tokens and estimated cost of document processing and chat by day, provider and model
+// (?from=2025-01-01&to=2025-01-31, both inclusive and optional)
+app.get('/api/usage', async (req, res) => {
+  try {
+    res.json(await UsageService.getUsage({ from: req.query.from, to: req.query.to }));
+  } catch (error) {
+    if (error.processingStep === 'USAGE_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching usage:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+// Prompt registry: every prompt sent to the AI providers, with its versions
+app.get('/api/prompts', (req, res) => {
+  res.json({ prompts: PromptRegistry.listPrompts() });
+});
+
+// ?version=1 shows an older version instead of the active one
+app.get('/api/prompts/:name', (req, res) => {
+  try {
+    res.json(PromptRegistry.preview(req.params.name, {}, req.query.version));
+  } catch (error) {
+    if (error.processingStep === 'PROMPT_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error fetching prompt:', error);
+    res.status(500).json({ error: 'Failed to fetch prompt' });
+  }
+});
+
+// Renders a prompt with the variables in the body ({ variables, version }); variables left out stay as {{name}}
+app.post('/api/prompts/:name/preview', (req, res) => {
+  try {
+    const { variables = {}, version } = req.body || {};
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+      return res.status(400).json({ error: 'variables must be an object' });
+    }
+    res.json(PromptRegistry.preview(req.params.name, variables, version));
+  } catch (error) {
+    if (error.processingStep === 'PROMPT_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error previewing prompt:', error);
+    res.status(500).json({ error: 'Failed to preview prompt' });
+  }
+});
+
+// List OCR engines that can be selected per upload with ?ocr=
+app.get('/api/ocr/engines', (req, res) => {
+  res.json({ engines: ocrService.listEngines(), defaultChain: ocrService.defaultChain });
+});
+
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', service: 'document-ai-processor' });
 });
 
+// AI provider chain with circuit breaker state per provider
+app.get('/api/health/providers', (req, res) => {
+  const health = aiService.getProviderHealth();
+  res.status(health.status === 'OK' ? 200 : 503).json(health);
+});
+
 // Initialize database connection and start server
 const startServer = async () => {
   try {
     await connectDatabase();
+    await SearchService.ensureTextIndex();
+    await SearchService.backfillSearchTerms();
+    await KeyRegistry.initialize();
+    await KeyValueIndexService.backfillTextValues();
+    await jobQueue.resumePendingJobs();
     
     app.listen(PORT, () => {
       console.log(`Document AI Processor server running on port ${PORT}`);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One field of the key registry: extracted keys matching any synonym are indexed, searched and counted as this key
+const canonicalKeySchema = new mongoose.Schema({
+  // Normalized name stored on index entries as canonicalKey, e.g. date_of_birth
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Normalized the same way as the key (dob, birth_date); the key and label always match too
+  synonyms: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+canonicalKeySchema.index({ synonyms: 1 });
+
+module.exports = mongoose.model('CanonicalKey', canonicalKeySchema);
@@ -26,7 +26,22 @@ const chatHistorySchema = new mongoose.Schema({
       matchedDocuments: [String],
       searchResults: mongoose.Schema.Types.Mixed,
       confidence: Number,
-      processingTime: Number
+      processingTime: Number,
+      aiProvider: String,
+      // PromptRegistry "name@version" of the chat prompt the answer was generated with
+      promptVersion: String,
+      // Tokens and estimated cost of the AI requests behind the answer, see services/usageService.js
+      aiUsage: [{
+        _id: false,
+        operation: String,
+        provider: String,
+        model: String,
+        inputTokens: Number,
+        outputTokens: Number,
+        latencyMs: Number,
+        cost: Number,
+        recordedAt: Date
+      }]
     }
   }],
   createdAt: {
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const FIELD_TYPES = ['string', 'number', 'date', 'amount', 'email', 'phone', 'address', 'boolean'];
+
+const documentTemplateSchema = new mongoose.Schema({
+  // Short identifier used to pick the template on upload, e.g. ?template=invoice
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Providers are asked for exactly these fields, and their names become the extracted keys
+  fields: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: FIELD_TYPES,
+      default: 'string'
+    },
+    required: {
+      type: Boolean,
+      default: false
+    },
+    description: {
+      type: String,
+      default: ''
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+const DocumentTemplate = mongoose.model('DocumentTemplate', documentTemplateSchema);
+DocumentTemplate.FIELD_TYPES = FIELD_TYPES;
+
+module.exports = DocumentTemplate;
\ No newline at end of file
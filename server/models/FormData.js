@@ -25,19 +25,115 @@ const formDataSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  pages: [{
+    _id: false,
+    pageNumber: {
+      type: Number,
+      required: true
+    },
+    text: {
+      type: String,
+      default: ''
+    },
+    // OCR engine that read this page; unset for pages with a text layer
+    ocrEngine: String,
+    // File store keys served by GET /api/documents/:id/pages/:pageNumber/image and /thumbnail
+    image: String,
+    thumbnail: String
+  }],
   processingMethod: {
     type: String,
-    enum: ['tesseract', 'google', 'claude', 'mock'],
+    enum: ['tesseract', 'google', 'claude', 'openai', 'replay', 'mock'],
     default: 'tesseract'
   },
+  // AI providers that answered, in chain order; more than one when a fallback took over mid-document
+  aiProviders: [String],
+  // Prompts (PromptRegistry "name@version") the providers were sent, to trace which documents a prompt change affects
+  promptVersions: [String],
+  // PiiDetector types found in the fields or text; fields holding PII also carry their type as pair.pii
+  piiTypes: [String],
+  // Lowercased words of the filename, field values and text for prefix search, see SearchService.getSearchTerms
+  searchTerms: {
+    type: [String],
+    select: false
+  },
+  // OCR engines that read at least one page, empty when the text came from a text layer or file
+  ocrEngines: [String],
+  // Duplicate detection: SHA-256 of the upload, of the normalized text and of the sorted key fields
+  contentHash: String,
+  textHash: String,
+  fieldsHash: String,
+  // Set when this upload looks like another scan of an earlier document
+  duplicateOf: {
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FormData'
+    },
+    reason: {
+      type: String,
+      enum: ['text', 'fields']
+    }
+  },
+  // Document template the fields were extracted with, copied so it survives template edits and deletion
+  template: {
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DocumentTemplate'
+    },
+    key: String,
+    name: String
+  },
+  // Required template fields the provider could not find; unset when no template was used
+  missingFields: {
+    type: [String],
+    default: undefined
+  },
+  // Document type from services/documentClassifier.js; method is "rules" for the offline classifier, "llm" for a provider
+  classification: {
+    type: {
+      type: String
+    },
+    label: String,
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    method: {
+      type: String,
+      enum: ['rules', 'llm']
+    },
+    provider: String
+  },
+  // Locale that ambiguous dates, numbers and phone numbers were read with (see services/valueNormalizer.js)
+  locale: String,
+  // Where the original upload is kept, see services/fileStore.js
+  storage: {
+    backend: String,
+    originalKey: String
+  },
   metadata: {
     fileSize: Number,
     mimeType: String,
     processingTime: Number,
+    pageCount: Number,
     extractedAt: {
       type: Date,
       default: Date.now
-    }
+    },
+    // One entry per AI provider request made for this document, see services/usageService.js
+    aiUsage: [{
+      _id: false,
+      operation: String,
+      provider: String,
+      model: String,
+      inputTokens: Number,
+      outputTokens: Number,
+      latencyMs: Number,
+      // Estimated USD from the price table, null when the model has no price
+      cost: Number,
+      recordedAt: Date
+    }]
   }
 }, {
   timestamps: true,
@@ -45,6 +141,13 @@ const formDataSchema = new mongoose.Schema({
 });
 
 formDataSchema.index({ filename: 1, createdAt: -1 });
-formDataSchema.index({ originalFilename: 'text' });
+// The full-text index is created by SearchService.ensureTextIndex on startup, replacing the older filename-only one
+formDataSchema.index({ contentHash: 1 });
+formDataSchema.index({ textHash: 1 });
+formDataSchema.index({ fieldsHash: 1 });
+formDataSchema.index({ 'classification.type': 1, createdAt: -1 });
+formDataSchema.index({ promptVersions: 1 });
+formDataSchema.index({ piiTypes: 1 });
+formDataSchema.index({ searchTerms: 1 });
 
 module.exports = mongoose.model('FormData', formDataSchema);
\ No newline at end of file
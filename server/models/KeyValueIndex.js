@@ -22,15 +22,31 @@ const keyValueIndexSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // KeyRegistry key the original key maps to (date_of_birth for "DOB"); search and statistics group by it
+  canonicalKey: String,
   value: {
     type: mongoose.Schema.Types.Mixed,
     required: true
   },
+  page: {
+    type: Number
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
   valueType: {
     type: String,
-    enum: ['string', 'number', 'boolean', 'date', 'array', 'object'],
+    enum: ['string', 'number', 'boolean', 'date', 'amount', 'phone', 'email', 'identifier', 'array', 'object'],
     default: 'string'
   },
+  // Comparable form of value from ValueNormalizer: ISO date string, number, E.164 phone, boolean or compact identifier
+  normalizedValue: mongoose.Schema.Types.Mixed,
+  // ISO 4217 code for amounts
+  currency: String,
+  // PiiDetector type when the value is PII; search responses mask these values
+  pii: String,
   extractedAt: {
     type: Date,
     default: Date.now
@@ -50,4 +66,10 @@ keyValueIndexSchema.index({ keyNormalized: 1 });
 // 3. Document cleanup (covers deletion when document is removed)
 keyValueIndexSchema.index({ documentId: 1 });
 
+// 4. Typed value filters and ranges (covers the filter search API)
+keyValueIndexSchema.index({ canonicalKey: 1, valueType: 1, normalizedValue: 1 });
+
+// 5. Exact key search and statistics by canonical key
+keyValueIndexSchema.index({ canonicalKey: 1, extractedAt: -1 });
+
 module.exports = mongoose.model('KeyValueIndex', keyValueIndexSchema);
\ No newline at end of file
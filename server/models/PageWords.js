@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// OCR word boxes of one document page (GET /api/documents/:id/pages/:pageNumber/words). They are kept out of
+// FormData because a dense multi-page scan has enough words to reach MongoDB's 16MB document limit
+const pageWordsSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FormData',
+    required: true
+  },
+  pageNumber: {
+    type: Number,
+    required: true
+  },
+  // Word geometry as fractions of the page size
+  words: [{
+    _id: false,
+    text: String,
+    confidence: Number,
+    box: {
+      x: Number,
+      y: Number,
+      width: Number,
+      height: Number
+    }
+  }]
+});
+
+// Page lookup, and cleanup when the document is removed
+pageWordsSchema.index({ documentId: 1, pageNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('PageWords', pageWordsSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const processingJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  stage: {
+    type: String,
+    enum: ['upload', 'ocr', 'ai_extraction', 'indexing'],
+    default: 'upload'
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  file: {
+    path: { type: String, required: true },
+    filename: { type: String, required: true },
+    originalname: { type: String, required: true },
+    mimetype: String,
+    size: Number
+  },
+  // Per-request processing options passed through to DocumentPipeline
+  options: {
+    duplicatePolicy: String,
+    ocrEngines: {
+      type: [String],
+      default: undefined
+    },
+    templateId: String,
+    locale: String
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FormData'
+  },
+  result: mongoose.Schema.Types.Mixed,
+  error: {
+    message: String,
+    processingStep: String,
+    duplicate: mongoose.Schema.Types.Mixed,
+    // Provider output that failed validation even after repair (see AIService.extractValidatedPairs), with PII masked
+    rawResponses: mongoose.Schema.Types.Mixed
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Startup recovery looks up unfinished jobs in submission order
+processingJobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ProcessingJob', processingJobSchema);
@@ -1,70 +1,525 @@
+const path = require('path');
 const ClaudeProvider = require('./providers/claudeProvider');
 const GoogleProvider = require('./providers/googleProvider');
 const MockProvider = require('./providers/mockProvider');
+const OpenAICompatibleProvider = require('./providers/openAICompatibleProvider');
+const ReplayProvider = require('./providers/replayProvider');
+const CircuitBreaker = require('./circuitBreaker');
+const DocumentClassifier = require('./documentClassifier');
+const TemplateService = require('./templateService');
+const PromptRegistry = require('./promptRegistry');
+const UsageService = require('./usageService');
+const OutputValidator = require('./outputValidator');
+const PiiDetector = require('./piiDetector');
+
+const PROVIDER_NAMES = ['google', 'claude', 'openai', 'replay', 'mock'];
+
+// Providers whose responses are not worth recording as fixtures
+const UNRECORDED_PROVIDERS = ['mock', 'replay'];
+
+// Network failures worth retrying; anything else without an HTTP status is treated as permanent
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Relative AI_FIXTURES_DIR paths start here rather than in the working directory, so recordings land in the
+// gitignored server/fixtures/ai wherever the server is started from
+const SERVER_DIR = path.join(__dirname, '..');
+
+// Roughly 3k tokens of English text, small enough for every provider's context alongside the prompt
+const DEFAULT_CHUNK_MAX_CHARS = 12000;
+const DEFAULT_CHUNK_OVERLAP_CHARS = 500;
+
+// Keys and values are compared ignoring case, whitespace and punctuation when matching them to pages
+// and merging chunk results
+const normalizeForMatch = value => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
 
 class AIService {
   constructor() {
-    this.selectedProvider = this.initializeProvider();
+    this.maxRetries = parseInt(process.env.AI_RETRY_ATTEMPTS) >= 0 ? parseInt(process.env.AI_RETRY_ATTEMPTS) : 2;
+    this.retryBaseDelay = parseInt(process.env.AI_RETRY_BASE_DELAY_MS) || 500;
+    this.maxRepairAttempts = parseInt(process.env.AI_REPAIR_ATTEMPTS) >= 0 ? parseInt(process.env.AI_REPAIR_ATTEMPTS) : 1;
+    this.chunkMaxChars = parseInt(process.env.AI_CHUNK_MAX_CHARS) || DEFAULT_CHUNK_MAX_CHARS;
+    const chunkOverlapChars = parseInt(process.env.AI_CHUNK_OVERLAP_CHARS);
+    // Overlap is capped so every chunk still makes progress through the text
+    this.chunkOverlapChars = Math.min(
+      chunkOverlapChars >= 0 ? chunkOverlapChars : DEFAULT_CHUNK_OVERLAP_CHARS,
+      Math.floor(this.chunkMaxChars / 4)
+    );
+    // AI_RECORD=true saves every real provider response as a fixture the replay provider answers with
+    this.fixturesDir = path.resolve(SERVER_DIR, process.env.AI_FIXTURES_DIR || 'fixtures/ai');
+    this.recordResponses = process.env.AI_RECORD === 'true';
+    // PII_REDACT_EXTERNAL=true replaces detected PII with placeholders before text reaches a provider
+    this.redactPii = process.env.PII_REDACT_EXTERNAL === 'true';
+    this.unavailableProviders = [];
+    this.providers = this.initializeProviders();
   }
 
-  initializeProvider() {
-    const aiProvider = process.env.AI_PROVIDER?.toLowerCase();
-    console.log(`Selected AI provider: ${aiProvider || 'default (Mock)'}`);
-    switch (aiProvider) {
+  createProvider(name) {
+    switch (name) {
       case 'claude':
-        const claudeProvider = new ClaudeProvider(process.env.CLAUDE_API_KEY);
-        if (claudeProvider.isAvailable) {
-          console.log('Using Claude AI provider');
-          return claudeProvider;
-        }
-        console.warn('Claude provider selected but API key not available, falling back to Mock');
-        return new MockProvider();
-        
+        return new ClaudeProvider(process.env.CLAUDE_API_KEY, {
+          model: process.env.CLAUDE_MODEL,
+          maxTokens: parseInt(process.env.CLAUDE_MAX_TOKENS) || undefined,
+          baseUrl: process.env.CLAUDE_BASE_URL,
+          timeout: parseInt(process.env.CLAUDE_TIMEOUT_MS) || undefined
+        });
       case 'google':
-        const googleProvider = new GoogleProvider(process.env.GOOGLE_API_KEY);
-        if (googleProvider.isAvailable) {
-          console.log('Using Google AI provider');
-          return googleProvider;
-        }
-        console.warn('Google provider selected but API key not available, falling back to Mock');
-        return new MockProvider();
-        
+        return new GoogleProvider(process.env.GOOGLE_API_KEY);
+      case 'openai':
+        return new OpenAICompatibleProvider({
+          baseUrl: process.env.OPENAI_BASE_URL,
+          model: process.env.OPENAI_MODEL,
+          apiKey: process.env.OPENAI_API_KEY,
+          maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || undefined,
+          timeout: parseInt(process.env.OPENAI_TIMEOUT_MS) || undefined
+        });
+      case 'replay':
+        return new ReplayProvider(this.fixturesDir);
       default:
-        console.log('Using Mock AI provider (default)');
         return new MockProvider();
     }
   }
 
-  async extractKeyValuePairs(text) {
-    try {
-      console.log(`Extracting with ${this.selectedProvider.constructor.name}`);
-      console.log(text.substring(0, 100) + '...'); // Log first 100 chars for context
-      const result = await this.selectedProvider.extractKeyValuePairs(text);
-      console.log(`Successfully extracted ${result.length} key-value pairs`);
-      return result;
-    } catch (error) {
-      console.error(`${this.selectedProvider.constructor.name} failed:`, error.message);
-      console.error('Full error details:', error);
-      
-      // Don't fallback - let the error propagate to show the actual problem
-      throw error;
+  // AI_PROVIDERS is an ordered fallback chain (e.g. "google,claude,mock"); AI_PROVIDER alone selects a single provider
+  getConfiguredChain() {
+    const configured = process.env.AI_PROVIDERS || process.env.AI_PROVIDER || 'mock';
+    const names = configured.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+    const unknown = names.filter(name => !PROVIDER_NAMES.includes(name));
+    if (unknown.length > 0) {
+      console.warn(`Ignoring unknown AI provider(s): ${unknown.join(', ')}`);
     }
+    return [...new Set(names.filter(name => PROVIDER_NAMES.includes(name)))];
   }
 
-  async chatQuery(userQuery, documentData) {
+  initializeProviders() {
+    const breakerOptions = {
+      failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 5,
+      resetTimeout: parseInt(process.env.AI_CIRCUIT_RESET_MS) || 60000
+    };
+
+    const providers = [];
+    for (const name of this.getConfiguredChain()) {
+      const provider = this.createProvider(name);
+      if (!provider.isAvailable) {
+        console.warn(`${name} provider configured but its credentials or endpoint are not set, skipping it`);
+        this.unavailableProviders.push(name);
+        continue;
+      }
+      providers.push({ name, provider, breaker: new CircuitBreaker(breakerOptions) });
+    }
+
+    if (providers.length === 0) {
+      console.warn('No configured AI provider is available, falling back to Mock');
+      providers.push({ name: 'mock', provider: new MockProvider(), breaker: new CircuitBreaker(breakerOptions) });
+    }
+
+    console.log(`AI provider chain: ${providers.map(entry => entry.name).join(' → ')}`);
+    return providers;
+  }
+
+  isTransientError(error) {
+    if (typeof error.retryable === 'boolean') {
+      return error.retryable;
+    }
+
+    const status = error.status || error.response?.status;
+    if (status) {
+      return status === 408 || status === 429 || status >= 500;
+    }
+    return TRANSIENT_ERROR_CODES.includes(error.code);
+  }
+
+  // Exponential backoff with jitter, or the provider's Retry-After when it sends one
+  getRetryDelay(error, attempt) {
+    if (error.retryAfter) {
+      return Math.min(error.retryAfter * 1000, MAX_RETRY_DELAY_MS);
+    }
+    const delay = this.retryBaseDelay * 2 ** attempt;
+    return Math.min(delay / 2 + Math.random() * delay / 2, MAX_RETRY_DELAY_MS);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async callWithRetry(entry, operation, call) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await call(entry.provider);
+      } catch (error) {
+        if (attempt >= this.maxRetries || !this.isTransientError(error)) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        console.warn(`${entry.name} ${operation} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  // Recording must never fail the request it records
+  async recordResponse(operation, prompt, provider, response) {
+    if (!this.recordResponses || UNRECORDED_PROVIDERS.includes(provider)) {
+      return;
+    }
+
     try {
-      console.log(`Chat query with ${this.selectedProvider.constructor.name}: "${userQuery}"`);
-      const result = await this.selectedProvider.chatQuery(userQuery, documentData);
-      console.log('Chat response generated successfully');
-      return result;
+      const filePath = await ReplayProvider.record(this.fixturesDir, { operation, prompt, provider, response });
+      console.log(`Recorded ${provider} ${operation} response to ${filePath}`);
     } catch (error) {
-      console.error(`${this.selectedProvider.constructor.name} chat failed:`, error.message);
-      throw error;
+      console.warn(`Failed to record ${provider} ${operation} response:`, error.message);
+    }
+  }
+
+  // Tries each provider in the chain until one succeeds; returns { result, provider, usage }.
+  // call(provider, onUsage, name) makes the request; usage lists a UsageService record for every answered request,
+  // including retried and failed-over ones, since those are billed too.
+  // prompt is the PromptRegistry rendering the call sends, used to record fixtures; calls that record their own responses omit it.
+  async callWithFallback(operation, call, prompt) {
+    const failures = [];
+    const usage = [];
+    const rawResponses = [];
+
+    for (const entry of this.providers) {
+      if (!entry.breaker.canRequest()) {
+        console.warn(`Skipping ${entry.name} for ${operation}: circuit open after repeated failures`);
+        failures.push(`${entry.name}: circuit open`);
+        continue;
+      }
+
+      try {
+        const result = await this.callWithRetry(entry, operation, provider => {
+          const startedAt = Date.now();
+          return call(provider, reported => {
+            usage.push(UsageService.createRecord({ ...reported, operation, provider: entry.name, latencyMs: Date.now() - startedAt }));
+          }, entry.name);
+        });
+        entry.breaker.recordSuccess();
+        if (prompt) {
+          await this.recordResponse(operation, prompt, entry.name, result);
+        }
+        return { result, provider: entry.name, usage };
+      } catch (error) {
+        // A missing fixture means the recording is out of date; falling back to another provider would hide it
+        if (entry.name === 'replay') {
+          throw error;
+        }
+        console.error(`${entry.name} ${operation} failed:`, error.message);
+        entry.breaker.recordFailure(error);
+        failures.push(`${entry.name}: ${error.message}`);
+        (error.rawResponses || []).forEach(raw => rawResponses.push({ provider: entry.name, ...raw }));
+      }
+    }
+
+    const error = new Error(`All AI providers failed. ${failures.join('; ')}`);
+    error.processingStep = 'AI_PROVIDER_CHAIN';
+    // Responses that failed validation, kept for debugging the prompt or the provider
+    if (rawResponses.length > 0) {
+      error.rawResponses = rawResponses;
+    }
+    throw error;
+  }
+
+  // The Mock provider works offline without a prompt, so nothing it returns depends on a prompt version
+  getPromptVersion(prompt, provider) {
+    return provider === 'mock' ? null : prompt.id;
+  }
+
+  // Validates the provider's output with OutputValidator. Output that fails is sent back with the problem
+  // (the extraction_repair prompt) up to AI_REPAIR_ATTEMPTS times; after that the error carries every raw response.
+  // Returns { pairs, prompts } with every prompt sent. Each response is recorded under the prompt that asked for it,
+  // so a replay takes the same repair path.
+  async extractValidatedPairs(provider, text, template, prompt, onUsage, providerName) {
+    const rawResponses = [];
+    const prompts = [];
+    let attemptPrompt = prompt;
+
+    for (let attempt = 0; ; attempt++) {
+      const content = await provider.extractKeyValuePairs(text, template, attemptPrompt, onUsage);
+      prompts.push(attemptPrompt);
+      await this.recordResponse('extraction', attemptPrompt, providerName, content);
+      try {
+        return { pairs: OutputValidator.parseKeyValuePairs(content), prompts };
+      } catch (error) {
+        if (error.processingStep !== 'AI_OUTPUT_VALIDATION') {
+          throw error;
+        }
+
+        const response = OutputValidator.truncateRawResponse(content);
+        rawResponses.push({ attempt: attempt + 1, prompt: attemptPrompt.id, response, error: error.message });
+        if (attempt >= this.maxRepairAttempts) {
+          error.message = `Invalid extraction output after ${attempt + 1} attempt(s): ${error.message}`;
+          error.rawResponses = rawResponses;
+          throw error;
+        }
+
+        console.warn(`Extraction output failed validation (${error.message}), asking for a repair`);
+        attemptPrompt = PromptRegistry.render('extraction_repair', { request: prompt.user, response, error: error.message });
+      }
+    }
+  }
+
+  // Returns a PiiDetector redaction when PII_REDACT_EXTERNAL is on, otherwise one that passes everything through
+  createRedaction() {
+    if (this.redactPii) {
+      return PiiDetector.createRedaction();
+    }
+    return { redact: text => text, redactPair: pair => pair, restore: value => value, count: 0 };
+  }
+
+  // template (a DocumentTemplate) makes providers extract exactly its declared fields
+  async extractKeyValuePairsWithProvider(text, template) {
+    const redaction = this.createRedaction();
+    const providerText = redaction.redact(text);
+    const prompt = template
+      ? PromptRegistry.render('template_extraction', { ...TemplateService.getPromptVariables(template), text: providerText })
+      : PromptRegistry.render('extraction', { text: providerText });
+    // Recorded by extractValidatedPairs, which knows which prompt each response answered
+    const { result, provider, usage } = await this.callWithFallback('extraction', (p, onUsage, name) => this.extractValidatedPairs(p, providerText, template, prompt, onUsage, name));
+    if (redaction.count > 0) {
+      console.log(`Redacted ${redaction.count} PII value(s) from the extraction request`);
+    }
+    console.log(`Successfully extracted ${result.pairs.length} key-value pairs with ${provider}`);
+    // Values the provider copied from the text come back as placeholders
+    const keyValuePairs = result.pairs.map(pair => ({ ...pair, value: redaction.restore(pair.value) }));
+    // The extraction prompt, plus extraction_repair when the output had to be repaired
+    const promptVersions = [...new Set(result.prompts.map(sent => this.getPromptVersion(sent, provider)).filter(Boolean))];
+    return { keyValuePairs, provider, promptVersions, usage };
+  }
+
+  async extractKeyValuePairs(text, template) {
+    const { keyValuePairs } = await this.extractKeyValuePairsChunked(text, template);
+    return keyValuePairs;
+  }
+
+  // Splits into paragraphs, breaking paragraphs and lines that are too long on their own
+  splitIntoSegments(text, maxLength) {
+    const segments = [];
+
+    for (const paragraph of text.split(/\n\s*\n/).map(part => part.trim()).filter(Boolean)) {
+      if (paragraph.length <= maxLength) {
+        segments.push(paragraph);
+        continue;
+      }
+
+      for (const line of paragraph.split('\n').filter(part => part.trim())) {
+        let remaining = line;
+        while (remaining.length > maxLength) {
+          const breakAt = remaining.lastIndexOf(' ', maxLength);
+          const end = breakAt > maxLength / 2 ? breakAt : maxLength;
+          segments.push(remaining.substring(0, end));
+          remaining = remaining.substring(end).trimStart();
+        }
+        if (remaining) segments.push(remaining);
+      }
+    }
+
+    return segments;
+  }
+
+  // Trailing segments carried into the next chunk, so a field split across a boundary is seen whole once
+  getOverlapSegments(segments) {
+    const overlap = [];
+    let length = 0;
+
+    for (let index = segments.length - 1; index >= 0; index--) {
+      if (length + segments[index].length > this.chunkOverlapChars) break;
+      overlap.unshift(segments[index]);
+      length += segments[index].length + 2;
+    }
+
+    if (overlap.length === 0 && this.chunkOverlapChars > 0) {
+      const last = segments[segments.length - 1];
+      const tail = last.substring(last.length - this.chunkOverlapChars);
+      const wordStart = tail.indexOf(' ');
+      overlap.push(wordStart > -1 ? tail.substring(wordStart + 1) : tail);
     }
+    return overlap;
+  }
+
+  // Splits text longer than AI_CHUNK_MAX_CHARS on paragraphs, each chunk starting with the end of the previous one
+  splitIntoChunks(text) {
+    if (text.length <= this.chunkMaxChars) {
+      return [text];
+    }
+
+    const chunks = [];
+    let current = [];
+    let length = 0;
+
+    for (const segment of this.splitIntoSegments(text, this.chunkMaxChars - this.chunkOverlapChars)) {
+      if (current.length > 0 && length + segment.length > this.chunkMaxChars) {
+        chunks.push(current.join('\n\n'));
+        current = this.getOverlapSegments(current);
+        length = current.reduce((total, part) => total + part.length + 2, 0);
+      }
+      current.push(segment);
+      length += segment.length + 2;
+    }
+    chunks.push(current.join('\n\n'));
+
+    return chunks;
+  }
+
+  // Same key and value from several chunks (usually the overlap) is kept once, at its highest confidence.
+  // Different values for the same key on the same page are all kept, marked valueConflict with their source chunk.
+  mergeChunkPairs(pairs) {
+    const merged = [];
+    const sameField = (candidate, pair) => candidate.page === pair.page && normalizeForMatch(candidate.key) === normalizeForMatch(pair.key);
+
+    for (const pair of pairs) {
+      const existing = merged.find(candidate => sameField(candidate, pair) && normalizeForMatch(candidate.value) === normalizeForMatch(pair.value));
+      if (!existing) {
+        merged.push({ ...pair });
+      } else if ((pair.confidence ?? 0) > (existing.confidence ?? 0)) {
+        existing.confidence = pair.confidence;
+      }
+    }
+
+    merged.forEach(pair => {
+      if (merged.filter(candidate => sameField(candidate, pair)).length > 1) {
+        pair.valueConflict = true;
+      }
+    });
+    return merged;
+  }
+
+  // Returns { chunkPairs, providers, promptVersions, usage } with the pairs of every chunk, unmerged;
+  // pairs carry their 1-based source chunk when the text was split
+  async extractChunks(text, template) {
+    const chunks = this.splitIntoChunks(text);
+    if (chunks.length === 1) {
+      const { keyValuePairs, provider, promptVersions, usage } = await this.extractKeyValuePairsWithProvider(text, template);
+      return { chunkPairs: keyValuePairs, providers: [provider], promptVersions, usage };
+    }
+
+    console.log(`Text of ${text.length} characters split into ${chunks.length} chunks for extraction`);
+    const chunkPairs = [];
+    const providers = [];
+    const promptVersions = [];
+    const chunkUsage = [];
+    for (const [index, chunk] of chunks.entries()) {
+      const { keyValuePairs, provider, promptVersions: chunkPromptVersions, usage } = await this.extractKeyValuePairsWithProvider(chunk, template);
+      chunkUsage.push(...usage);
+      if (!providers.includes(provider)) {
+        providers.push(provider);
+      }
+      chunkPromptVersions.forEach(promptVersion => {
+        if (!promptVersions.includes(promptVersion)) {
+          promptVersions.push(promptVersion);
+        }
+      });
+      keyValuePairs.forEach(pair => chunkPairs.push({ ...pair, chunk: index + 1 }));
+    }
+
+    return { chunkPairs, providers, promptVersions, usage: chunkUsage };
+  }
+
+  // Returns { keyValuePairs, providers, promptVersions, usage }
+  async extractKeyValuePairsChunked(text, template) {
+    const { chunkPairs, ...extraction } = await this.extractChunks(text, template);
+    return { keyValuePairs: this.mergeChunkPairs(chunkPairs), ...extraction };
+  }
+
+  // Pages are sent together, each after a [Page N] marker, so a document costs as few requests as the chunker needs
+  markPages(pages) {
+    return pages.map(page => `[Page ${page.pageNumber}]\n${page.text.trim()}`).join('\n\n');
+  }
+
+  // The page a pair came from: the one the provider named, else the first page holding its value, then its key
+  findSourcePage(pair, pages) {
+    if (pages.some(page => page.pageNumber === pair.page)) {
+      return pair.page;
+    }
+
+    for (const field of [pair.value, pair.key]) {
+      const needle = normalizeForMatch(field);
+      const page = needle && pages.find(candidate => candidate.normalizedText.includes(needle));
+      if (page) {
+        return page.pageNumber;
+      }
+    }
+    return pages[0].pageNumber;
+  }
+
+  // Returns { keyValuePairs, providers, promptVersions, usage } where providers lists every provider that answered,
+  // promptVersions every prompt (as "name@version") they were sent and usage the tokens and cost of every request
+  async extractKeyValuePairsFromPages(pages, template) {
+    const textPages = pages.filter(page => page.text && page.text.trim());
+    if (textPages.length === 0) {
+      return { keyValuePairs: [], providers: [], promptVersions: [], usage: [] };
+    }
+
+    const text = textPages.length === 1 ? textPages[0].text : this.markPages(textPages);
+    const { chunkPairs, providers, promptVersions, usage } = await this.extractChunks(text, template);
+
+    // Repeated keys (e.g. "Date" on pages 1 and 9) keep their source page; only pairs from the same page are merged
+    const searchablePages = textPages.map(page => ({ pageNumber: page.pageNumber, normalizedText: normalizeForMatch(page.text) }));
+    const pagePairs = chunkPairs.map(pair => ({ ...pair, page: this.findSourcePage(pair, searchablePages) }));
+    // The provider's own certainty is one input to ConfidenceService, not the final score
+    const keyValuePairs = this.mergeChunkPairs(pagePairs).map(({ confidence, ...pair }) => ({ ...pair, providerConfidence: confidence }));
+
+    return { keyValuePairs, providers, promptVersions, usage };
+  }
+
+  // Returns { type, label, confidence, provider, promptVersion, usage } with type one of DocumentClassifier.DOCUMENT_TYPES
+  async classifyDocument(text) {
+    const classificationText = this.createRedaction().redact(DocumentClassifier.getClassificationText(text));
+    const prompt = PromptRegistry.render('classification', { ...DocumentClassifier.getPromptVariables(), text: classificationText });
+    const { result, provider, usage } = await this.callWithFallback('classification', (p, onUsage) => p.classifyDocument(classificationText, DocumentClassifier.DOCUMENT_TYPES, prompt, onUsage), prompt);
+    const classification = DocumentClassifier.normalizeResult(result);
+    console.log(`Classified document as ${classification.type} (${Math.round(classification.confidence * 100)}%) with ${provider}`);
+    return { ...classification, provider, promptVersion: this.getPromptVersion(prompt, provider), usage };
+  }
+
+  async chatQueryWithProvider(userQuery, documentData) {
+    console.log(`Chat query: "${PiiDetector.maskText(userQuery)}"`);
+    const redaction = this.createRedaction();
+    const question = redaction.redact(userQuery);
+    const providerData = this.redactPii ? this.redactDocumentData(documentData, redaction) : documentData;
+    const prompt = PromptRegistry.render('chat', { question, documentData: JSON.stringify(providerData, null, 2) });
+    const { result, provider, usage } = await this.callWithFallback('chat', (p, onUsage) => p.chatQuery(question, providerData, prompt, onUsage), prompt);
+    if (redaction.count > 0) {
+      console.log(`Redacted ${redaction.count} PII value(s) from the chat request`);
+    }
+    console.log(`Chat response generated successfully with ${provider}`);
+    return { response: redaction.restore(result), provider, promptVersion: this.getPromptVersion(prompt, provider), usage };
+  }
+
+  // documentData is ChatService's list of { filename, keyValuePairs, extractedText, ... }
+  redactDocumentData(documentData, redaction) {
+    return documentData.map(doc => ({
+      ...doc,
+      filename: redaction.redact(doc.filename),
+      keyValuePairs: Array.isArray(doc.keyValuePairs) ? doc.keyValuePairs.map(pair => redaction.redactPair(pair)) : doc.keyValuePairs,
+      extractedText: doc.extractedText ? redaction.redact(doc.extractedText) : doc.extractedText
+    }));
+  }
+
+  async chatQuery(userQuery, documentData) {
+    const { response } = await this.chatQueryWithProvider(userQuery, documentData);
+    return response;
   }
 
   getSelectedProvider() {
-    return this.selectedProvider.constructor.name;
+    return this.providers[0].name;
+  }
+
+  getProviderHealth() {
+    const providers = this.providers.map(entry => {
+      const circuit = entry.breaker.getStatus();
+      return { name: entry.name, available: circuit.state !== 'open', circuit };
+    });
+
+    return {
+      status: providers.some(provider => provider.available) ? 'OK' : 'DEGRADED',
+      chain: this.providers.map(entry => entry.name),
+      unconfigured: this.unavailableProviders,
+      providers
+    };
   }
 }
 
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const DocumentPipeline = require('./documentPipeline');
+const documentProcessor = require('./documentProcessor');
+const jobQueue = require('./jobQueue');
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024; // 10MB limit per document, same as single uploads
+const MAX_BATCH_FILES = parseInt(process.env.BATCH_MAX_FILES) || 100;
+// Total bytes all entries of one archive may inflate to, so a small ZIP can't fill the disk
+const MAX_ARCHIVE_BYTES = (parseInt(process.env.BATCH_MAX_UNCOMPRESSED_MB) || 200) * 1024 * 1024;
+
+class BatchProcessor {
+
+  static isZip(file) {
+    return ZIP_MIME_TYPES.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.zip';
+  }
+
+  static createError(message, processingStep) {
+    const error = new Error(message);
+    error.processingStep = processingStep;
+    return error;
+  }
+
+  static validateDocument(originalname, mimeType, size) {
+    if (!documentProcessor.isSupportedType(mimeType)) {
+      return this.createError(`Unsupported file type: ${mimeType || path.extname(originalname) || 'unknown'}`, 'FILE_TYPE_CHECK');
+    }
+    if (size > MAX_DOCUMENT_SIZE) {
+      return this.createError('File exceeds the 10MB size limit', 'FILE_SIZE_CHECK');
+    }
+    return null;
+  }
+
+  static removeFile(filePath) {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+
+  // Turns uploaded files and ZIP archives into a flat list of entries.
+  // Each entry has either a multer-shaped `file` ready for the pipeline or an `error`.
+  static expandUploads(files) {
+    const entries = [];
+
+    for (const file of files) {
+      if (this.isZip(file)) {
+        try {
+          entries.push(...this.extractArchive(file));
+        } catch (error) {
+          console.error(`Failed to extract ZIP archive ${file.originalname}:`, error);
+          entries.push({
+            originalname: file.originalname,
+            error: this.createError(`Failed to extract ZIP archive: ${error.message}`, 'ZIP_EXTRACTION')
+          });
+        } finally {
+          this.removeFile(file.path);
+        }
+        continue;
+      }
+
+      file.mimetype = documentProcessor.resolveMimeType(file.mimetype, file.originalname) || file.mimetype;
+      const error = this.validateDocument(file.originalname, file.mimetype, file.size);
+      if (error) {
+        this.removeFile(file.path);
+        entries.push({ originalname: file.originalname, error });
+      } else {
+        entries.push({ originalname: file.originalname, file });
+      }
+    }
+
+    if (entries.length > MAX_BATCH_FILES) {
+      entries.forEach(entry => this.removeFile(entry.file && entry.file.path));
+      throw this.createError(`Batch contains ${entries.length} files; the limit is ${MAX_BATCH_FILES}`, 'BATCH_SIZE_CHECK');
+    }
+
+    return entries;
+  }
+
+  static extractArchive(archive) {
+    const zip = new AdmZip(archive.path);
+
+    // Skip folders and OS metadata such as __MACOSX/ and .DS_Store
+    const zipEntries = zip.getEntries().filter(entry => (
+      !entry.isDirectory &&
+      !entry.entryName.split('/').some(part => part.startsWith('.') || part === '__MACOSX')
+    ));
+
+    if (zipEntries.length > MAX_BATCH_FILES) {
+      throw new Error(`archive contains ${zipEntries.length} files; the limit is ${MAX_BATCH_FILES}`);
+    }
+
+    const entries = [];
+    const written = [];
+    let totalBytes = 0;
+    let extracted = false;
+
+    try {
+      for (const entry of zipEntries) {
+        const originalname = path.basename(entry.entryName);
+        const mimeType = documentProcessor.getMimeTypeForFilename(originalname);
+        // The declared size is only a first cut; the inflated length is checked again below
+        const error = this.validateDocument(originalname, mimeType, entry.header.size);
+        if (error) {
+          entries.push({ originalname, archive: archive.originalname, error });
+          continue;
+        }
+
+        const remaining = MAX_ARCHIVE_BYTES - totalBytes;
+        const data = this.inflateEntry(entry, Math.min(MAX_DOCUMENT_SIZE, remaining));
+        if (!data) {
+          if (remaining <= MAX_DOCUMENT_SIZE) {
+            throw new Error(`archive expands to more than ${MAX_ARCHIVE_BYTES / (1024 * 1024)}MB`);
+          }
+          entries.push({
+            originalname,
+            archive: archive.originalname,
+            error: this.createError('File exceeds the 10MB size limit', 'FILE_SIZE_CHECK')
+          });
+          continue;
+        }
+        totalBytes += data.length;
+
+        // Entries get fresh names in the upload directory, so paths inside the archive are never used on disk
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const filename = 'archive-' + uniqueSuffix + path.extname(originalname).toLowerCase();
+        const filePath = path.join(path.dirname(archive.path), filename);
+        fs.writeFileSync(filePath, data);
+        written.push(filePath);
+
+        entries.push({
+          originalname,
+          archive: archive.originalname,
+          file: {
+            path: filePath,
+            filename,
+            originalname,
+            mimetype: mimeType,
+            size: data.length
+          }
+        });
+      }
+      extracted = true;
+    } finally {
+      // Don't leave the entries written so far behind when the archive is rejected partway
+      if (!extracted) {
+        written.forEach(filePath => this.removeFile(filePath));
+      }
+    }
+
+    return entries;
+  }
+
+  // Inflates an entry without trusting the sizes in its headers.
+  // Returns null as soon as the data would grow past maxBytes.
+  static inflateEntry(entry, maxBytes) {
+    if (entry.header.encrypted) {
+      throw new Error(`${entry.entryName} is encrypted`);
+    }
+
+    const compressed = entry.getCompressedData();
+    switch (entry.header.method) {
+      case 0: // stored
+        return compressed.length > maxBytes ? null : compressed;
+      case 8: // deflated
+        try {
+          return zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(maxBytes, 1) });
+        } catch (error) {
+          if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            return null;
+          }
+          throw new Error(`${entry.entryName} could not be inflated: ${error.message}`);
+        }
+      default:
+        throw new Error(`${entry.entryName} uses unsupported compression method ${entry.header.method}`);
+    }
+  }
+
+  // Processes every entry independently so one bad file doesn't fail the whole batch.
+  // In async mode each entry becomes a processing job instead of being processed inline.
+  // options are the per-request processing options passed to DocumentPipeline
+  static async processBatch(files, { async = false, ...options } = {}) {
+    const entries = this.expandUploads(files);
+    const results = [];
+
+    for (const entry of entries) {
+      const item = { filename: entry.originalname };
+      if (entry.archive) {
+        item.archive = entry.archive;
+      }
+
+      if (entry.error) {
+        results.push({
+          ...item,
+          status: 'failed',
+          error: { message: entry.error.message, processingStep: entry.error.processingStep }
+        });
+        continue;
+      }
+
+      try {
+        if (async) {
+          const job = await jobQueue.createJob(entry.file, options);
+          results.push({ ...item, status: 'queued', jobId: job._id });
+        } else {
+          const result = await DocumentPipeline.processDocument(entry.file, undefined, options);
+          results.push({ ...item, status: 'completed', result });
+        }
+      } catch (error) {
+        console.error(`Batch entry ${entry.originalname} failed:`, error);
+        this.removeFile(entry.file.path);
+        results.push({
+          ...item,
+          status: 'failed',
+          error: { message: error.message, processingStep: error.processingStep || 'UNKNOWN', duplicate: error.duplicate }
+        });
+      }
+    }
+
+    return {
+      total: results.length,
+      completed: results.filter(r => r.status === 'completed').length,
+      queued: results.filter(r => r.status === 'queued').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      results
+    };
+  }
+}
+
+module.exports = BatchProcessor;
@@ -1,5 +1,10 @@
 const aiService = require('./aiService');
 const FormData = require('../models/FormData');
+const KeyRegistry = require('./keyRegistry');
+const PiiDetector = require('./piiDetector');
+
+// Answers that quote no extracted value are only loosely backed by the documents
+const UNGROUNDED_ANSWER_FACTOR = 0.5;
 
 class ChatService {
   
@@ -8,7 +13,7 @@ class ChatService {
     const startTime = Date.now();
     
     try {
-      console.log('Processing chat query with AI:', query);
+      console.log('Processing chat query with AI:', PiiDetector.maskText(query));
       
       // Get all documents with their key-value pairs
       const documents = await FormData.find()
@@ -20,7 +25,7 @@ class ChatService {
       if (documents.length === 0) {
         return {
           content: "You haven't uploaded any documents yet. Please upload some documents first to ask questions about them.",
-          confidence: 0.9,
+          confidence: 1,
           type: 'no_documents'
         };
       }
@@ -28,9 +33,14 @@ class ChatService {
       console.log(`Found ${documents.length} documents for AI context`);
       
       // Prepare document data for AI
+      const keyLookup = await KeyRegistry.getLookup();
       const documentData = documents.map(doc => ({
         filename: doc.originalFilename,
-        keyValuePairs: doc.keyValuePairs || [],
+        // Layout and scoring details aren't useful to the model, only the fields and how much to trust them.
+        // Keys are given as their canonical label, so "DOB" in one document and "Date of Birth" in another read as one field.
+        keyValuePairs: Array.isArray(doc.keyValuePairs)
+          ? this.toCanonicalPairs(doc.keyValuePairs, keyLookup)
+          : doc.keyValuePairs || [],
         extractedText: doc.extractedText ? doc.extractedText.substring(0, 1000) : null, // Limit text to prevent token overflow
         confidence: doc.confidence,
         processingMethod: doc.processingMethod,
@@ -38,15 +48,17 @@ class ChatService {
       }));
 
       // Use AI service to generate response
-      const aiResponse = await aiService.chatQuery(query, documentData);
+      const { response: aiResponse, provider, promptVersion, usage } = await aiService.chatQueryWithProvider(query, documentData);
       
       return {
         content: aiResponse,
-        confidence: 0.9,
+        confidence: this.estimateConfidence(aiResponse, documents),
         type: 'ai_response',
         metadata: {
           documentsUsed: documents.length,
-          aiProvider: aiService.getSelectedProvider(),
+          aiProvider: provider,
+          promptVersion,
+          aiUsage: usage,
           processingTime: Date.now() - startTime
         }
       };
@@ -64,6 +76,44 @@ class ChatService {
     }
   }
 
+  // Same-field pairs are listed together under the registry label; originalKey keeps the document's own spelling
+  static toCanonicalPairs(keyValuePairs, keyLookup) {
+    const groups = new Map();
+    for (const { key, value, page, confidence } of keyValuePairs) {
+      const canonical = KeyRegistry.resolve(keyLookup, key);
+      const label = canonical.label || key;
+      if (!groups.has(canonical.key)) groups.set(canonical.key, []);
+      groups.get(canonical.key).push(label === key
+        ? { key, value, page, confidence }
+        : { key: label, originalKey: key, value, page, confidence });
+    }
+    return [...groups.values()].flat();
+  }
+
+  // Rates an answer by the confidence of the extracted values it quotes,
+  // falling back to a discounted average document confidence when it quotes none
+  static estimateConfidence(answer, documents) {
+    const answerText = String(answer).toLowerCase();
+    const quotedConfidences = [];
+
+    documents.forEach(doc => {
+      (Array.isArray(doc.keyValuePairs) ? doc.keyValuePairs : []).forEach(pair => {
+        const value = String(pair.value ?? '').trim().toLowerCase();
+        if (value.length >= 2 && answerText.includes(value)) {
+          quotedConfidences.push(typeof pair.confidence === 'number' ? pair.confidence : doc.confidence || 0);
+        }
+      });
+    });
+
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    if (quotedConfidences.length > 0) {
+      return Math.round(average(quotedConfidences) * 100) / 100;
+    }
+
+    const documentConfidences = documents.map(doc => doc.confidence || 0);
+    return Math.round(average(documentConfidences) * UNGROUNDED_ANSWER_FACTOR * 100) / 100;
+  }
+
   // Helper method to get document statistics for debugging
   static async getDocumentStats() {
     try {
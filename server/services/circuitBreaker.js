@@ -0,0 +1,79 @@
+// closed: calls go through, open: calls are skipped until resetTimeout passes,
+// half_open: one trial call decides whether to close again or re-open; other calls are skipped while it runs
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeout = 60000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    // When the half_open trial call started; null when none is running
+    this.probeStartedAt = null;
+    this.lastFailure = null;
+    this.lastSuccessAt = null;
+    this.totals = { requests: 0, successes: 0, failures: 0, skipped: 0 };
+  }
+
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half_open';
+    }
+
+    if (this.state === 'half_open') {
+      // A trial call that never reported back (e.g. its caller threw first) stops blocking after resetTimeout
+      if (this.probeStartedAt !== null && Date.now() - this.probeStartedAt < this.resetTimeout) {
+        this.totals.skipped++;
+        return false;
+      }
+      this.probeStartedAt = Date.now();
+      return true;
+    }
+
+    if (this.state === 'open') {
+      this.totals.skipped++;
+      return false;
+    }
+    return true;
+  }
+
+  recordSuccess() {
+    this.totals.requests++;
+    this.totals.successes++;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeStartedAt = null;
+    this.lastSuccessAt = new Date();
+  }
+
+  recordFailure(error) {
+    this.totals.requests++;
+    this.totals.failures++;
+    this.consecutiveFailures++;
+    this.lastFailure = { message: error.message, at: new Date() };
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.probeStartedAt = null;
+    }
+  }
+
+  getStatus() {
+    // Reading the status shouldn't count as a skipped call
+    const state = this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout ? 'half_open' : this.state;
+
+    return {
+      state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      retryAt: state === 'open' ? new Date(this.openedAt + this.resetTimeout) : null,
+      probeInFlight: this.probeStartedAt !== null,
+      lastFailure: this.lastFailure,
+      lastSuccessAt: this.lastSuccessAt,
+      totals: { ...this.totals }
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,167 @@
+// Fields scoring below this are flagged as low confidence for review
+const LOW_CONFIDENCE_THRESHOLD = parseFloat(process.env.LOW_CONFIDENCE_THRESHOLD) || 0.6;
+
+// Used when the AI provider doesn't report its own certainty for a field
+const DEFAULT_PROVIDER_CONFIDENCE = 0.8;
+
+// A value that can't be found among the page words may have been reworded or invented by the provider
+const UNLOCATED_VALUE_PENALTY = 0.8;
+
+// Multiplier applied when a value fails the format check for its key
+const FAILED_VALIDATION_PENALTY = 0.6;
+
+const MAX_VALUE_LENGTH = 500;
+
+// The first rule whose key pattern matches decides the expected value format
+const VALIDATION_RULES = [
+  {
+    name: 'email',
+    keyPattern: /e-?mail/i,
+    test: value => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value),
+    message: 'Value is not a valid email address'
+  },
+  {
+    name: 'date',
+    keyPattern: /date|dob|birth|expir|issued|valid (from|until|thru)/i,
+    test: value => /\d/.test(value) && (
+      !isNaN(Date.parse(value)) || /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/.test(value.trim())
+    ),
+    message: 'Value does not look like a date'
+  },
+  {
+    name: 'amount',
+    // Skips identifiers such as "Tax ID" or "Total Pages"
+    keyPattern: /^(?!.*\b(id|number|no|code|pages?|items?|count)\b).*(amount|total|price|cost|balance|tax|fee)/i,
+    test: value => /^[^\d-]{0,4}-?[\d.,\s']*\d[\d.,\s']*(\s?[a-z]{0,3})?$/i.test(value.trim()),
+    message: 'Value does not look like an amount'
+  },
+  {
+    name: 'phone',
+    keyPattern: /phone|tel\b|telephone|fax|mobile|cell/i,
+    test: value => {
+      const digits = value.replace(/\D/g, '').length;
+      return digits >= 7 && digits <= 15 && /^[\d\s()+.\-x]+$/i.test(value.trim());
+    },
+    message: 'Value does not look like a phone number'
+  },
+  {
+    name: 'postal_code',
+    keyPattern: /zip|postal|postcode/i,
+    test: value => /^[a-z0-9][a-z0-9\s-]{1,9}$/i.test(value.trim()),
+    message: 'Value does not look like a postal code'
+  }
+];
+
+class ConfidenceService {
+
+  static get lowConfidenceThreshold() {
+    return LOW_CONFIDENCE_THRESHOLD;
+  }
+
+  static round(value) {
+    return Math.round(Math.min(Math.max(value, 0), 1) * 100) / 100;
+  }
+
+  static average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  }
+
+  // Words without a confidence come from a text layer or text file and are read exactly
+  static wordConfidence(word) {
+    return typeof word.confidence === 'number' ? word.confidence : 1;
+  }
+
+  static isInsideBox(word, box) {
+    const centerX = word.box.x + word.box.width / 2;
+    const centerY = word.box.y + word.box.height / 2;
+    return centerX >= box.x && centerX <= box.x + box.width &&
+      centerY >= box.y && centerY <= box.y + box.height;
+  }
+
+  // How reliably the OCR engine read the value, from the words under its bounding box
+  static getOcrConfidence(pair, pages) {
+    const page = pages.find(candidate => candidate.pageNumber === (pair.page || 1));
+    if (!page || !page.words || page.words.length === 0) {
+      return 1;
+    }
+
+    if (pair.boundingBox) {
+      const valueWords = page.words.filter(word => this.isInsideBox(word, pair.boundingBox));
+      if (valueWords.length > 0) {
+        return this.average(valueWords.map(word => this.wordConfidence(word)));
+      }
+    }
+
+    return this.average(page.words.map(word => this.wordConfidence(word))) * UNLOCATED_VALUE_PENALTY;
+  }
+
+  static getProviderConfidence(pair) {
+    const confidence = parseFloat(pair.providerConfidence);
+    return confidence >= 0 && confidence <= 1 ? confidence : DEFAULT_PROVIDER_CONFIDENCE;
+  }
+
+  // Returns { valid, rule, message }; valid is null when no rule applies to the key
+  static validate(key, value) {
+    const text = value === null || value === undefined ? '' : String(value);
+
+    if (!text.trim()) {
+      return { valid: false, rule: 'not_empty', message: 'Value is empty' };
+    }
+    if (text.length > MAX_VALUE_LENGTH) {
+      return { valid: false, rule: 'max_length', message: 'Value is unusually long for a single field' };
+    }
+
+    const rule = VALIDATION_RULES.find(candidate => candidate.keyPattern.test(key || ''));
+    if (!rule) {
+      return { valid: null };
+    }
+
+    return rule.test(text)
+      ? { valid: true, rule: rule.name }
+      : { valid: false, rule: rule.name, message: rule.message };
+  }
+
+  // Adds confidence (0-1), its sources and a lowConfidence flag to each pair.
+  // Expects bounding boxes to be attached already (LayoutService.attachBoundingBoxes).
+  static scoreKeyValuePairs(keyValuePairs, pages) {
+    return keyValuePairs.map(({ providerConfidence, ...pair }) => {
+      const ocr = this.getOcrConfidence(pair, pages);
+      const provider = this.getProviderConfidence({ providerConfidence });
+      const validation = this.validate(pair.key, pair.value);
+
+      let confidence = (ocr + provider) / 2;
+      if (validation.valid === false) {
+        confidence *= FAILED_VALIDATION_PENALTY;
+      }
+      confidence = this.round(confidence);
+
+      const scoredPair = {
+        ...pair,
+        confidence,
+        confidenceSources: {
+          ocr: this.round(ocr),
+          provider: this.round(provider),
+          validation: validation.valid
+        },
+        lowConfidence: confidence < LOW_CONFIDENCE_THRESHOLD
+      };
+      if (validation.valid === false) {
+        scoredPair.validationIssue = validation.message;
+      }
+      return scoredPair;
+    });
+  }
+
+  // Document confidence is the mean field confidence, or the OCR confidence when nothing was extracted
+  static getDocumentConfidence(keyValuePairs, pages) {
+    const fieldConfidence = this.average(keyValuePairs.map(pair => pair.confidence));
+    if (fieldConfidence !== null) {
+      return this.round(fieldConfidence);
+    }
+
+    const words = pages.flatMap(page => page.words || []);
+    return words.length > 0 ? this.round(this.average(words.map(word => this.wordConfidence(word)))) : 0;
+  }
+}
+
+module.exports = ConfidenceService;
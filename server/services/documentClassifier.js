@@ -0,0 +1,126 @@
+// Document types a document can be classified as, with the phrases the rule-based classifier looks for
+const DOCUMENT_TYPES = [
+  {
+    type: 'invoice',
+    label: 'Invoice',
+    patterns: [/\binvoice\b/, /\binvoice\s*(no|number|#)/, /\bbill\s*to\b/, /\bdue\s*date\b/, /\bamount\s*due\b/, /\bpayment\s*terms\b/, /\bp\.?o\.?\s*(no|number|#)/]
+  },
+  {
+    type: 'receipt',
+    label: 'Receipt',
+    patterns: [/\breceipt\b/, /\bcashier\b/, /\bsubtotal\b/, /\bchange\s*(due)?\b/, /thank you for (shopping|your (purchase|visit))/, /\b(visa|mastercard|amex|debit)\b/, /\bstore\s*#?\s*\d+/]
+  },
+  {
+    type: 'id_card',
+    label: 'ID Card',
+    patterns: [/\b(identification|identity|id)\s*card\b/, /\bdriver'?s?\s*licen[cs]e\b/, /\bpassport\b/, /\b(date of birth|dob)\b/, /\bsex\b/, /\b(eyes|hgt|height|wgt)\b/, /\bexp(ires|iration)?\b/]
+  },
+  {
+    type: 'bank_statement',
+    label: 'Bank Statement',
+    patterns: [/\b(account|bank)\s*statement\b/, /\bstatement\s*(period|date)\b/, /\b(opening|beginning)\s*balance\b/, /\b(closing|ending)\s*balance\b/, /\bdeposits?\b/, /\bwithdrawals?\b/, /\brouting\b/]
+  },
+  {
+    type: 'insurance_policy',
+    label: 'Insurance Policy',
+    patterns: [/\binsurance\b/, /\bpolicy\s*(number|no|holder|period)\b/, /\bpolicyholder\b/, /\bpremium\b/, /\binsured\b/, /\bcoverage\b/, /\bdeductible\b/]
+  },
+  {
+    type: 'tax_form',
+    label: 'Tax Form',
+    patterns: [/\bw-?2\b/, /\b1099\b/, /\bwages,?\s*tips\b/, /\bemployer identification\b/, /\bfederal income tax withheld\b/, /\bsocial security wages\b/, /\btax\s*year\b/]
+  },
+  {
+    type: 'pay_stub',
+    label: 'Pay Stub',
+    patterns: [/\bpay\s*(period|date|stub|slip)\b/, /\bgross\s*pay\b/, /\bnet\s*pay\b/, /\b(year to date|ytd)\b/, /\bdeductions\b/, /\bearnings\b/]
+  },
+  {
+    type: 'utility_bill',
+    label: 'Utility Bill',
+    patterns: [/\butility\b/, /\b(electric|electricity|gas|water|internet)\s*(service|bill|usage|charges)\b/, /\bkwh\b/, /\bmeter\b/, /\bservice\s*(address|period)\b/, /\bbilling\s*period\b/]
+  },
+  {
+    type: 'contract',
+    label: 'Contract',
+    patterns: [/\bagreement\b/, /\bparties\b/, /\bhereby\b/, /\bwhereas\b/, /\bterms and conditions\b/, /\bin witness whereof\b/]
+  },
+  {
+    type: 'other',
+    label: 'Other',
+    patterns: []
+  }
+];
+
+const TYPE_NAMES = DOCUMENT_TYPES.map(entry => entry.type);
+
+// The first pages say what a document is; classifying the whole text only costs tokens
+const CLASSIFICATION_TEXT_LIMIT = 4000;
+
+class DocumentClassifier {
+
+  static get DOCUMENT_TYPES() {
+    return DOCUMENT_TYPES.map(({ type, label }) => ({ type, label }));
+  }
+
+  static isValidType(type) {
+    return TYPE_NAMES.includes(type);
+  }
+
+  static getLabel(type) {
+    return DOCUMENT_TYPES.find(entry => entry.type === type)?.label || type;
+  }
+
+  static getClassificationText(text) {
+    return String(text || '').substring(0, CLASSIFICATION_TEXT_LIMIT);
+  }
+
+  // Scores each type by how many of its phrases appear. Confidence grows with the number of matches
+  // and shrinks when the runner-up matches almost as often.
+  static classifyByRules(text) {
+    const normalized = this.getClassificationText(text).toLowerCase();
+    const scores = DOCUMENT_TYPES
+      .map(entry => ({ type: entry.type, score: entry.patterns.filter(pattern => pattern.test(normalized)).length }))
+      .sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = scores;
+    if (best.score === 0) {
+      return { type: 'other', label: this.getLabel('other'), confidence: 0.3 };
+    }
+
+    const confidence = Math.min(best.score / (best.score + runnerUp.score + 1), 0.95);
+    return { type: best.type, label: this.getLabel(best.type), confidence: Math.round(confidence * 100) / 100 };
+  }
+
+  // Variables of the classification prompt
+  static getPromptVariables() {
+    return { typeList: DOCUMENT_TYPES.map(({ type, label }) => `- ${type} (${label})`).join('\n') };
+  }
+
+  // Returns the parsed { type, confidence } object from a provider response, or null when it holds no JSON object
+  static parseResponse(content) {
+    const jsonMatch = String(content || '').match(/\{.*\}/s);
+    if (!jsonMatch) return null;
+
+    try {
+      return JSON.parse(jsonMatch[0]);
+    } catch (parseError) {
+      return null;
+    }
+  }
+
+  // Providers answer free-form JSON; anything outside the known types becomes "other"
+  static normalizeResult(result) {
+    const type = String(result?.type || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+    const confidence = Number(result?.confidence);
+    const knownType = this.isValidType(type) ? type : 'other';
+
+    return {
+      type: knownType,
+      label: this.getLabel(knownType),
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.5
+    };
+  }
+}
+
+module.exports = DocumentClassifier;
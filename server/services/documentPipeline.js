@@ -0,0 +1,252 @@
+const fs = require('fs');
+const FormData = require('../models/FormData');
+const PageWords = require('../models/PageWords');
+const KeyValueIndexService = require('./keyValueIndexService');
+const LayoutService = require('./layoutService');
+const ConfidenceService = require('./confidenceService');
+const documentProcessor = require('./documentProcessor');
+const aiService = require('./aiService');
+const fileStore = require('./fileStore');
+const DuplicateDetector = require('./duplicateDetector');
+const TemplateService = require('./templateService');
+const DocumentClassifier = require('./documentClassifier');
+const ValueNormalizer = require('./valueNormalizer');
+const UsageService = require('./usageService');
+const PiiDetector = require('./piiDetector');
+const SearchService = require('./searchService');
+
+class DocumentPipeline {
+
+  // Runs OCR, AI extraction and indexing for an uploaded file (multer file shape).
+  // onProgress(stage, fraction) is called as each stage advances.
+  // options.duplicatePolicy is one of DuplicateDetector.DUPLICATE_POLICIES,
+  // options.ocrEngines an OCR engine chain from ocrService.resolveChain,
+  // options.templateId a DocumentTemplate id or key whose fields are extracted instead of generic pairs,
+  // options.locale the locale used to read ambiguous dates, numbers and phone numbers (NORMALIZATION_LOCALE by default).
+  static async processDocument(file, onProgress = () => {}, options = {}) {
+    const startTime = Date.now();
+    let formData = null;
+    let filesStored = false;
+
+    try {
+      console.log(`Processing file: ${file.originalname}`);
+      const duplicatePolicy = DuplicateDetector.resolvePolicy(options.duplicatePolicy);
+      // Resolved here rather than trusted from the request, since a queued job may outlive its template
+      const template = options.templateId ? await TemplateService.resolveTemplate(options.templateId) : null;
+      const locale = ValueNormalizer.resolveLocale(options.locale);
+
+      // Exact copies are caught before OCR and AI run
+      const contentHash = await DuplicateDetector.hashFile(file.path);
+      if (duplicatePolicy !== 'allow') {
+        const existing = await DuplicateDetector.findExactDuplicate(contentHash);
+        if (existing) {
+          const duplicate = { documentId: existing._id, originalFilename: existing.originalFilename };
+          if (duplicatePolicy === 'reject') {
+            throw DuplicateDetector.createDuplicateError('exact', duplicate);
+          }
+
+          console.log(`${file.originalname} is an exact duplicate of document ${existing._id}`);
+          return {
+            id: existing._id,
+            keyValuePairs: existing.keyValuePairs,
+            pageCount: existing.metadata?.pageCount || existing.pages.length || 1,
+            confidence: existing.confidence,
+            missingFields: existing.missingFields,
+            classification: existing.classification,
+            originalFilename: existing.originalFilename,
+            processingTime: Date.now() - startTime,
+            duplicate: { type: 'exact', ...duplicate }
+          };
+        }
+      }
+
+      onProgress('ocr', 0);
+      const pages = await documentProcessor.extractPages(file.path, file.mimetype, fraction => {
+        onProgress('ocr', fraction);
+      }, options.ocrEngines);
+      const extractedText = documentProcessor.joinPages(pages);
+      const ocrEngines = [...new Set(pages.map(page => page.ocrEngine).filter(Boolean))];
+
+      if (!extractedText.trim()) {
+        const error = new Error('No text content found in the document');
+        error.processingStep = 'NO_TEXT_CONTENT';
+        throw error;
+      }
+
+      onProgress('ai_extraction', 0);
+      const {
+        keyValuePairs: extractedPairs,
+        providers: aiProviders,
+        promptVersions: extractionPromptVersions,
+        usage: extractionUsage
+      } = await aiService.extractKeyValuePairsFromPages(pages, template);
+      let keyValuePairs = ConfidenceService.scoreKeyValuePairs(
+        LayoutService.attachBoundingBoxes(extractedPairs, pages),
+        pages
+      );
+      let missingFields;
+      const templateReference = template ? TemplateService.toDocumentReference(template) : undefined;
+      if (template) {
+        ({ keyValuePairs, missingFields } = TemplateService.applyTemplate(keyValuePairs, template));
+      }
+      keyValuePairs = ValueNormalizer.normalizePairs(keyValuePairs, {
+        locale,
+        getFieldType: key => template ? TemplateService.findField(template, key)?.type : undefined
+      });
+      keyValuePairs = PiiDetector.tagPairs(keyValuePairs);
+      const piiTypes = [...new Set([
+        ...PiiDetector.getPiiTypes(keyValuePairs),
+        ...PiiDetector.detectInText(extractedText).map(match => match.type)
+      ])];
+      const confidence = ConfidenceService.getDocumentConfidence(keyValuePairs, pages);
+      const { promptVersion: classificationPromptVersion, usage: classificationUsage = [], ...classification } = await this.classifyDocument(extractedText);
+      const promptVersions = [...extractionPromptVersions, classificationPromptVersion].filter(Boolean);
+      const aiUsage = [...extractionUsage, ...classificationUsage];
+
+      // Near-duplicates (another scan of the same document) can only be spotted after extraction
+      const textHash = DuplicateDetector.hashText(extractedText);
+      const fieldsHash = DuplicateDetector.hashFields(keyValuePairs);
+      let nearDuplicate = null;
+      if (duplicatePolicy !== 'allow') {
+        nearDuplicate = await DuplicateDetector.findNearDuplicate(textHash, fieldsHash);
+        if (nearDuplicate && duplicatePolicy === 'reject') {
+          throw DuplicateDetector.createDuplicateError('near', nearDuplicate);
+        }
+      }
+      const processingTime = Date.now() - startTime;
+
+      onProgress('indexing', 0);
+      formData = new FormData({
+        filename: file.filename,
+        originalFilename: file.originalname,
+        keyValuePairs: keyValuePairs,
+        confidence,
+        extractedText: extractedText,
+        contentHash,
+        textHash,
+        fieldsHash,
+        ocrEngines,
+        duplicateOf: nearDuplicate ? { documentId: nearDuplicate.documentId, reason: nearDuplicate.reason } : undefined,
+        template: templateReference,
+        missingFields,
+        classification,
+        locale,
+        // The provider that actually answered, which may be a fallback rather than the first in the chain
+        processingMethod: aiProviders[0] || aiService.getSelectedProvider(),
+        aiProviders,
+        promptVersions,
+        piiTypes,
+        searchTerms: SearchService.getSearchTerms({ originalFilename: file.originalname, keyValuePairs, extractedText }),
+        metadata: {
+          fileSize: file.size,
+          mimeType: file.mimetype,
+          processingTime: processingTime,
+          pageCount: pages.length,
+          extractedAt: new Date(),
+          aiUsage
+        }
+      });
+
+      filesStored = true;
+      formData.storage = await this.storeFiles(formData._id, file, pages);
+      formData.pages = pages.map(({ renders, words, ...page }) => page);
+
+      await formData.save();
+      console.log(`Saved form data to database with ID: ${formData._id}`);
+      await this.savePageWords(formData._id, pages);
+
+      // Index key-value pairs for fast searching
+      await KeyValueIndexService.indexKeyValuePairs(
+        formData._id,
+        formData.filename,
+        formData.originalFilename,
+        keyValuePairs,
+        formData.metadata.extractedAt
+      );
+      onProgress('indexing', 1);
+
+      const result = {
+        id: formData._id,
+        keyValuePairs,
+        pageCount: pages.length,
+        confidence,
+        originalFilename: file.originalname,
+        template: templateReference,
+        missingFields,
+        classification,
+        ocrEngines,
+        aiProviders,
+        promptVersions,
+        piiTypes,
+        aiUsage: UsageService.summarize(aiUsage),
+        processingTime: processingTime
+      };
+      if (nearDuplicate) {
+        result.duplicate = { type: 'near', ...nearDuplicate };
+      }
+      return result;
+    } catch (error) {
+      // Once the document is saved its stored files belong to it, even if indexing fails
+      if (filesStored && formData.isNew) {
+        await fileStore.deleteDocumentFiles(formData._id).catch(cleanupError => {
+          console.warn(`Failed to remove stored files for ${formData._id}:`, cleanupError.message);
+        });
+      }
+      throw error;
+    } finally {
+      // Clean up file
+      if (fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    }
+  }
+
+  // Word boxes are saved to their own collection, one entry per page that has words
+  static async savePageWords(documentId, pages) {
+    const entries = pages
+      .filter(page => page.words && page.words.length > 0)
+      .map(page => ({ documentId, pageNumber: page.pageNumber, words: page.words }));
+    if (entries.length > 0) {
+      await PageWords.insertMany(entries);
+    }
+  }
+
+  // Classification is informational, so when every provider fails the offline rules answer instead of failing the upload
+  static async classifyDocument(text) {
+    try {
+      const { provider, ...classification } = await aiService.classifyDocument(text);
+      return { ...classification, method: provider === 'mock' ? 'rules' : 'llm', provider };
+    } catch (error) {
+      // Except a missing replay fixture, which the rules would quietly paper over
+      if (error.processingStep === 'REPLAY') {
+        throw error;
+      }
+      console.warn('AI classification failed, falling back to rules:', error.message);
+      return { ...DocumentClassifier.classifyByRules(text), method: 'rules' };
+    }
+  }
+
+  // Keeps the original upload and the rendered page images, recording their keys on the pages
+  static async storeFiles(documentId, file, pages) {
+    try {
+      const originalKey = fileStore.originalKey(documentId, file.originalname);
+      await fileStore.save(originalKey, await fs.promises.readFile(file.path), file.mimetype);
+
+      for (const page of pages) {
+        if (!page.renders) continue;
+
+        page.image = fileStore.pageImageKey(documentId, page.pageNumber);
+        page.thumbnail = fileStore.pageThumbnailKey(documentId, page.pageNumber);
+        await fileStore.save(page.image, page.renders.image, 'image/jpeg');
+        await fileStore.save(page.thumbnail, page.renders.thumbnail, 'image/jpeg');
+      }
+
+      return { backend: fileStore.backendName, originalKey };
+    } catch (error) {
+      error.processingStep = 'FILE_STORAGE';
+      throw error;
+    }
+  }
+}
+
+module.exports = DocumentPipeline;
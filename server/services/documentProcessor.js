@@ -1,34 +1,83 @@
 const fs = require('fs');
 const path = require('path');
-const pdfParse = require('pdf-parse');
-const Tesseract = require('tesseract.js');
 const sharp = require('sharp');
-const vision = require('@google-cloud/vision');
+const mammoth = require('mammoth');
+const heicConvert = require('heic-convert');
+const { simpleParser } = require('mailparser');
+const LayoutService = require('./layoutService');
+const ocrService = require('./ocrService');
 require('dotenv').config();
 
+// File extensions accepted for each supported MIME type
+const SUPPORTED_TYPES = {
+  'application/pdf': ['.pdf'],
+  'image/jpeg': ['.jpeg', '.jpg'],
+  'image/jpg': ['.jpg'],
+  'image/png': ['.png'],
+  'image/tiff': ['.tif', '.tiff'],
+  'image/webp': ['.webp'],
+  'image/heic': ['.heic'],
+  'image/heif': ['.heif'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'text/plain': ['.txt'],
+  'message/rfc822': ['.eml']
+};
+
+// Scale 2 renders at 144 DPI, enough for OCR without oversized page images
+const PDF_RENDER_SCALE = 2;
+const PDF_STANDARD_FONTS_PATH = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+// Page previews shown in the document viewer; the pipeline moves them into the file store
+const PAGE_IMAGE_MAX_WIDTH = 1600;
+const PAGE_THUMBNAIL_WIDTH = 240;
+
 class DocumentProcessor {
-  constructor() {
-    const credentials = process.env.GOOGLE_APPLICATION_CREDENTIALS;
-    const projectId = process.env.GOOGLE_CLOUD_PROJECT_ID;
-    
-    if (credentials && fs.existsSync(credentials)) {
-      this.visionClient = new vision.ImageAnnotatorClient({
-        keyFilename: credentials,
-        projectId: projectId
-      });
-    } else {
-      console.warn('Google Cloud Vision credentials not found. Vision API will be unavailable.');
-      this.visionClient = null;
+  isSupportedType(mimeType) {
+    return Object.prototype.hasOwnProperty.call(SUPPORTED_TYPES, mimeType);
+  }
+
+  getMimeTypeForFilename(filename) {
+    const extension = path.extname(filename).toLowerCase();
+    return Object.keys(SUPPORTED_TYPES).find(mimeType => SUPPORTED_TYPES[mimeType].includes(extension)) || null;
+  }
+
+  // Browsers often send HEIC and EML files as application/octet-stream or with no type at all
+  resolveMimeType(mimeType, filename) {
+    if (this.isSupportedType(mimeType)) {
+      return mimeType;
     }
+    return this.getMimeTypeForFilename(filename);
   }
+
   async extractText(filePath, mimeType) {
+    const pages = await this.extractPages(filePath, mimeType);
+    return this.joinPages(pages);
+  }
+
+  // onProgress receives the OCR completion fraction (0-1) across all pages.
+  // ocrEngines is the engine chain for image pages (see ocrService.resolveChain).
+  async extractPages(filePath, mimeType, onProgress = () => {}, ocrEngines = undefined) {
     try {
       console.log(`Starting text extraction for ${mimeType} file: ${filePath}`);
       
       if (mimeType === 'application/pdf') {
-        return await this.extractFromPDF(filePath);
+        return await this.extractFromPDF(filePath, onProgress, ocrEngines);
       } else if (mimeType === 'image/jpeg' || mimeType === 'image/jpg' || mimeType === 'image/png') {
-        return await this.extractFromImage(filePath);
+        const { text, words, engine } = await this.extractFromImage(filePath, onProgress, ocrEngines);
+        onProgress(1);
+        return [{ pageNumber: 1, text, words, ocrEngine: engine, renders: await this.renderPageImages(filePath, 1) }];
+      } else if (mimeType === 'image/tiff') {
+        return await this.extractFromTIFF(filePath, onProgress, ocrEngines);
+      } else if (mimeType === 'image/webp') {
+        return await this.extractFromWebP(filePath, onProgress, ocrEngines);
+      } else if (mimeType === 'image/heic' || mimeType === 'image/heif') {
+        return await this.extractFromHEIC(filePath, onProgress, ocrEngines);
+      } else if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+        return await this.extractFromDOCX(filePath);
+      } else if (mimeType === 'text/plain') {
+        return this.extractFromTextFile(filePath);
+      } else if (mimeType === 'message/rfc822') {
+        return await this.extractFromEmail(filePath);
       } else {
         const error = new Error(`Unsupported file type: ${mimeType}`);
         error.processingStep = 'FILE_TYPE_CHECK';
@@ -43,7 +92,58 @@ class DocumentProcessor {
     }
   }
 
-  async extractFromPDF(filePath) {
+  joinPages(pages) {
+    return pages.map(page => page.text).filter(text => text).join('\n\n');
+  }
+
+  async renderPageImages(sourcePath, pageNumber) {
+    try {
+      const source = sharp(sourcePath).flatten({ background: '#ffffff' });
+      const [image, thumbnail] = await Promise.all([
+        source.clone()
+          .resize(PAGE_IMAGE_MAX_WIDTH, null, { withoutEnlargement: true })
+          .jpeg({ quality: 80 })
+          .toBuffer(),
+        source.clone()
+          .resize(PAGE_THUMBNAIL_WIDTH, null, { withoutEnlargement: true })
+          .jpeg({ quality: 70 })
+          .toBuffer()
+      ]);
+      return { image, thumbnail };
+    } catch (error) {
+      // A missing preview only affects the viewer, so it shouldn't fail extraction
+      console.warn(`Failed to render image for page ${pageNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  async loadPDF(dataBuffer) {
+    if (!this.pdfjs) {
+      this.pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+
+    return this.pdfjs.getDocument({
+      data: new Uint8Array(dataBuffer),
+      standardFontDataUrl: PDF_STANDARD_FONTS_PATH,
+      verbosity: this.pdfjs.VerbosityLevel.ERRORS
+    }).promise;
+  }
+
+  hasReadableText(text) {
+    const cleanText = text.trim();
+    if (cleanText.length <= 20) {
+      return false;
+    }
+
+    // Check if it's mostly meaningful text (not just metadata or symbols)
+    const meaningfulChars = cleanText.replace(/\s/g, '').length;
+    const alphanumericChars = (cleanText.match(/[a-zA-Z0-9]/g) || []).length;
+    return alphanumericChars / meaningfulChars > 0.3;
+  }
+
+  async extractFromPDF(filePath, onProgress = () => {}, ocrEngines = undefined) {
+    let pdfDocument = null;
+
     try {
       console.log('Processing PDF file:', filePath);
       const dataBuffer = fs.readFileSync(filePath);
@@ -51,186 +151,302 @@ class DocumentProcessor {
       // Check if file is actually a PDF
       const fileHeader = dataBuffer.slice(0, 4).toString();
       if (fileHeader !== '%PDF') {
-        throw new Error('File does not appear to be a valid PDF');
+        const error = new Error('File does not appear to be a valid PDF');
+        error.processingStep = 'PDF_VALIDATION';
+        throw error;
       }
       
-      const data = await pdfParse(dataBuffer);
-      
-      console.log(`PDF parsed. Pages: ${data.numpages}, Text length: ${data.text.length}`);
-      
-      // If PDF has meaningful text content, return it
-      const cleanText = data.text.trim();
-      if (cleanText.length > 20) {
-        // Check if it's mostly meaningful text (not just metadata or symbols)
-        const meaningfulChars = cleanText.replace(/[\\s\\n\\r\\t]/g, '').length;
-        const alphanumericChars = (cleanText.match(/[a-zA-Z0-9]/g) || []).length;
-        
-        if (alphanumericChars / meaningfulChars > 0.3) {
-          console.log('PDF contains readable text content');
-          return cleanText;
-        }
+      pdfDocument = await this.loadPDF(dataBuffer);
+      console.log(`PDF loaded. Pages: ${pdfDocument.numPages}`);
+
+      // Pages are handled one at a time so mixed PDFs can combine text-layer and OCR pages
+      const { numPages } = pdfDocument;
+      const pages = [];
+      for (let pageNumber = 1; pageNumber <= numPages; pageNumber++) {
+        const page = await this.extractFromPDFPage(pdfDocument, pageNumber, filePath, pageFraction => {
+          onProgress((pageNumber - 1 + pageFraction) / numPages);
+        }, ocrEngines);
+        pages.push(page);
+        onProgress(pageNumber / numPages);
       }
-      
-      console.log('PDF appears to be scanned/image-based or contains minimal text, attempting OCR...');
-      return await this.extractFromScannedPDF(filePath);
+
+      return pages;
       
     } catch (error) {
       console.error('PDF extraction error:', error);
-      
-      // If it's our helpful message about scanned PDFs, pass it through
-      if (error.processingStep === 'PDF_IMAGE_CONVERSION_UNAVAILABLE') {
-        throw error;
+      if (!error.processingStep) {
+        error.processingStep = 'PDF_TEXT_EXTRACTION';
       }
-      
-      error.processingStep = 'PDF_TEXT_EXTRACTION';
-      
-      // If pdf-parse fails completely, try OCR approach
-      console.log('PDF parsing failed, attempting OCR extraction...');
+      throw error;
+    } finally {
+      if (pdfDocument) {
+        await pdfDocument.destroy();
+      }
+    }
+  }
+
+  async extractFromPDFPage(pdfDocument, pageNumber, filePath, onProgress = () => {}, ocrEngines = undefined) {
+    const page = await pdfDocument.getPage(pageNumber);
+    let imagePath = null;
+
+    try {
+      const textContent = await page.getTextContent();
+      const pageText = textContent.items
+        .map(item => item.str + (item.hasEOL ? '\n' : ''))
+        .join('')
+        .trim();
+
+      // Every page is rendered: text-layer pages need it for the viewer, scanned pages for OCR too
+      const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+      imagePath = await this.renderPDFPage(pdfDocument, page, viewport, filePath);
+
+      if (this.hasReadableText(pageText)) {
+        console.log(`PDF page ${pageNumber} contains readable text content`);
+        return {
+          pageNumber,
+          text: pageText,
+          words: this.getPDFTextWords(textContent, viewport),
+          renders: await this.renderPageImages(imagePath, pageNumber)
+        };
+      }
+
+      console.log(`PDF page ${pageNumber} appears to be scanned/image-based, attempting OCR...`);
+
       try {
-        return await this.extractFromScannedPDF(filePath);
-      } catch (ocrError) {
-        console.error('PDF OCR extraction also failed:', ocrError);
-        
-        // Return the more helpful error message
-        if (ocrError.processingStep === 'PDF_IMAGE_CONVERSION_UNAVAILABLE') {
-          throw ocrError;
-        }
-        
-        ocrError.processingStep = 'PDF_OCR_FALLBACK';
-        const combinedError = new Error(`PDF processing failed: ${error.message}. ${ocrError.message}`);
-        combinedError.processingStep = 'PDF_COMPLETE_FAILURE';
-        throw combinedError;
+        const { text, words, engine } = await this.extractFromImage(imagePath, onProgress, ocrEngines);
+        return { pageNumber, text, words, ocrEngine: engine, renders: await this.renderPageImages(imagePath, pageNumber) };
+      } catch (error) {
+        const pageError = new Error(`OCR failed on PDF page ${pageNumber}: ${error.message}`);
+        pageError.processingStep = 'PDF_PAGE_OCR';
+        throw pageError;
       }
+    } finally {
+      this.removeTempFile(imagePath);
+      page.cleanup();
     }
   }
 
-  async preprocessImage(filePath) {
-    const tempPath = path.join(path.dirname(filePath), 'temp_processed_' + path.basename(filePath));
-    
+  getTempImagePath(filePath, label) {
+    return path.join(
+      path.dirname(filePath),
+      `temp_${label}_${path.basename(filePath, path.extname(filePath))}.png`
+    );
+  }
+
+  getPDFTextWords(textContent, viewport) {
+    const words = [];
+
+    textContent.items.forEach(item => {
+      if (!item.str || !item.str.trim()) return;
+
+      const [, , , , x, y] = item.transform;
+      const [x0, y0, x1, y1] = viewport.convertToViewportRectangle([x, y, x + item.width, y + item.height]);
+      const left = Math.min(x0, x1);
+      const charWidth = Math.abs(x1 - x0) / item.str.length;
+
+      // A text item can hold a whole run of words, so split its width proportionally by character
+      const wordPattern = /\S+/g;
+      let match;
+      while ((match = wordPattern.exec(item.str)) !== null) {
+        words.push(LayoutService.createWord(match[0], {
+          x0: left + match.index * charWidth,
+          y0,
+          x1: left + (match.index + match[0].length) * charWidth,
+          y1
+        }, viewport.width, viewport.height));
+      }
+    });
+
+    return words;
+  }
+
+  async renderPDFPage(pdfDocument, page, viewport, filePath) {
+    const imagePath = this.getTempImagePath(filePath, `page_${page.pageNumber}`);
+
+    let canvasAndContext = null;
+
     try {
-      await sharp(filePath)
-        .grayscale()
-        .normalise()
-        .sharpen()
-        .resize(null, 1200, { 
-          withoutEnlargement: true,
-          kernel: sharp.kernel.lanczos3
-        })
-        .png({ quality: 100 })
-        .toFile(tempPath);
-      
-      return tempPath;
+      canvasAndContext = pdfDocument.canvasFactory.create(
+        Math.ceil(viewport.width),
+        Math.ceil(viewport.height)
+      );
+
+      await page.render({ canvasContext: canvasAndContext.context, viewport }).promise;
+      fs.writeFileSync(imagePath, canvasAndContext.canvas.toBuffer('image/png'));
+
+      return imagePath;
     } catch (error) {
-      console.error('Image preprocessing error:', error);
-      error.processingStep = 'IMAGE_PREPROCESSING';
+      console.error(`PDF page ${page.pageNumber} rendering error:`, error);
+      error.processingStep = 'PDF_PAGE_RENDERING';
       throw error;
+    } finally {
+      // The canvas holds native memory, so it is released even when a bad page fails to render
+      if (canvasAndContext) {
+        pdfDocument.canvasFactory.destroy(canvasAndContext);
+      }
     }
   }
 
-  async extractWithGoogleVision(filePath) {
-    if (!this.visionClient) {
-      throw new Error('Google Cloud Vision client not initialized');
+  async extractFromTIFF(filePath, onProgress = () => {}, ocrEngines = undefined) {
+    let pageCount;
+    try {
+      ({ pages: pageCount = 1 } = await sharp(filePath).metadata());
+      console.log(`TIFF loaded. Pages: ${pageCount}`);
+    } catch (error) {
+      console.error('TIFF decoding error:', error);
+      error.processingStep = 'TIFF_DECODING';
+      throw error;
     }
-    
+
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const imagePath = this.getTempImagePath(filePath, `page_${pageNumber}`);
+
+      try {
+        try {
+          await sharp(filePath, { page: pageNumber - 1 }).png().toFile(imagePath);
+        } catch (error) {
+          console.error(`TIFF page ${pageNumber} conversion error:`, error);
+          error.processingStep = 'TIFF_PAGE_CONVERSION';
+          throw error;
+        }
+
+        try {
+          const { text, words, engine } = await this.extractFromImage(imagePath, fraction => {
+            onProgress((pageNumber - 1 + fraction) / pageCount);
+          }, ocrEngines);
+          pages.push({ pageNumber, text, words, ocrEngine: engine, renders: await this.renderPageImages(imagePath, pageNumber) });
+        } catch (error) {
+          const pageError = new Error(`OCR failed on TIFF page ${pageNumber}: ${error.message}`);
+          pageError.processingStep = 'TIFF_PAGE_OCR';
+          throw pageError;
+        }
+      } finally {
+        this.removeTempFile(imagePath);
+      }
+
+      onProgress(pageNumber / pageCount);
+    }
+
+    return pages;
+  }
+
+  async extractFromWebP(filePath, onProgress = () => {}, ocrEngines = undefined) {
+    const imagePath = this.getTempImagePath(filePath, 'webp');
+
     try {
-      const [result] = await this.visionClient.textDetection(filePath);
-      const detections = result.textAnnotations;
-      
-      if (detections && detections.length > 0) {
-        return detections[0].description.trim();
+      try {
+        // Animated WEBP files are reduced to their first frame
+        await sharp(filePath).png().toFile(imagePath);
+      } catch (error) {
+        console.error('WEBP conversion error:', error);
+        error.processingStep = 'WEBP_CONVERSION';
+        throw error;
       }
-      
-      return '';
+
+      const { text, words, engine } = await this.extractFromImage(imagePath, onProgress, ocrEngines);
+      onProgress(1);
+      return [{ pageNumber: 1, text, words, ocrEngine: engine, renders: await this.renderPageImages(imagePath, 1) }];
+    } finally {
+      this.removeTempFile(imagePath);
+    }
+  }
+
+  async extractFromHEIC(filePath, onProgress = () => {}, ocrEngines = undefined) {
+    const imagePath = this.getTempImagePath(filePath, 'heic');
+
+    try {
+      try {
+        // sharp's prebuilt binaries can't decode HEVC-based HEIC, so convert in JS first
+        const pngBuffer = await heicConvert({
+          buffer: fs.readFileSync(filePath),
+          format: 'PNG'
+        });
+        fs.writeFileSync(imagePath, Buffer.from(pngBuffer));
+      } catch (error) {
+        console.error('HEIC conversion error:', error);
+        error.processingStep = 'HEIC_CONVERSION';
+        throw error;
+      }
+
+      const { text, words, engine } = await this.extractFromImage(imagePath, onProgress, ocrEngines);
+      onProgress(1);
+      return [{ pageNumber: 1, text, words, ocrEngine: engine, renders: await this.renderPageImages(imagePath, 1) }];
+    } finally {
+      this.removeTempFile(imagePath);
+    }
+  }
+
+  async extractFromDOCX(filePath) {
+    try {
+      const { value, messages } = await mammoth.extractRawText({ path: filePath });
+      messages.forEach(message => console.warn(`DOCX ${message.type}: ${message.message}`));
+
+      // Word documents have no fixed pagination, so the whole body is a single page
+      return [{ pageNumber: 1, text: value.trim() }];
     } catch (error) {
-      console.error('Google Vision API Error:', error);
-      error.processingStep = 'GOOGLE_VISION_API';
+      console.error('DOCX extraction error:', error);
+      error.processingStep = 'DOCX_TEXT_EXTRACTION';
       throw error;
     }
   }
 
-  async extractWithTesseract(filePath) {
-    let processedImagePath = null;
-    
+  extractFromTextFile(filePath) {
     try {
-      processedImagePath = await this.preprocessImage(filePath);
-      
-      const { data: { text } } = await Tesseract.recognize(processedImagePath, 'eng', {
-        logger: m => {
-          if (m.status === 'recognizing text') {
-            console.log(`Tesseract OCR Progress: ${Math.round(m.progress * 100)}%`);
-          }
-        },
-        tessedit_ocr_engine_mode: Tesseract.OEM.LSTM_ONLY,
-        tessedit_pageseg_mode: Tesseract.PSM.AUTO,
-        tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789.,;:!?()[]{}"\'-/@#$%^&*+=<>|\\~`_ \n\t',
-        preserve_interword_spaces: '1'
-      });
-      
-      return text.trim();
+      const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+
+      // Form feeds are the conventional page separator in plain-text exports
+      return text.split('\f').map((pageText, index) => ({
+        pageNumber: index + 1,
+        text: pageText.trim()
+      }));
     } catch (error) {
-      console.error('Tesseract OCR Error:', error);
-      error.processingStep = 'TESSERACT_OCR';
+      console.error('Text file read error:', error);
+      error.processingStep = 'TEXT_FILE_READ';
       throw error;
-    } finally {
-      if (processedImagePath && fs.existsSync(processedImagePath)) {
-        try {
-          fs.unlinkSync(processedImagePath);
-        } catch (cleanupError) {
-          console.warn('Failed to cleanup temporary file:', cleanupError);
-        }
-      }
     }
   }
 
-  async extractFromScannedPDF(filePath) {
-    // For now, provide a helpful error message for scanned PDFs
-    // This avoids dependency issues while still being informative
-    
-    console.log('PDF appears to contain images or scanned content...');
-    
-    const error = new Error([
-      'This PDF appears to contain scanned images or forms that require OCR processing.',
-      'Current options:',
-      '1. Convert the PDF to JPG/PNG format and upload the image instead',
-      '2. Use a PDF with selectable text content',
-      '3. For automatic PDF processing, install ImageMagick or GraphicsMagick on your system',
-      '',
-      'To install ImageMagick on macOS: brew install imagemagick',
-      'Then restart the server to enable PDF image conversion.'
-    ].join('\\n'));
-    
-    error.processingStep = 'PDF_IMAGE_CONVERSION_UNAVAILABLE';
-    throw error;
-  }
-
-  async extractFromImage(filePath) {
+  async extractFromEmail(filePath) {
     try {
-      console.log('Attempting OCR with Google Vision API...');
-      const text = await this.extractWithGoogleVision(filePath);
-      
-      if (text && text.length > 0) {
-        console.log('Google Vision API extraction successful');
-        return text;
-      }
-      
-      console.log('Google Vision API returned empty result, falling back to Tesseract...');
-      return await this.extractWithTesseract(filePath);
-      
-    } catch (visionError) {
-      console.log('Google Vision API failed, falling back to Tesseract...', visionError.message);
-      visionError.processingStep = 'GOOGLE_VISION_OCR';
-      
+      const email = await simpleParser(fs.readFileSync(filePath));
+
+      const headerLines = [
+        ['From', email.from && email.from.text],
+        ['To', email.to && email.to.text],
+        ['Cc', email.cc && email.cc.text],
+        ['Date', email.date && email.date.toISOString()],
+        ['Subject', email.subject],
+        ['Attachments', email.attachments.map(attachment => attachment.filename).filter(Boolean).join(', ')]
+      ]
+        .filter(([, value]) => value)
+        .map(([name, value]) => `${name}: ${value}`);
+
+      // mailparser derives plain text from the HTML part when there is no text part
+      const body = (email.text || '').trim();
+
+      return [{ pageNumber: 1, text: [headerLines.join('\n'), body].filter(Boolean).join('\n\n') }];
+    } catch (error) {
+      console.error('Email parsing error:', error);
+      error.processingStep = 'EML_PARSING';
+      throw error;
+    }
+  }
+
+  removeTempFile(filePath) {
+    if (filePath && fs.existsSync(filePath)) {
       try {
-        return await this.extractWithTesseract(filePath);
-      } catch (tesseractError) {
-        console.error('Both OCR methods failed');
-        tesseractError.processingStep = 'TESSERACT_OCR';
-        const combinedError = new Error(`Failed to extract text from image. Google Vision error: ${visionError.message}. Tesseract error: ${tesseractError.message}`);
-        combinedError.processingStep = 'IMAGE_OCR_COMPLETE_FAILURE';
-        throw combinedError;
+        fs.unlinkSync(filePath);
+      } catch (cleanupError) {
+        console.warn('Failed to cleanup temporary file:', cleanupError);
       }
     }
   }
+
+  // Runs the OCR engine chain and returns { text, words, engine }
+  async extractFromImage(filePath, onProgress = () => {}, ocrEngines = undefined) {
+    return ocrService.recognize(filePath, { engines: ocrEngines, onProgress });
+  }
 }
 
-module.exports = new DocumentProcessor();
\ No newline at end of file
+module.exports = new DocumentProcessor();
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const FormData = require('../models/FormData');
+
+// reject: fail the upload, link: reuse exact copies and flag near-duplicates, allow: store every upload
+const DUPLICATE_POLICIES = ['reject', 'link', 'allow'];
+
+// Fewer fields than this are too generic (e.g. just a date) to call two scans the same document
+const MIN_FIELDS_FOR_MATCH = 3;
+
+class DuplicateDetector {
+
+  static get defaultPolicy() {
+    const policy = process.env.DUPLICATE_POLICY?.toLowerCase();
+    return DUPLICATE_POLICIES.includes(policy) ? policy : 'link';
+  }
+
+  static resolvePolicy(policy) {
+    if (policy === undefined || policy === null || policy === '') {
+      return this.defaultPolicy;
+    }
+
+    const normalized = String(policy).toLowerCase();
+    if (!DUPLICATE_POLICIES.includes(normalized)) {
+      const error = new Error(`Invalid duplicate policy "${policy}". Use one of: ${DUPLICATE_POLICIES.join(', ')}`);
+      error.processingStep = 'DUPLICATE_POLICY';
+      throw error;
+    }
+    return normalized;
+  }
+
+  static sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  // Case, punctuation and whitespace differ between scans of the same page, so they are ignored
+  static normalize(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  static hashText(text) {
+    const normalized = this.normalize(text || '');
+    return normalized ? this.sha256(normalized) : null;
+  }
+
+  static hashFields(keyValuePairs) {
+    const fields = [...new Set((keyValuePairs || [])
+      .map(pair => `${this.normalize(pair.key)}=${this.normalize(pair.value)}`)
+      .filter(field => !field.startsWith('=') && !field.endsWith('=')))]
+      .sort();
+
+    return fields.length >= MIN_FIELDS_FOR_MATCH ? this.sha256(fields.join('\n')) : null;
+  }
+
+  static async findExactDuplicate(contentHash) {
+    return FormData.findOne({ contentHash }).sort({ createdAt: 1 });
+  }
+
+  // Returns the earliest document with the same text or key fields, and which of the two matched
+  static async findNearDuplicate(textHash, fieldsHash) {
+    const conditions = [];
+    if (textHash) conditions.push({ textHash });
+    if (fieldsHash) conditions.push({ fieldsHash });
+    if (conditions.length === 0) return null;
+
+    const document = await FormData.findOne({ $or: conditions })
+      .sort({ createdAt: 1 })
+      .select('_id originalFilename textHash fieldsHash');
+    if (!document) return null;
+
+    return {
+      documentId: document._id,
+      originalFilename: document.originalFilename,
+      reason: textHash && document.textHash === textHash ? 'text' : 'fields'
+    };
+  }
+
+  static createDuplicateError(type, duplicate) {
+    const error = new Error(`Document is ${type === 'exact' ? 'an exact' : 'a near'} duplicate of ${duplicate.originalFilename}`);
+    error.processingStep = 'DUPLICATE_DOCUMENT';
+    error.duplicate = { type, ...duplicate };
+    return error;
+  }
+}
+
+DuplicateDetector.DUPLICATE_POLICIES = DUPLICATE_POLICIES;
+
+module.exports = DuplicateDetector;
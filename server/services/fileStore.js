@@ -0,0 +1,74 @@
+const path = require('path');
+const LocalFileStore = require('./storage/localFileStore');
+const S3FileStore = require('./storage/s3FileStore');
+
+class FileStore {
+  constructor() {
+    this.localRoot = process.env.FILE_STORE_PATH || path.join(__dirname, '..', 'storage');
+    this.backendName = 'local';
+    this.backend = this.initializeBackend();
+  }
+
+  initializeBackend() {
+    const fileStore = process.env.FILE_STORE?.toLowerCase();
+    console.log(`Selected file store: ${fileStore || 'default (local)'}`);
+    switch (fileStore) {
+      case 's3': {
+        const s3Store = new S3FileStore({
+          bucket: process.env.S3_BUCKET,
+          region: process.env.S3_REGION,
+          endpoint: process.env.S3_ENDPOINT,
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+        });
+        if (s3Store.isAvailable) {
+          console.log(`Using S3 file store (bucket: ${process.env.S3_BUCKET})`);
+          this.backendName = 's3';
+          return s3Store;
+        }
+        console.warn('S3 file store selected but S3_BUCKET not set, falling back to local disk');
+        return new LocalFileStore(this.localRoot);
+      }
+
+      default:
+        console.log(`Using local file store at ${this.localRoot}`);
+        return new LocalFileStore(this.localRoot);
+    }
+  }
+
+  // All files belonging to one document live under a single prefix so they can be removed together
+  documentPrefix(documentId) {
+    return `documents/${documentId}`;
+  }
+
+  originalKey(documentId, originalFilename) {
+    return `${this.documentPrefix(documentId)}/original${path.extname(originalFilename).toLowerCase()}`;
+  }
+
+  pageImageKey(documentId, pageNumber) {
+    return `${this.documentPrefix(documentId)}/pages/${pageNumber}.jpg`;
+  }
+
+  pageThumbnailKey(documentId, pageNumber) {
+    return `${this.documentPrefix(documentId)}/pages/${pageNumber}_thumbnail.jpg`;
+  }
+
+  async save(key, data, contentType) {
+    return this.backend.save(key, data, contentType);
+  }
+
+  async getStream(key) {
+    return this.backend.getStream(key);
+  }
+
+  async delete(key) {
+    return this.backend.delete(key);
+  }
+
+  async deleteDocumentFiles(documentId) {
+    return this.backend.deletePrefix(this.documentPrefix(documentId));
+  }
+}
+
+module.exports = new FileStore();
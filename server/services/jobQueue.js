@@ -0,0 +1,219 @@
+const fs = require('fs');
+const ProcessingJob = require('../models/ProcessingJob');
+const DocumentPipeline = require('./documentPipeline');
+const PiiDetector = require('./piiDetector');
+
+// Share of overall job progress covered by each stage, as [start, end] percentages
+const STAGE_PROGRESS = {
+  upload: [0, 5],
+  ocr: [5, 70],
+  ai_extraction: [70, 90],
+  indexing: [90, 100]
+};
+
+class JobQueue {
+  constructor() {
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+    // Runs a job may start before it is given up; only a server stopping mid-job leaves one to run again
+    this.maxAttempts = parseInt(process.env.MAX_JOB_ATTEMPTS) || 3;
+    this.pending = [];
+    this.running = 0;
+    this.lastProgress = new Map();
+  }
+
+  async createJob(file, options = {}) {
+    const job = await ProcessingJob.create({
+      options,
+      file: {
+        path: file.path,
+        filename: file.filename,
+        originalname: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size
+      },
+      progress: STAGE_PROGRESS.upload[1]
+    });
+
+    console.log(`Queued processing job ${job._id} for ${file.originalname}`);
+    this.enqueue(job._id);
+    return job;
+  }
+
+  async getJobStatus(jobId) {
+    const job = await ProcessingJob.findById(jobId).lean();
+    return job ? this.describeJob(job) : null;
+  }
+
+  async getJobStatuses(jobIds) {
+    const jobs = await ProcessingJob.find({ _id: { $in: jobIds } }).lean();
+    return jobs.map(job => this.describeJob(job));
+  }
+
+  // Job responses are masked like the document list, unless PII_MASKING=false
+  describeJob(job) {
+    let { result, error } = job;
+    if (PiiDetector.maskingEnabled) {
+      if (result && Array.isArray(result.keyValuePairs)) {
+        result = { ...result, keyValuePairs: PiiDetector.maskPairs(result.keyValuePairs) };
+      }
+      if (error && error.rawResponses) {
+        error = { ...error, rawResponses: this.maskRawResponses(error.rawResponses) };
+      }
+    }
+
+    return {
+      id: job._id,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      originalFilename: job.file.originalname,
+      documentId: job.documentId,
+      result,
+      error: error && error.message ? error : undefined,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt
+    };
+  }
+
+  // Raw provider output quotes the document, so PII in it is masked before it is stored or returned
+  maskRawResponses(rawResponses) {
+    if (!Array.isArray(rawResponses)) {
+      return undefined;
+    }
+    return rawResponses.map(raw => ({ ...raw, response: PiiDetector.maskText(raw.response) }));
+  }
+
+  enqueue(jobId) {
+    this.pending.push(jobId.toString());
+    this.runNext();
+  }
+
+  runNext() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const jobId = this.pending.shift();
+      this.running++;
+
+      this.runJob(jobId)
+        .catch(error => console.error(`Processing job ${jobId} crashed:`, error))
+        .finally(() => {
+          this.running--;
+          this.lastProgress.delete(jobId);
+          this.runNext();
+        });
+    }
+  }
+
+  async runJob(jobId) {
+    const job = await ProcessingJob.findByIdAndUpdate(jobId, {
+      $set: { status: 'processing', startedAt: new Date() },
+      $inc: { attempts: 1 }
+    }, { new: true });
+
+    if (!job) {
+      console.warn(`Processing job ${jobId} no longer exists, skipping`);
+      return;
+    }
+
+    try {
+      const result = await DocumentPipeline.processDocument(job.file, (stage, fraction) => {
+        this.updateProgress(jobId, stage, fraction);
+      }, job.options);
+
+      await ProcessingJob.updateOne({ _id: jobId }, {
+        $set: {
+          status: 'completed',
+          stage: 'indexing',
+          progress: 100,
+          documentId: result.id,
+          result,
+          completedAt: new Date()
+        }
+      });
+      console.log(`Processing job ${jobId} completed`);
+    } catch (error) {
+      console.error(`Processing job ${jobId} failed:`, error);
+      await ProcessingJob.updateOne({ _id: jobId }, {
+        $set: {
+          status: 'failed',
+          error: {
+            message: error.message,
+            processingStep: error.processingStep || 'UNKNOWN',
+            duplicate: error.duplicate,
+            rawResponses: this.maskRawResponses(error.rawResponses)
+          },
+          completedAt: new Date()
+        }
+      });
+    }
+  }
+
+  updateProgress(jobId, stage, fraction) {
+    const [start, end] = STAGE_PROGRESS[stage];
+    const progress = Math.round(start + (end - start) * Math.min(Math.max(fraction, 0), 1));
+
+    // The Tesseract logger fires many times per percent, so only persist actual changes
+    const last = this.lastProgress.get(jobId);
+    if (last && last.stage === stage && last.progress === progress) {
+      return;
+    }
+    this.lastProgress.set(jobId, { stage, progress });
+
+    ProcessingJob.updateOne({ _id: jobId, status: 'processing' }, { $set: { stage, progress } })
+      .catch(error => console.warn(`Failed to update progress for job ${jobId}:`, error.message));
+  }
+
+  // Re-queue jobs left unfinished by a previous server run. A job that was already started MAX_JOB_ATTEMPTS times
+  // is failed instead, so a document that crashes the server does not crash it again on every restart.
+  async resumePendingJobs() {
+    const jobs = await ProcessingJob.find({ status: { $in: ['queued', 'processing'] } })
+      .sort({ createdAt: 1 })
+      .select('_id file attempts')
+      .lean();
+
+    let resumed = 0;
+    for (const job of jobs) {
+      if (job.attempts >= this.maxAttempts) {
+        console.warn(`Processing job ${job._id} did not finish in ${job.attempts} attempts, marking it failed`);
+        await ProcessingJob.updateOne({ _id: job._id }, {
+          $set: {
+            status: 'failed',
+            error: {
+              message: `Processing was interrupted ${job.attempts} times without finishing; giving up on this document`,
+              processingStep: 'JOB_ATTEMPTS'
+            },
+            completedAt: new Date()
+          }
+        });
+        await fs.promises.unlink(job.file.path).catch(() => {});
+        continue;
+      }
+
+      if (!fs.existsSync(job.file.path)) {
+        await ProcessingJob.updateOne({ _id: job._id }, {
+          $set: {
+            status: 'failed',
+            error: {
+              message: 'Uploaded file is no longer available after server restart',
+              processingStep: 'JOB_RESUME'
+            },
+            completedAt: new Date()
+          }
+        });
+        continue;
+      }
+
+      await ProcessingJob.updateOne({ _id: job._id }, {
+        $set: { status: 'queued', stage: 'upload', progress: STAGE_PROGRESS.upload[1] }
+      });
+      this.enqueue(job._id);
+      resumed++;
+    }
+
+    if (resumed > 0) {
+      console.log(`Resumed ${resumed} unfinished processing job(s)`);
+    }
+  }
+}
+
+module.exports = new JobQueue();
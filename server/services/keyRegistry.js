@@ -0,0 +1,231 @@
+const CanonicalKey = require('../models/CanonicalKey');
+const KeyValueIndex = require('../models/KeyValueIndex');
+
+// Common form fields the registry starts with on a new database; after that it is edited through the API
+const SEED_KEYS = [
+  { label: 'Full Name', synonyms: ['name', 'applicant name', 'customer name', 'patient name', 'account holder', 'account holder name'] },
+  { label: 'First Name', synonyms: ['given name', 'forename', 'fname'] },
+  { label: 'Last Name', synonyms: ['surname', 'family name', 'lname'] },
+  { label: 'Date of Birth', synonyms: ['dob', 'birth date', 'birthdate', 'birthday', 'date of birth dob'] },
+  { label: 'Gender', synonyms: ['sex'] },
+  { label: 'Email', synonyms: ['email address', 'e-mail', 'e-mail address'] },
+  { label: 'Phone', synonyms: ['phone number', 'telephone', 'telephone number', 'tel', 'mobile', 'mobile number', 'cell', 'cell phone', 'contact number'] },
+  { label: 'Address', synonyms: ['street address', 'mailing address', 'home address', 'residential address'] },
+  { label: 'City', synonyms: ['town'] },
+  { label: 'State', synonyms: ['province', 'state province'] },
+  { label: 'Postal Code', synonyms: ['zip', 'zip code', 'zipcode', 'postcode', 'post code'] },
+  { label: 'Country', synonyms: ['country of residence'] },
+  { label: 'SSN', synonyms: ['social security number', 'social security no', 'ssn number', 'social security'] },
+  { label: "Driver's License Number", synonyms: ['drivers license', 'driver license', 'drivers license no', 'license number', 'license no', 'dl number', 'dl no', 'dl'] },
+  { label: 'Passport Number', synonyms: ['passport', 'passport no'] },
+  { label: 'Invoice Number', synonyms: ['invoice no', 'invoice', 'inv no', 'invoice id'] },
+  { label: 'Invoice Date', synonyms: ['date of invoice', 'inv date', 'billing date'] },
+  { label: 'Due Date', synonyms: ['payment due', 'payment due date', 'due by'] },
+  { label: 'Total Amount', synonyms: ['total', 'grand total', 'amount due', 'total due', 'balance due', 'total amount due'] },
+  { label: 'Subtotal', synonyms: ['sub total', 'net amount'] },
+  { label: 'Tax', synonyms: ['tax amount', 'sales tax', 'vat', 'gst'] },
+  { label: 'Account Number', synonyms: ['account no', 'acct no', 'account', 'acct number'] },
+  { label: 'Policy Number', synonyms: ['policy no', 'policy'] },
+  { label: 'Employer', synonyms: ['employer name', 'employer company'] }
+];
+
+class KeyRegistry {
+
+  static createError(processingStep, message) {
+    const error = new Error(message);
+    error.processingStep = processingStep;
+    return error;
+  }
+
+  // Lowercase, punctuation removed, spaces as underscores: "Date of Birth:" -> date_of_birth, "Invoice #" -> invoice
+  static normalizeKey(key) {
+    return String(key ?? '').toLowerCase().replace(/[^\w\s]/g, '').trim().replace(/\s+/g, '_').replace(/^_+|_+$/g, '');
+  }
+
+  // Checks a create/update body and returns only the fields a registry entry stores
+  static validateEntry(data = {}) {
+    const label = String(data.label || '').trim();
+    if (!label) {
+      throw this.createError('KEY_VALIDATION', 'A canonical key needs a label');
+    }
+
+    const key = this.normalizeKey(data.key || label);
+    if (!key) {
+      throw this.createError('KEY_VALIDATION', `"${data.key || label}" has no letters or digits to make a key from`);
+    }
+
+    if (data.synonyms !== undefined && (!Array.isArray(data.synonyms) || data.synonyms.some(synonym => typeof synonym !== 'string'))) {
+      throw this.createError('KEY_VALIDATION', 'synonyms must be an array of strings');
+    }
+    const synonyms = [...new Set((data.synonyms || []).map(synonym => this.normalizeKey(synonym)))]
+      .filter(synonym => synonym && synonym !== key);
+
+    return { key, label, description: data.description ? String(data.description).trim() : '', synonyms };
+  }
+
+  // The names an entry claims: its key, its label and its synonyms
+  static getNames(entry) {
+    return [...new Set([entry.key, this.normalizeKey(entry.label), ...(entry.synonyms || [])])];
+  }
+
+  // Normalized name -> { key, label } for every registry entry, reloaded after edits made here and, for edits made
+  // by other server instances, once it is KEY_REGISTRY_CACHE_SECONDS old
+  static getLookup() {
+    const maxAge = (parseInt(process.env.KEY_REGISTRY_CACHE_SECONDS) || 60) * 1000;
+    if (!this._lookup || Date.now() - this._lookupLoadedAt > maxAge) {
+      this._lookupLoadedAt = Date.now();
+      this._lookup = CanonicalKey.find().lean().then(entries => {
+        const lookup = new Map();
+        for (const entry of entries) {
+          for (const name of this.getNames(entry)) {
+            lookup.set(name, { key: entry.key, label: entry.label });
+          }
+        }
+        return lookup;
+      });
+      this._lookup.catch(() => {
+        this._lookup = null;
+      });
+    }
+    return this._lookup;
+  }
+
+  // Keys the registry does not know are their own canonical key, so they still group with their spelling variants
+  static resolve(lookup, key) {
+    const normalized = this.normalizeKey(key);
+    return lookup.get(normalized) || { key: normalized, label: null };
+  }
+
+  static async canonicalize(key) {
+    return this.resolve(await this.getLookup(), key).key;
+  }
+
+  static async listKeys() {
+    return CanonicalKey.find().sort({ label: 1 });
+  }
+
+  static getKey(key) {
+    return CanonicalKey.findOne({ key: this.normalizeKey(key) });
+  }
+
+  // A name can only belong to one canonical key, otherwise the mapping would depend on load order
+  static async checkConflicts(entry) {
+    const names = this.getNames(entry);
+    const existing = await CanonicalKey.findOne({
+      key: { $ne: entry.key },
+      $or: [{ key: { $in: names } }, { synonyms: { $in: names } }]
+    }).lean();
+    if (existing) {
+      const taken = names.filter(name => this.getNames(existing).includes(name));
+      throw this.createError('KEY_CONFLICT', `"${taken.join('", "')}" already belongs to canonical key "${existing.key}"`);
+    }
+  }
+
+  static async createKey(data) {
+    const entry = this.validateEntry(data);
+    await this.checkConflicts(entry);
+    let saved;
+    try {
+      saved = await new CanonicalKey(entry).save();
+    } catch (error) {
+      throw this.mapSaveError(error, entry.key);
+    }
+    await this.remapIndex(this.getNames(saved));
+    return saved;
+  }
+
+  // The key itself cannot change, as index entries and searches refer to it
+  static async updateKey(key, data) {
+    const existing = await this.getKey(key);
+    if (!existing) {
+      return null;
+    }
+
+    const previousNames = this.getNames(existing);
+    const entry = this.validateEntry({ ...data, key: existing.key });
+    await this.checkConflicts(entry);
+    existing.set(entry);
+    await existing.save();
+    await this.remapIndex([...previousNames, ...this.getNames(existing)]);
+    return existing;
+  }
+
+  static async deleteKey(key) {
+    const existing = await this.getKey(key);
+    if (!existing) {
+      return null;
+    }
+    await existing.deleteOne();
+    await this.remapIndex(this.getNames(existing));
+    return existing;
+  }
+
+  static mapSaveError(error, key) {
+    if (error.code === 11000) {
+      return this.createError('KEY_CONFLICT', `A canonical key "${key}" already exists`);
+    }
+    return error;
+  }
+
+  // Points the index entries with these normalized keys at their current canonical key; returns how many changed
+  static async remapIndex(normalizedKeys) {
+    this._lookup = null;
+    const lookup = await this.getLookup();
+    const operations = [...new Set(normalizedKeys)].map(keyNormalized => ({
+      updateMany: {
+        filter: { keyNormalized },
+        update: { $set: { canonicalKey: this.resolve(lookup, keyNormalized).key } }
+      }
+    }));
+    if (operations.length === 0) {
+      return 0;
+    }
+
+    const result = await KeyValueIndex.bulkWrite(operations, { ordered: false });
+    if (result.modifiedCount > 0) {
+      console.log(`Remapped ${result.modifiedCount} index entries to their canonical keys`);
+    }
+    return result.modifiedCount;
+  }
+
+  // Re-derives keyNormalized for index entries stored under an older normalizeKey, which canonical keys and
+  // synonyms no longer match; returns how many changed
+  static async renormalizeIndex() {
+    const lookup = await this.getLookup();
+    const operations = [];
+    for (const key of await KeyValueIndex.distinct('key')) {
+      const keyNormalized = this.normalizeKey(key);
+      if (!keyNormalized) continue;
+      operations.push({
+        updateMany: {
+          filter: { key, keyNormalized: { $ne: keyNormalized } },
+          update: { $set: { keyNormalized, canonicalKey: this.resolve(lookup, keyNormalized).key } }
+        }
+      });
+    }
+    if (operations.length === 0) {
+      return 0;
+    }
+
+    const result = await KeyValueIndex.bulkWrite(operations, { ordered: false });
+    if (result.modifiedCount > 0) {
+      console.log(`Renormalized the keys of ${result.modifiedCount} index entries`);
+    }
+    return result.modifiedCount;
+  }
+
+  // Startup: seeds an empty registry, renormalizes keys indexed by older versions and maps entries indexed
+  // before canonical keys existed
+  static async initialize() {
+    if (await CanonicalKey.estimatedDocumentCount() === 0) {
+      await CanonicalKey.insertMany(SEED_KEYS.map(entry => this.validateEntry(entry)));
+      console.log(`Seeded the key registry with ${SEED_KEYS.length} canonical keys`);
+    }
+
+    await this.renormalizeIndex();
+    const unmapped = await KeyValueIndex.distinct('keyNormalized', { canonicalKey: { $exists: false } });
+    await this.remapIndex(unmapped);
+  }
+}
+
+module.exports = KeyRegistry;
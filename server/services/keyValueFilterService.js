@@ -0,0 +1,394 @@
+const KeyValueIndex = require('../models/KeyValueIndex');
+const KeyValueIndexService = require('./keyValueIndexService');
+const ValueNormalizer = require('./valueNormalizer');
+const KeyRegistry = require('./keyRegistry');
+
+const OPERATORS = {
+  '=': 'eq',
+  '!=': 'ne',
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte',
+  '~': 'contains'
+};
+const OPERATOR_NAMES = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'contains'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'between'];
+
+// Value types compared with each other; "Total > 500" matches amounts and plain numbers alike
+const TYPE_FAMILIES = {
+  amount: ['amount', 'number'],
+  number: ['amount', 'number'],
+  date: ['date'],
+  phone: ['phone'],
+  email: ['email'],
+  boolean: ['boolean'],
+  identifier: ['identifier']
+};
+// Types a condition can force with "type", as a template field can declare them
+const DECLARABLE_TYPES = ['date', 'amount', 'number', 'phone', 'email', 'boolean'];
+
+// Every condition is one query against the index, so filters are kept small
+const MAX_CONDITIONS = 20;
+const MAX_DEPTH = 5;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Quoted strings, comparison operators, parentheses and words; an apostrophe inside a word (Driver's) is part of it
+const TOKEN_PATTERN = /\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(>=|<=|!=|=|>|<|~)|([()])|([^\s()<>=!~"'][^\s()<>=!~"]*))/y;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class KeyValueFilterService {
+
+  static createError(message) {
+    const error = new Error(message);
+    error.processingStep = 'FILTER_QUERY';
+    return error;
+  }
+
+  static tokenize(query) {
+    const tokens = [];
+    const text = String(query).trimEnd();
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < text.length) {
+      const position = TOKEN_PATTERN.lastIndex;
+      const match = TOKEN_PATTERN.exec(text);
+      if (!match) {
+        throw this.createError(`Unexpected "${text.substring(position).trim()[0]}" at position ${position + 1}`);
+      }
+      if (match[1] !== undefined || match[2] !== undefined) {
+        tokens.push({ type: 'string', text: (match[1] ?? match[2]).replace(/\\(.)/g, '$1') });
+      } else if (match[3]) {
+        tokens.push({ type: 'operator', text: match[3] });
+      } else if (match[4]) {
+        tokens.push({ type: 'paren', text: match[4] });
+      } else {
+        tokens.push({ type: 'word', text: match[5] });
+      }
+    }
+    return tokens;
+  }
+
+  // Parses the where syntax into the JSON filter form:
+  //   Total > 500 AND (State = CA OR State = "New York")
+  //   "Invoice Date" between 2024-01-01 and 2024-03-31
+  // Operators are = != > >= < <= ~ (contains) and between ... and ...; AND binds tighter than OR.
+  // Values with AND, OR or parentheses in them are quoted.
+  static parseWhere(query) {
+    if (typeof query !== 'string' || !query.trim()) {
+      throw this.createError('where must be a non-empty string');
+    }
+
+    const tokens = this.tokenize(query);
+    let position = 0;
+    const peek = () => tokens[position];
+    const isKeyword = (token, keyword) => token && token.type === 'word' && token.text.toLowerCase() === keyword;
+    const describe = token => (token ? `"${token.text}"` : 'the end of the query');
+
+    const parseValue = () => {
+      const token = peek();
+      if (token && token.type === 'string') {
+        position++;
+        return token.text;
+      }
+      const words = [];
+      while (peek() && peek().type === 'word' && !isKeyword(peek(), 'and') && !isKeyword(peek(), 'or')) {
+        words.push(tokens[position++].text);
+      }
+      if (words.length === 0) {
+        throw this.createError(`Expected a value but found ${describe(peek())}`);
+      }
+      return words.join(' ');
+    };
+
+    const parseCondition = () => {
+      const keyParts = [];
+      while (peek() && (peek().type === 'word' || peek().type === 'string') && !isKeyword(peek(), 'between') && !isKeyword(peek(), 'contains')) {
+        keyParts.push(tokens[position++].text);
+      }
+      if (keyParts.length === 0) {
+        throw this.createError(`Expected a key name but found ${describe(peek())}`);
+      }
+      const key = keyParts.join(' ');
+
+      const token = peek();
+      if (isKeyword(token, 'between')) {
+        position++;
+        const from = parseValue();
+        if (!isKeyword(peek(), 'and')) {
+          throw this.createError(`Expected "and" after "between ${from}" but found ${describe(peek())}`);
+        }
+        position++;
+        return { key, op: 'between', value: [from, parseValue()] };
+      }
+      if (isKeyword(token, 'contains')) {
+        position++;
+        return { key, op: 'contains', value: parseValue() };
+      }
+      if (token && token.type === 'operator') {
+        position++;
+        return { key, op: OPERATORS[token.text], value: parseValue() };
+      }
+      throw this.createError(`Expected an operator after "${key}" but found ${describe(token)}`);
+    };
+
+    let parseExpression;
+    const parseFactor = () => {
+      if (peek() && peek().type === 'paren' && peek().text === '(') {
+        position++;
+        const expression = parseExpression();
+        if (!peek() || peek().type !== 'paren' || peek().text !== ')') {
+          throw this.createError(`Expected ")" but found ${describe(peek())}`);
+        }
+        position++;
+        return expression;
+      }
+      return parseCondition();
+    };
+    const parseTerm = () => {
+      const factors = [parseFactor()];
+      while (isKeyword(peek(), 'and')) {
+        position++;
+        factors.push(parseFactor());
+      }
+      return factors.length === 1 ? factors[0] : { all: factors };
+    };
+    parseExpression = () => {
+      const terms = [parseTerm()];
+      while (isKeyword(peek(), 'or')) {
+        position++;
+        terms.push(parseTerm());
+      }
+      return terms.length === 1 ? terms[0] : { any: terms };
+    };
+
+    const filter = parseExpression();
+    if (position < tokens.length) {
+      throw this.createError(`Unexpected ${describe(peek())}; combine conditions with AND or OR`);
+    }
+    return filter;
+  }
+
+  // Checks a JSON filter: { all: [...] }, { any: [...] } or { key, op, value, type? }
+  static validateFilter(filter, depth = 0, counter = { conditions: 0 }) {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      throw this.createError('A filter must be an object with "all", "any" or "key", "op" and "value"');
+    }
+    if (depth > MAX_DEPTH) {
+      throw this.createError(`Filters can be nested at most ${MAX_DEPTH} levels deep`);
+    }
+
+    const group = ['all', 'any'].find(name => filter[name] !== undefined);
+    if (group) {
+      if (!Array.isArray(filter[group]) || filter[group].length === 0) {
+        throw this.createError(`"${group}" must be a non-empty array of filters`);
+      }
+      return { [group]: filter[group].map(child => this.validateFilter(child, depth + 1, counter)) };
+    }
+
+    const { key, op, value, type } = filter;
+    if (typeof key !== 'string' || !KeyValueIndexService.normalizeKey(key)) {
+      throw this.createError('Every condition needs a "key" name');
+    }
+    if (!OPERATOR_NAMES.includes(op)) {
+      throw this.createError(`Condition on "${key}" has an invalid "op". Use one of: ${OPERATOR_NAMES.join(', ')}`);
+    }
+    if (op === 'between' ? !Array.isArray(value) || value.length !== 2 : !['string', 'number', 'boolean'].includes(typeof value)) {
+      throw this.createError(op === 'between'
+        ? `Condition on "${key}" needs a [from, to] "value" for between`
+        : `Condition on "${key}" needs a string, number or boolean "value"`);
+    }
+    if (type !== undefined && !DECLARABLE_TYPES.includes(type)) {
+      throw this.createError(`Condition on "${key}" has an invalid "type". Use one of: ${DECLARABLE_TYPES.join(', ')}`);
+    }
+
+    counter.conditions++;
+    if (counter.conditions > MAX_CONDITIONS) {
+      throw this.createError(`A filter can have at most ${MAX_CONDITIONS} conditions`);
+    }
+    return type === undefined ? { key, op, value } : { key, op, value, type };
+  }
+
+  // The literal is normalized the way an extracted value under the same key would be, so "Total > 1,000"
+  // compares against amounts and "Date between 03/01/2024 and ..." against ISO dates.
+  // type forces a value type, like a template field does.
+  // Plain text is compared in the form the index stores it (KeyValueIndexService.normalizeText).
+  static parseLiteral(key, raw, type, locale) {
+    if (typeof raw === 'number') return { valueType: 'number', normalizedValue: raw };
+    if (typeof raw === 'boolean') return { valueType: 'boolean', normalizedValue: raw };
+
+    const literal = ValueNormalizer.normalizeValue(key, String(raw), { locale, fieldType: type });
+    if (type && literal.valueType === 'string') {
+      throw this.createError(`"${raw}" is not a valid ${type} for "${key}"`);
+    }
+    return literal.valueType === 'string'
+      ? { valueType: 'string', normalizedValue: KeyValueIndexService.normalizeText(String(raw)) }
+      : literal;
+  }
+
+  // Index query for one condition; the key and value type come first so { canonicalKey, valueType, normalizedValue } serves it.
+  // Keys go through the key registry, so "DOB < 2000-01-01" also filters fields extracted as "Date of Birth".
+  static buildCondition({ key, op, value, type }, locale, keyLookup) {
+    const query = { canonicalKey: KeyRegistry.resolve(keyLookup, key).key };
+
+    if (op === 'contains') {
+      // Case-sensitive against the lowercased text, so the regex is checked on index keys for this key only
+      query.valueType = 'string';
+      query.normalizedValue = { $regex: escapeRegex(KeyValueIndexService.normalizeText(String(value))) };
+      return query;
+    }
+
+    const literals = (op === 'between' ? value : [value]).map(raw => this.parseLiteral(key, raw, type, locale));
+    const family = TYPE_FAMILIES[literals[0].valueType];
+    if (RANGE_OPERATORS.includes(op)) {
+      if (!['amount', 'number', 'date'].includes(literals[0].valueType)) {
+        throw this.createError(`"${key}" ${op} needs a number, amount or date, not "${op === 'between' ? value[0] : value}"`);
+      }
+      if (op === 'between' && !family.includes(literals[1].valueType)) {
+        throw this.createError(`"${key}" between needs two values of the same type, got "${value[0]}" and "${value[1]}"`);
+      }
+    }
+
+    if (!family) {
+      // Plain text compares with the stored text, ignoring case and surrounding spaces
+      query.valueType = 'string';
+      query.normalizedValue = op === 'ne' ? { $ne: literals[0].normalizedValue } : literals[0].normalizedValue;
+      return query;
+    }
+
+    query.valueType = family.length === 1 ? family[0] : { $in: family };
+    // 100 EUR is not 100 USD: amounts only compare within the literal's currency (from its symbol or code, else the
+    // locale's); plain numbers have no currency and still match
+    const currencies = [...new Set(literals.map(literal => literal.currency).filter(Boolean))];
+    if (currencies.length > 1) {
+      throw this.createError(`"${key}" between needs two amounts in the same currency, got ${currencies.join(' and ')}`);
+    }
+    if (currencies.length === 1) {
+      query.currency = { $in: [currencies[0], null] };
+    }
+    const [first, second] = literals.map(literal => literal.normalizedValue);
+    switch (op) {
+      case 'between':
+        query.normalizedValue = first <= second ? { $gte: first, $lte: second } : { $gte: second, $lte: first };
+        break;
+      case 'eq':
+        query.normalizedValue = first;
+        break;
+      default:
+        query.normalizedValue = { [`$${op}`]: first };
+    }
+    return query;
+  }
+
+  static getConditions(filter) {
+    if (filter.all) return filter.all.flatMap(child => this.getConditions(child));
+    if (filter.any) return filter.any.flatMap(child => this.getConditions(child));
+    return [filter];
+  }
+
+  // Aggregation expression testing a document's matched condition numbers against the filter's AND/OR tree
+  static buildMatchExpression(filter, conditionNumbers) {
+    if (filter.all) return { $and: filter.all.map(child => this.buildMatchExpression(child, conditionNumbers)) };
+    if (filter.any) return { $or: filter.any.map(child => this.buildMatchExpression(child, conditionNumbers)) };
+    return { $in: [conditionNumbers.get(filter), '$conditions'] };
+  }
+
+  // Returns { total, ids } with one page of matching document ids, newest first, worked out in MongoDB so no id list
+  // is held in memory: each condition selects its documents through the index, and the documents are then grouped
+  // with the numbers of the conditions they met and tested against the filter
+  static async findDocumentIds(filter, conditions, queries, extraQuery, { skip, limit }) {
+    const branches = conditions.map((condition, number) => [
+      { $match: { ...queries.get(condition), ...extraQuery } },
+      { $group: { _id: '$documentId' } },
+      { $addFields: { condition: number } }
+    ]);
+    const pipeline = [
+      ...branches[0],
+      ...branches.slice(1).map(branch => ({ $unionWith: { coll: KeyValueIndex.collection.collectionName, pipeline: branch } })),
+      { $group: { _id: '$_id', conditions: { $addToSet: '$condition' } } },
+      { $match: { $expr: this.buildMatchExpression(filter, new Map(conditions.map((condition, number) => [condition, number]))) } },
+      // ObjectIds are time-ordered, so this is newest first
+      { $sort: { _id: -1 } },
+      { $facet: { total: [{ $count: 'count' }], page: [{ $skip: skip }, { $limit: limit }] } }
+    ];
+
+    const [{ total, page }] = await KeyValueIndex.aggregate(pipeline).allowDiskUse(true);
+    return { total: total.length > 0 ? total[0].count : 0, ids: page.map(document => document._id) };
+  }
+
+  // filter is a JSON filter, where the query syntax; returns one page of matching documents, newest first,
+  // each with the index entries that met a condition
+  static async search({ filter, where, page = 1, limit = DEFAULT_LIMIT, minConfidence = null, locale } = {}) {
+    if ((filter === undefined) === (where === undefined)) {
+      throw this.createError('Send either "where" (query syntax) or "filter" (JSON filter)');
+    }
+    if (!Number.isInteger(page) || page < 1) {
+      throw this.createError('page must be a positive integer');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw this.createError(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+    }
+    const validated = this.validateFilter(where !== undefined ? this.parseWhere(where) : filter);
+    const resolvedLocale = ValueNormalizer.resolveLocale(locale);
+
+    const conditions = this.getConditions(validated);
+    const keyLookup = await KeyRegistry.getLookup();
+    const queries = new Map(conditions.map(condition => [condition, this.buildCondition(condition, resolvedLocale, keyLookup)]));
+    const extraQuery = KeyValueIndexService.confidenceFilter(minConfidence);
+
+    const { total, ids: pageIds } = await this.findDocumentIds(validated, conditions, queries, extraQuery, {
+      skip: (page - 1) * limit,
+      limit
+    });
+    const entries = pageIds.length === 0 ? [] : await KeyValueIndex.find({
+      documentId: { $in: pageIds },
+      $or: [...queries.values()],
+      ...extraQuery
+    })
+      .sort({ extractedAt: -1 })
+      .lean();
+
+    const documentGroups = new Map(pageIds.map(id => [id.toString(), null]));
+    for (const entry of entries) {
+      const docId = entry.documentId.toString();
+      if (!documentGroups.get(docId)) {
+        documentGroups.set(docId, {
+          documentId: entry.documentId,
+          filename: entry.filename,
+          originalFilename: entry.originalFilename,
+          extractedAt: entry.extractedAt,
+          matches: []
+        });
+      }
+      const masked = KeyValueIndexService.maskEntry(entry);
+      documentGroups.get(docId).matches.push({
+        key: entry.key,
+        canonicalKey: entry.canonicalKey,
+        value: masked.value,
+        pii: masked.pii,
+        valueType: entry.valueType,
+        normalizedValue: masked.normalizedValue,
+        currency: entry.currency,
+        page: entry.page,
+        confidence: entry.confidence
+      });
+    }
+
+    const results = [...documentGroups.values()].filter(Boolean);
+    return {
+      filter: validated,
+      // What each condition was compared as, to explain why "Total > 500" did or did not match
+      conditions: conditions.map(condition => ({ ...condition, query: queries.get(condition) })),
+      minConfidence,
+      results,
+      count: results.length,
+      totalDocuments: total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+}
+
+module.exports = KeyValueFilterService;
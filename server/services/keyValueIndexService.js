@@ -1,9 +1,16 @@
 const KeyValueIndex = require('../models/KeyValueIndex');
+const PiiDetector = require('./piiDetector');
+const KeyRegistry = require('./keyRegistry');
 
 class KeyValueIndexService {
   
   static normalizeKey(key) {
-    return key.toLowerCase().trim().replace(/[^\w\s]/g, '').replace(/\s+/g, '_');
+    return KeyRegistry.normalizeKey(key);
+  }
+
+  // Index form of plain text values, so text filters match on normalizedValue instead of scanning value
+  static normalizeText(value) {
+    return value.trim().toLowerCase();
   }
 
   static getValueType(value) {
@@ -20,25 +27,22 @@ class KeyValueIndexService {
     try {
       const indexEntries = [];
 
-      // Handle both array format [{key, value}] and object format {key: value}
+      // Handle both array format [{key, value, page}] and object format {key: value}
       let pairs;
       if (Array.isArray(keyValuePairs)) {
-        // Convert array format to object format for consistent processing
-        pairs = {};
-        keyValuePairs.forEach(pair => {
-          if (pair.key && pair.value !== null && pair.value !== undefined && pair.value !== '') {
-            pairs[pair.key] = pair.value;
-          }
-        });
-      } else if (typeof keyValuePairs === 'object' && keyValuePairs !== null) {
+        // Keep every pair so repeated keys on different pages are indexed separately
         pairs = keyValuePairs;
+      } else if (typeof keyValuePairs === 'object' && keyValuePairs !== null) {
+        pairs = Object.entries(keyValuePairs).map(([key, value]) => ({ key, value }));
       } else {
         throw new Error('keyValuePairs must be an array or object');
       }
 
-      for (const [key, value] of Object.entries(pairs)) {
+      const keyLookup = await KeyRegistry.getLookup();
+      for (const { key, value, page, confidence, valueType, normalizedValue, currency, pii } of pairs) {
         // Skip empty or null values
-        if (value === null || value === undefined || value === '') continue;
+        if (!key || value === null || value === undefined || value === '') continue;
+        const type = valueType || this.getValueType(value);
 
         indexEntries.push({
           documentId,
@@ -46,8 +50,17 @@ class KeyValueIndexService {
           originalFilename,
           key,
           keyNormalized: this.normalizeKey(key),
+          // "DOB" and "Date of Birth" are both indexed as date_of_birth
+          canonicalKey: KeyRegistry.resolve(keyLookup, key).key,
           value,
-          valueType: this.getValueType(value),
+          // Pairs normalized by ValueNormalizer carry their detected type; older callers fall back to the JS type
+          valueType: type,
+          normalizedValue: type === 'string' && typeof value === 'string' ? this.normalizeText(value) : normalizedValue,
+          currency,
+          // Pairs from the pipeline are already tagged; others are checked here
+          pii: pii || PiiDetector.detectPair(key, value) || undefined,
+          page,
+          confidence,
           extractedAt
         });
       }
@@ -64,6 +77,31 @@ class KeyValueIndexService {
     }
   }
 
+  // Startup: gives text entries indexed before text values were normalized their normalizedValue
+  static async backfillTextValues() {
+    const cursor = KeyValueIndex.find(
+      { valueType: 'string', value: { $type: 'string' }, normalizedValue: { $exists: false } },
+      { value: 1 }
+    ).lean().cursor();
+
+    let operations = [];
+    let updated = 0;
+    for await (const entry of cursor) {
+      operations.push({ updateOne: { filter: { _id: entry._id }, update: { $set: { normalizedValue: this.normalizeText(entry.value) } } } });
+      if (operations.length === 1000) {
+        updated += (await KeyValueIndex.bulkWrite(operations, { ordered: false })).modifiedCount;
+        operations = [];
+      }
+    }
+    if (operations.length > 0) {
+      updated += (await KeyValueIndex.bulkWrite(operations, { ordered: false })).modifiedCount;
+    }
+    if (updated > 0) {
+      console.log(`Normalized ${updated} text values in the key index`);
+    }
+    return updated;
+  }
+
   static async removeDocumentIndex(documentId) {
     try {
       const result = await KeyValueIndex.deleteMany({ documentId });
@@ -75,29 +113,54 @@ class KeyValueIndexService {
     }
   }
 
-  static async searchByKeyExact(keyName, limit = 100) {
+  // PII_MASKING (on by default) masks PII values in search responses; grouping still uses the real values
+  static maskEntry(entry) {
+    return PiiDetector.maskingEnabled ? PiiDetector.maskPair(entry) : entry;
+  }
+
+  // minConfidence (0-1) drops entries scored below it; entries indexed before scoring have no confidence
+  static confidenceFilter(minConfidence) {
+    return typeof minConfidence === 'number' ? { confidence: { $gte: minConfidence } } : {};
+  }
+
+  // Exact means the same canonical key, so "DOB" also finds values extracted as "Date of Birth"
+  static async searchByKeyExact(keyName, limit = 100, minConfidence = null) {
     try {
-      const results = await KeyValueIndex.find({ key: keyName })
+      const canonical = KeyRegistry.resolve(await KeyRegistry.getLookup(), keyName);
+      const results = await KeyValueIndex.find({ canonicalKey: canonical.key, ...this.confidenceFilter(minConfidence) })
         .sort({ extractedAt: -1 })
         .limit(limit)
         .lean();
 
-      const uniqueValues = [...new Set(results.map(r => r.value))];
-      
-      const valueFrequency = uniqueValues.map(value => {
+      const valueFrequency = [...new Set(results.map(r => r.value))].map(value => {
         const matchingResults = results.filter(r => r.value === value);
+        const masked = this.maskEntry(matchingResults[0]);
         return {
-          value,
+          value: masked.value,
+          pii: masked.pii,
           count: matchingResults.length,
-          filenames: [...new Set(matchingResults.map(r => r.originalFilename))]
+          filenames: [...new Set(matchingResults.map(r => r.originalFilename))],
+          occurrences: matchingResults.map(r => ({
+            documentId: r.documentId,
+            originalFilename: r.originalFilename,
+            page: r.page,
+            confidence: r.confidence,
+            valueType: r.valueType,
+            normalizedValue: this.maskEntry(r).normalizedValue,
+            currency: r.currency
+          }))
         };
       });
 
       return {
         searchKey: keyName,
         searchType: 'exact',
-        results,
-        uniqueValues,
+        canonicalKey: canonical.key,
+        label: canonical.label,
+        keyVariants: [...new Set(results.map(r => r.key))],
+        minConfidence,
+        results: results.map(result => this.maskEntry(result)),
+        uniqueValues: valueFrequency.map(frequency => frequency.value),
         totalDocuments: new Set(results.map(r => r.documentId.toString())).size,
         totalResults: results.length,
         valueFrequency
@@ -108,12 +171,18 @@ class KeyValueIndexService {
     }
   }
 
-  static async searchByKeyPartial(keyName, limit = 100) {
+  static async searchByKeyPartial(keyName, limit = 100, minConfidence = null) {
     try {
       const normalizedSearch = this.normalizeKey(keyName);
+      const canonicalKey = await KeyRegistry.canonicalize(keyName);
       
       const results = await KeyValueIndex.find({
-        keyNormalized: { $regex: normalizedSearch, $options: 'i' }
+        $or: [
+          { keyNormalized: { $regex: normalizedSearch, $options: 'i' } },
+          { canonicalKey: { $regex: normalizedSearch, $options: 'i' } },
+          { canonicalKey }
+        ],
+        ...this.confidenceFilter(minConfidence)
       })
       .sort({ extractedAt: -1 })
       .limit(limit)
@@ -132,10 +201,17 @@ class KeyValueIndexService {
             matches: []
           };
         }
+        const masked = this.maskEntry(result);
         documentGroups[docId].matches.push({
           key: result.key,
-          value: result.value,
-          valueType: result.valueType
+          canonicalKey: result.canonicalKey,
+          value: masked.value,
+          pii: masked.pii,
+          valueType: result.valueType,
+          normalizedValue: masked.normalizedValue,
+          currency: result.currency,
+          page: result.page,
+          confidence: result.confidence
         });
       });
 
@@ -144,6 +220,7 @@ class KeyValueIndexService {
       return {
         searchKey: keyName,
         searchType: 'partial',
+        minConfidence,
         results: groupedResults,
         totalDocuments: groupedResults.length,
         totalMatches: results.length
@@ -161,7 +238,8 @@ class KeyValueIndexService {
       const results = await KeyValueIndex.find({
         $or: [
           { key: { $regex: searchTerm, $options: 'i' } },
-          { keyNormalized: { $regex: this.normalizeKey(searchTerm), $options: 'i' } }
+          { keyNormalized: { $regex: this.normalizeKey(searchTerm), $options: 'i' } },
+          { canonicalKey: await KeyRegistry.canonicalize(searchTerm) }
         ]
       })
       .sort({ extractedAt: -1 })
@@ -192,13 +270,15 @@ class KeyValueIndexService {
     }
   }
 
+  // One row per canonical key, with the spellings it was extracted as in variants
   static async getKeyStatistics() {
     try {
       const stats = await KeyValueIndex.aggregate([
         {
           $group: {
-            _id: '$key',
+            _id: { $ifNull: ['$canonicalKey', '$keyNormalized'] },
             count: { $sum: 1 },
+            variants: { $addToSet: '$key' },
             uniqueValues: { $addToSet: '$value' },
             lastSeen: { $max: '$extractedAt' }
           }
@@ -207,6 +287,7 @@ class KeyValueIndexService {
           $project: {
             key: '$_id',
             count: 1,
+            variants: 1,
             uniqueValueCount: { $size: '$uniqueValues' },
             lastSeen: 1,
             _id: 0
@@ -216,7 +297,11 @@ class KeyValueIndexService {
         { $limit: 50 }
       ]);
 
-      return stats;
+      const keyLookup = await KeyRegistry.getLookup();
+      return stats.map(stat => ({
+        ...stat,
+        label: KeyRegistry.resolve(keyLookup, stat.key).label || stat.variants[0]
+      }));
     } catch (error) {
       console.error('Error getting key statistics:', error);
       throw error;
@@ -0,0 +1,98 @@
+class LayoutService {
+
+  // Boxes are stored as fractions of the page size so they can be drawn over a page image at any scale
+  static toPageBox({ x0, y0, x1, y1 }, pageWidth, pageHeight) {
+    const round = value => Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000;
+    return {
+      x: round(Math.min(x0, x1) / pageWidth),
+      y: round(Math.min(y0, y1) / pageHeight),
+      width: round(Math.abs(x1 - x0) / pageWidth),
+      height: round(Math.abs(y1 - y0) / pageHeight)
+    };
+  }
+
+  static createWord(text, bounds, pageWidth, pageHeight, confidence) {
+    const word = { text, box: this.toPageBox(bounds, pageWidth, pageHeight) };
+    if (typeof confidence === 'number') {
+      word.confidence = confidence;
+    }
+    return word;
+  }
+
+  static unionBoxes(boxes) {
+    if (boxes.length === 0) return null;
+
+    const x0 = Math.min(...boxes.map(box => box.x));
+    const y0 = Math.min(...boxes.map(box => box.y));
+    const x1 = Math.max(...boxes.map(box => box.x + box.width));
+    const y1 = Math.max(...boxes.map(box => box.y + box.height));
+    return this.toPageBox({ x0, y0, x1, y1 }, 1, 1);
+  }
+
+  static normalizeToken(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  // Finds every run of consecutive words whose combined text equals the phrase,
+  // ignoring case, punctuation and how the OCR engine split the words
+  static findPhrase(words, phrase) {
+    const target = this.normalizeToken(phrase);
+    if (!target) return [];
+
+    const tokens = words.map(word => this.normalizeToken(word.text));
+    const matches = [];
+
+    for (let start = 0; start < tokens.length; start++) {
+      if (!tokens[start] || !target.startsWith(tokens[start])) continue;
+
+      let combined = tokens[start];
+      let end = start;
+      while (combined.length < target.length && end + 1 < tokens.length) {
+        end++;
+        combined += tokens[end];
+        if (!target.startsWith(combined)) break;
+      }
+
+      if (combined === target) {
+        matches.push({ start, end });
+      }
+    }
+
+    return matches;
+  }
+
+  static matchBox(words, match) {
+    return this.unionBoxes(words.slice(match.start, match.end + 1).map(word => word.box));
+  }
+
+  // Links each key-value pair to the page region of its value (and its key label when found).
+  // When a value appears several times, the occurrence closest after the key wins.
+  static attachBoundingBoxes(keyValuePairs, pages) {
+    return keyValuePairs.map(pair => {
+      const page = pages.find(candidate => candidate.pageNumber === (pair.page || 1));
+      if (!page || !page.words || page.words.length === 0) {
+        return pair;
+      }
+
+      const keyMatches = this.findPhrase(page.words, pair.key);
+      const valueMatches = this.findPhrase(page.words, pair.value);
+      const keyMatch = keyMatches[0];
+
+      let valueMatch = valueMatches[0];
+      if (keyMatch) {
+        valueMatch = valueMatches.find(match => match.start > keyMatch.end) || valueMatch;
+      }
+
+      const linkedPair = { ...pair };
+      if (valueMatch) {
+        linkedPair.boundingBox = this.matchBox(page.words, valueMatch);
+      }
+      if (keyMatch) {
+        linkedPair.keyBoundingBox = this.matchBox(page.words, keyMatch);
+      }
+      return linkedPair;
+    });
+  }
+}
+
+module.exports = LayoutService;
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const vision = require('@google-cloud/vision');
+const LayoutService = require('../layoutService');
+
+class GoogleVisionEngine {
+  constructor(credentials, projectId) {
+    this.name = 'google-vision';
+
+    if (credentials && fs.existsSync(credentials)) {
+      this.visionClient = new vision.ImageAnnotatorClient({
+        keyFilename: credentials,
+        projectId: projectId
+      });
+    } else {
+      console.warn('Google Cloud Vision credentials not found. Vision API will be unavailable.');
+      this.visionClient = null;
+    }
+    this.isAvailable = !!this.visionClient;
+  }
+
+  async recognize(filePath) {
+    if (!this.visionClient) {
+      throw new Error('Google Cloud Vision client not initialized');
+    }
+    
+    try {
+      // Document text detection reports a confidence for every word, plain text detection doesn't
+      const [result] = await this.visionClient.documentTextDetection(filePath);
+      const annotation = result.fullTextAnnotation;
+      
+      if (annotation && annotation.text) {
+        const { width, height } = await sharp(filePath).metadata();
+
+        const words = [];
+        annotation.pages.forEach(page => {
+          page.blocks.forEach(block => {
+            block.paragraphs.forEach(paragraph => {
+              paragraph.words.forEach(word => {
+                const xs = word.boundingBox.vertices.map(vertex => vertex.x || 0);
+                const ys = word.boundingBox.vertices.map(vertex => vertex.y || 0);
+                words.push(LayoutService.createWord(word.symbols.map(symbol => symbol.text).join(''), {
+                  x0: Math.min(...xs),
+                  y0: Math.min(...ys),
+                  x1: Math.max(...xs),
+                  y1: Math.max(...ys)
+                }, width, height, word.confidence));
+              });
+            });
+          });
+        });
+
+        return { text: annotation.text.trim(), words };
+      }
+      
+      return { text: '', words: [] };
+    } catch (error) {
+      console.error('Google Vision API Error:', error);
+      error.processingStep = 'GOOGLE_VISION_API';
+      throw error;
+    }
+  }
+}
+
+module.exports = GoogleVisionEngine;
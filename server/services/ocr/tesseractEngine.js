@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const Tesseract = require('tesseract.js');
+const sharp = require('sharp');
+const LayoutService = require('../layoutService');
+
+class TesseractEngine {
+  constructor() {
+    this.name = 'tesseract';
+    this.isAvailable = true;
+  }
+
+  async preprocessImage(filePath) {
+    const tempPath = path.join(path.dirname(filePath), 'temp_processed_' + path.basename(filePath));
+    
+    try {
+      await sharp(filePath)
+        .grayscale()
+        .normalise()
+        .sharpen()
+        .resize(null, 1200, { 
+          withoutEnlargement: true,
+          kernel: sharp.kernel.lanczos3
+        })
+        .png({ quality: 100 })
+        .toFile(tempPath);
+      
+      return tempPath;
+    } catch (error) {
+      console.error('Image preprocessing error:', error);
+      error.processingStep = 'IMAGE_PREPROCESSING';
+      throw error;
+    }
+  }
+
+  async recognize(filePath, onProgress = () => {}) {
+    let processedImagePath = null;
+    let worker = null;
+    
+    try {
+      processedImagePath = await this.preprocessImage(filePath);
+      
+      worker = await Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, {
+        logger: m => {
+          if (m.status === 'recognizing text') {
+            console.log(`Tesseract OCR Progress: ${Math.round(m.progress * 100)}%`);
+            onProgress(m.progress);
+          }
+        }
+      });
+      await worker.setParameters({
+        tessedit_pageseg_mode: Tesseract.PSM.AUTO,
+        tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789.,;:!?()[]{}"\'-/@#$%^&*+=<>|\\~`_ \n\t',
+        preserve_interword_spaces: '1'
+      });
+
+      // Block output carries the word geometry used for highlighting
+      const { data } = await worker.recognize(processedImagePath, {}, { text: true, blocks: true });
+      const { width, height } = await sharp(processedImagePath).metadata();
+
+      const words = [];
+      (data.blocks || []).forEach(block => {
+        block.paragraphs.forEach(paragraph => {
+          paragraph.lines.forEach(line => {
+            line.words.forEach(word => {
+              words.push(LayoutService.createWord(word.text, word.bbox, width, height, word.confidence / 100));
+            });
+          });
+        });
+      });
+      
+      return { text: data.text.trim(), words };
+    } catch (error) {
+      console.error('Tesseract OCR Error:', error);
+      error.processingStep = 'TESSERACT_OCR';
+      throw error;
+    } finally {
+      if (worker) {
+        await worker.terminate();
+      }
+      if (processedImagePath && fs.existsSync(processedImagePath)) {
+        try {
+          fs.unlinkSync(processedImagePath);
+        } catch (cleanupError) {
+          console.warn('Failed to cleanup temporary file:', cleanupError);
+        }
+      }
+    }
+  }
+}
+
+module.exports = TesseractEngine;
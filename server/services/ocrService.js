@@ -0,0 +1,117 @@
+const GoogleVisionEngine = require('./ocr/googleVisionEngine');
+const TesseractEngine = require('./ocr/tesseractEngine');
+require('dotenv').config();
+
+// Tried in order until one returns text; override with OCR_ENGINES or ?ocr= per upload
+const DEFAULT_ENGINE_CHAIN = ['google-vision', 'tesseract'];
+
+class OCRService {
+  constructor() {
+    this.engines = new Map();
+    this.register(new GoogleVisionEngine(
+      process.env.GOOGLE_APPLICATION_CREDENTIALS,
+      process.env.GOOGLE_CLOUD_PROJECT_ID
+    ));
+    this.register(new TesseractEngine());
+
+    this.defaultChain = this.initializeDefaultChain();
+    console.log(`OCR engine chain: ${this.defaultChain.join(' → ')}`);
+  }
+
+  initializeDefaultChain() {
+    if (!process.env.OCR_ENGINES) {
+      return DEFAULT_ENGINE_CHAIN;
+    }
+
+    try {
+      return this.parseChain(process.env.OCR_ENGINES);
+    } catch (error) {
+      console.warn(`Invalid OCR_ENGINES setting, falling back to ${DEFAULT_ENGINE_CHAIN.join(',')}:`, error.message);
+      return DEFAULT_ENGINE_CHAIN;
+    }
+  }
+
+  // Engines implement { name, isAvailable, recognize(imagePath, onProgress) → { text, words } }
+  register(engine) {
+    this.engines.set(engine.name, engine);
+  }
+
+  listEngines() {
+    return [...this.engines.values()].map(engine => ({
+      name: engine.name,
+      isAvailable: engine.isAvailable,
+      isDefault: this.defaultChain.includes(engine.name)
+    }));
+  }
+
+  parseChain(value) {
+    const names = (Array.isArray(value) ? value : String(value).split(','))
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    const unknown = names.filter(name => !this.engines.has(name));
+    if (names.length === 0 || unknown.length > 0) {
+      const error = new Error(`Unknown OCR engine "${unknown.join(', ') || value}". Available engines: ${[...this.engines.keys()].join(', ')}`);
+      error.processingStep = 'OCR_ENGINE_SELECTION';
+      throw error;
+    }
+    return [...new Set(names)];
+  }
+
+  // Resolves a per-request selection (e.g. "tesseract" or "google-vision,tesseract") to an engine chain.
+  // An explicitly requested engine must be usable; unavailable engines in the default chain are skipped.
+  resolveChain(requested) {
+    if (!requested) {
+      return this.defaultChain;
+    }
+
+    const chain = this.parseChain(requested);
+    if (!chain.some(name => this.engines.get(name).isAvailable)) {
+      const error = new Error(`OCR engine "${chain.join(', ')}" is not configured on this server`);
+      error.processingStep = 'OCR_ENGINE_SELECTION';
+      throw error;
+    }
+    return chain;
+  }
+
+  // Returns { text, words, engine } from the first engine in the chain that reads any text
+  async recognize(imagePath, { engines, onProgress = () => {} } = {}) {
+    const chain = (engines && engines.length > 0 ? engines : this.defaultChain)
+      .map(name => this.engines.get(name))
+      .filter(engine => engine && engine.isAvailable);
+    const failures = [];
+    let emptyResult = null;
+
+    for (const engine of chain) {
+      try {
+        console.log(`Attempting OCR with ${engine.name}...`);
+        const result = await engine.recognize(imagePath, onProgress);
+
+        if (result.text && result.text.length > 0) {
+          console.log(`${engine.name} OCR extraction successful`);
+          return { ...result, engine: engine.name };
+        }
+
+        console.log(`${engine.name} returned empty result, trying next engine...`);
+        emptyResult = { ...result, engine: engine.name };
+      } catch (error) {
+        console.log(`${engine.name} failed, trying next engine...`, error.message);
+        failures.push(`${engine.name} error: ${error.message}`);
+      }
+    }
+
+    // A blank page is a valid result, only fail when no engine could read the image at all
+    if (emptyResult) {
+      return emptyResult;
+    }
+
+    console.error('All OCR engines failed');
+    const error = new Error(failures.length > 0
+      ? `Failed to extract text from image. ${failures.join('. ')}`
+      : 'Failed to extract text from image. No OCR engine is available');
+    error.processingStep = 'IMAGE_OCR_COMPLETE_FAILURE';
+    throw error;
+  }
+}
+
+module.exports = new OCRService();
@@ -0,0 +1,147 @@
+// Object properties providers sometimes wrap the pairs array in
+const WRAPPER_PROPERTIES = ['keyValuePairs', 'key_value_pairs', 'pairs', 'fields', 'data', 'results'];
+
+// Longest raw response kept on a validation error
+const MAX_RAW_RESPONSE_LENGTH = 10000;
+const MAX_LISTED_PROBLEMS = 5;
+
+class OutputValidator {
+
+  static createError(message, details = {}) {
+    const error = new Error(message);
+    error.processingStep = 'AI_OUTPUT_VALIDATION';
+    error.errorType = 'invalid_response';
+    // Asking the same question again rarely fixes malformed output; the repair step does that instead
+    error.retryable = false;
+    Object.assign(error, details);
+    return error;
+  }
+
+  static truncateRawResponse(content) {
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    return text && text.length > MAX_RAW_RESPONSE_LENGTH ? `${text.substring(0, MAX_RAW_RESPONSE_LENGTH)}… (truncated)` : text;
+  }
+
+  // Lenient JSON reading: code fences, text around the JSON, trailing commas and curly quotes are tolerated
+  static parseJson(content) {
+    const text = String(content ?? '')
+      .replace(/```(?:json)?/gi, '')
+      .replace(/[“”]/g, '"')
+      .trim();
+    if (!text) {
+      throw this.createError('The response is empty');
+    }
+
+    const candidates = [text];
+    const arrayStart = text.indexOf('[');
+    const arrayEnd = text.lastIndexOf(']');
+    if (arrayStart > -1 && arrayEnd > arrayStart) {
+      candidates.push(text.substring(arrayStart, arrayEnd + 1));
+    }
+    const objectStart = text.indexOf('{');
+    const objectEnd = text.lastIndexOf('}');
+    if (objectStart > -1 && objectEnd > objectStart) {
+      candidates.push(text.substring(objectStart, objectEnd + 1));
+    }
+
+    let firstError;
+    for (const candidate of candidates) {
+      for (const attempt of [candidate, candidate.replace(/,\s*([\]}])/g, '$1')]) {
+        try {
+          return JSON.parse(attempt);
+        } catch (parseError) {
+          firstError = firstError || parseError;
+        }
+      }
+    }
+    throw this.createError(`The response is not valid JSON (${firstError.message})`);
+  }
+
+  // Accepts a bare array, an array wrapped in an object, or a flat { key: value } object
+  static toItemList(parsed) {
+    if (Array.isArray(parsed)) {
+      return parsed;
+    }
+
+    if (parsed && typeof parsed === 'object') {
+      const wrapper = WRAPPER_PROPERTIES.find(property => Array.isArray(parsed[property]));
+      if (wrapper) {
+        return parsed[wrapper];
+      }
+      if (Object.values(parsed).every(value => value === null || ['string', 'number', 'boolean'].includes(typeof value))) {
+        return Object.entries(parsed).map(([key, value]) => ({ key, value }));
+      }
+    }
+    throw this.createError('The response must be a JSON array of {"key", "value"} objects');
+  }
+
+  // Returns the normalized pair, null for a pair without a value (a field the model did not find), or a problem string
+  static validateItem(item, index) {
+    const position = `Item ${index + 1}`;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return `${position} is not an object`;
+    }
+
+    const key = typeof item.key === 'number' ? String(item.key) : item.key;
+    if (typeof key !== 'string' || !key.trim()) {
+      return `${position} needs a non-empty string "key"`;
+    }
+
+    if (item.value === null || item.value === undefined || (typeof item.value === 'string' && !item.value.trim())) {
+      return null;
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof item.value)) {
+      return `${position} ("${key}") has a "value" that is not a string, number or boolean`;
+    }
+
+    const pair = { key: key.trim(), value: item.value };
+
+    if (item.confidence !== undefined && item.confidence !== null) {
+      let confidence = Number(item.confidence);
+      // Some models answer in percent
+      if (confidence > 1 && confidence <= 100) {
+        confidence /= 100;
+      }
+      if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+        return `${position} ("${key}") has a "confidence" that is not a number from 0 to 1`;
+      }
+      pair.confidence = confidence;
+    }
+
+    if (item.page !== undefined && item.page !== null) {
+      const page = Number(item.page);
+      if (!Number.isInteger(page) || page < 1) {
+        return `${position} ("${key}") has a "page" that is not a positive integer`;
+      }
+      pair.page = page;
+    }
+
+    return pair;
+  }
+
+  // Validates extraction output against [{ key, value, confidence?, page? }] and returns the normalized pairs.
+  // content is the provider's raw text, or an already parsed array (Mock and Replay).
+  static parseKeyValuePairs(content) {
+    const items = this.toItemList(typeof content === 'string' ? this.parseJson(content) : content);
+
+    const pairs = [];
+    const problems = [];
+    items.forEach((item, index) => {
+      const result = this.validateItem(item, index);
+      if (typeof result === 'string') {
+        problems.push(result);
+      } else if (result) {
+        pairs.push(result);
+      }
+    });
+
+    if (problems.length > 0) {
+      const listed = problems.slice(0, MAX_LISTED_PROBLEMS).join('; ');
+      const more = problems.length > MAX_LISTED_PROBLEMS ? ` and ${problems.length - MAX_LISTED_PROBLEMS} more` : '';
+      throw this.createError(`The response does not match the expected format: ${listed}${more}`);
+    }
+    return pairs;
+  }
+}
+
+module.exports = OutputValidator;
@@ -0,0 +1,248 @@
+// Labels of the PII types the detector reports
+const PII_LABELS = {
+  ssn: 'SSN',
+  credit_card: 'Card Number',
+  iban: 'IBAN',
+  passport: 'Passport Number',
+  drivers_license: "Driver's License",
+  national_id: 'National ID'
+};
+
+// Field names that mark a value as PII whatever it looks like, checked in this order
+const KEY_HINTS = [
+  { type: 'ssn', pattern: /\b(ssn|social\s*security)\b/i },
+  { type: 'credit_card', pattern: /\b(card\s*(no|number|#)|credit\s*card|debit\s*card|pan)\b/i },
+  { type: 'iban', pattern: /\biban\b/i },
+  { type: 'passport', pattern: /\bpassport\b/i },
+  { type: 'drivers_license', pattern: /\b(driver'?s?\s*licen[cs]e|licen[cs]e\s*(no|number|#)|dl\s*(no|number|#)?)\b/i },
+  { type: 'national_id', pattern: /\b(national\s*(id|identity|insurance)|tax\s*(id|identification)|tin|nin)\b/i }
+];
+
+// Patterns found anywhere in free text. SSNs need separators there, nine bare digits are too often something else.
+const SSN_PATTERN = /\b(?!000|666|9\d\d)\d{3}[- ](?!00)\d{2}[- ](?!0000)\d{4}\b/g;
+const CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+const IBAN_PATTERN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g;
+// Passport and license numbers look like any other code, so they are only recognized after their label
+const LABELED_PATTERN = /\b(passport|driver'?s?\s*licen[cs]e|licen[cs]e|dl)\s*(?:no\.?|number|#)?\s*[:#.]?\s*([A-Z0-9][A-Z0-9-]{4,14})\b/gid;
+
+// Issuer prefixes of the major card networks, so a Luhn-valid reference number is not taken for a card
+const CARD_PREFIX = /^(4|5[1-5]|2[2-7]|3[47]|3[068]|35|6011|64[4-9]|65)/;
+
+class PiiDetector {
+
+  static get PII_TYPES() {
+    return Object.entries(PII_LABELS).map(([type, label]) => ({ type, label }));
+  }
+
+  // PII_MASKING=false returns plain values from the document list and search endpoints
+  static get maskingEnabled() {
+    return process.env.PII_MASKING !== 'false';
+  }
+
+  static isLuhnValid(digits) {
+    let sum = 0;
+    for (let index = 0; index < digits.length; index++) {
+      let digit = Number(digits[digits.length - 1 - index]);
+      if (index % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  static isCardNumber(value) {
+    const digits = String(value).replace(/[ -]/g, '');
+    return /^\d{13,19}$/.test(digits) && CARD_PREFIX.test(digits) && !/^(\d)\1+$/.test(digits) && this.isLuhnValid(digits);
+  }
+
+  // ISO 13616 check: move the first four characters to the end, letters become 10-35, the number mod 97 is 1
+  static isIban(value) {
+    const iban = String(value).replace(/\s/g, '').toUpperCase();
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) {
+      return false;
+    }
+
+    const numeric = (iban.substring(4) + iban.substring(0, 4))
+      .split('')
+      .map(char => (/[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char))
+      .join('');
+    let remainder = 0;
+    for (const digit of numeric) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+  }
+
+  // Returns [{ type, start, end, value }] for every PII occurrence in text, without overlaps
+  static detectInText(text) {
+    const source = String(text ?? '');
+    const matches = [];
+
+    for (const match of source.matchAll(SSN_PATTERN)) {
+      matches.push({ type: 'ssn', start: match.index, end: match.index + match[0].length, value: match[0] });
+    }
+    for (const match of source.matchAll(CARD_PATTERN)) {
+      if (this.isCardNumber(match[0])) {
+        matches.push({ type: 'credit_card', start: match.index, end: match.index + match[0].length, value: match[0] });
+      }
+    }
+    for (const match of source.matchAll(IBAN_PATTERN)) {
+      if (this.isIban(match[0])) {
+        matches.push({ type: 'iban', start: match.index, end: match.index + match[0].length, value: match[0] });
+      }
+    }
+    for (const match of source.matchAll(LABELED_PATTERN)) {
+      if (!/\d/.test(match[2])) continue;
+      const [start, end] = match.indices[2];
+      matches.push({ type: /passport/i.test(match[1]) ? 'passport' : 'drivers_license', start, end, value: match[2] });
+    }
+
+    // Earlier and longer matches win where patterns overlap
+    matches.sort((a, b) => a.start - b.start || b.end - a.end);
+    return matches.filter((match, index) => !matches.slice(0, index).some(other => match.start < other.end && other.start < match.end));
+  }
+
+  // Returns the PII type of an extracted pair, or null
+  static detectPair(key, value) {
+    if (value === null || value === undefined || typeof value === 'boolean') {
+      return null;
+    }
+
+    const text = String(value).trim();
+    const hint = KEY_HINTS.find(entry => entry.pattern.test(String(key || '')));
+    // A labelled field counts when its value has digits, so "Passport: Not provided" is left alone
+    if (hint && /\d/.test(text)) {
+      return hint.type;
+    }
+    if (/^\d{3}-\d{2}-\d{4}$/.test(text) && text.match(SSN_PATTERN)) {
+      return 'ssn';
+    }
+    if (this.isCardNumber(text)) {
+      return 'credit_card';
+    }
+    if (this.isIban(text)) {
+      return 'iban';
+    }
+    return this.detectInText(text)[0]?.type || null;
+  }
+
+  // Adds pii (the PII type) to every pair that holds PII
+  static tagPairs(pairs) {
+    return pairs.map(pair => {
+      const type = this.detectPair(pair.key, pair.value);
+      return type ? { ...pair, pii: type } : pair;
+    });
+  }
+
+  static getPiiTypes(pairs) {
+    return [...new Set(pairs.map(pair => pair.pii).filter(Boolean))];
+  }
+
+  // Keeps the last four letters and digits, e.g. "***-**-6789"
+  static maskValue(value) {
+    const text = String(value);
+    const visible = text.replace(/[^A-Za-z0-9]/g, '').length > 4 ? 4 : 0;
+    let kept = 0;
+    return text
+      .split('')
+      .reverse()
+      .map(char => {
+        if (!/[A-Za-z0-9]/.test(char)) return char;
+        kept++;
+        return kept <= visible ? char : '*';
+      })
+      .reverse()
+      .join('');
+  }
+
+  // Masks a pair or index entry holding PII, tagged or not; other pairs are returned as they are
+  static maskPair(pair) {
+    const type = pair.pii || this.detectPair(pair.key, pair.value);
+    if (!type) {
+      return pair;
+    }
+
+    const masked = { ...pair, pii: type, value: this.maskValue(pair.value), masked: true };
+    if (pair.normalizedValue !== undefined && pair.normalizedValue !== null) {
+      masked.normalizedValue = this.maskValue(pair.normalizedValue);
+    }
+    return masked;
+  }
+
+  static maskPairs(pairs) {
+    return Array.isArray(pairs) ? pairs.map(pair => this.maskPair(pair)) : pairs;
+  }
+
+  // Masks PII inside free text; every character keeps its position, so offsets into the text stay valid
+  static maskText(text) {
+    let masked = String(text ?? '');
+    for (const match of this.detectInText(masked)) {
+      masked = masked.substring(0, match.start) + this.maskValue(match.value) + masked.substring(match.end);
+    }
+    return masked;
+  }
+
+  // List and search responses: masks the document's fields and text unless PII_MASKING=false. The detail endpoint stays unmasked.
+  static maskDocument(document) {
+    if (!this.maskingEnabled) {
+      return document;
+    }
+
+    const masked = { ...document };
+    if (Array.isArray(document.keyValuePairs)) {
+      masked.keyValuePairs = this.maskPairs(document.keyValuePairs);
+    }
+    if (typeof document.extractedText === 'string') {
+      masked.extractedText = this.maskText(document.extractedText);
+    }
+    return masked;
+  }
+
+  // Returns { redact(text), redactPair(pair), restore(value) } sharing one placeholder table, so the same SSN becomes
+  // the same placeholder in every text of a request and placeholders in the provider's answer can be put back
+  static createRedaction() {
+    const placeholders = new Map();
+    const originals = new Map();
+
+    const placeholderFor = (type, value) => {
+      if (!placeholders.has(value)) {
+        const placeholder = `[${type.toUpperCase()}_${placeholders.size + 1}]`;
+        placeholders.set(value, placeholder);
+        originals.set(placeholder, value);
+      }
+      return placeholders.get(value);
+    };
+
+    const redact = text => {
+      let redacted = String(text ?? '');
+      // Placeholders are numbered in reading order, then replaced from the end so earlier offsets stay valid
+      const matches = this.detectInText(redacted).map(match => ({ ...match, placeholder: placeholderFor(match.type, match.value) }));
+      for (const match of matches.reverse()) {
+        redacted = redacted.substring(0, match.start) + match.placeholder + redacted.substring(match.end);
+      }
+      return redacted;
+    };
+
+    // Pairs also use their key, so a bare "123456789" under "SSN" is replaced as a whole
+    const redactPair = pair => {
+      const type = this.detectPair(pair.key, pair.value);
+      if (type) {
+        return { ...pair, value: placeholderFor(type, String(pair.value)) };
+      }
+      return typeof pair.value === 'string' ? { ...pair, value: redact(pair.value) } : pair;
+    };
+
+    const restore = value => {
+      if (typeof value !== 'string' || originals.size === 0) {
+        return value;
+      }
+      return value.replace(/\[[A-Z_]+_\d+\]/g, placeholder => originals.get(placeholder) || placeholder);
+    };
+
+    return { redact, redactPair, restore, get count() { return placeholders.size; } };
+  }
+}
+
+module.exports = PiiDetector;
@@ -0,0 +1,195 @@
+// Every prompt sent to an AI provider. To change a prompt, add a new version instead of editing the old one:
+// documents and chat messages record the name@version they were produced with.
+const PROMPTS = [
+  {
+    name: 'extraction',
+    version: 1,
+    description: 'Extracts generic key-value pairs when no document template is selected',
+    variables: ['text'],
+    system: 'You extract structured data from documents and reply with JSON only.',
+    user: `Extract key-value pairs from this document text. Return ONLY a valid JSON array with objects containing 'key', 'value' and 'confidence' properties, where 'confidence' is a number from 0 to 1 saying how certain you are that the value is correct and belongs to the key. Focus on important information like names, dates, amounts, addresses, phone numbers, emails, etc.
+
+Document text:
+{{text}}
+
+Return format example:
+[{"key": "Name", "value": "John Doe", "confidence": 0.95}, {"key": "Email", "value": "john@example.com", "confidence": 0.9}]`
+  },
+  {
+    name: 'template_extraction',
+    version: 1,
+    description: 'Extracts exactly the fields declared by a document template',
+    variables: ['templateSummary', 'fieldList', 'exampleField', 'text'],
+    system: 'You extract structured data from documents and reply with JSON only.',
+    user: `Document type: {{templateSummary}}
+
+Extract exactly the following fields from the document text:
+{{fieldList}}
+
+Return ONLY a valid JSON array with one object per field found, containing 'key', 'value' and 'confidence' properties. 'key' must be the field name exactly as written above, 'value' the text as it appears in the document, and 'confidence' a number from 0 to 1 saying how certain you are that the value is correct and belongs to the field. Leave out fields that are not in the document and do not return any other fields.
+
+Document text:
+{{text}}
+
+Return format example:
+[{"key": "{{exampleField}}", "value": "...", "confidence": 0.95}]`
+  },
+  {
+    name: 'extraction_repair',
+    version: 1,
+    description: 'Asks again for extraction output that failed validation, quoting the response and what was wrong with it',
+    variables: ['request', 'response', 'error'],
+    system: 'You extract structured data from documents and reply with JSON only.',
+    user: `{{request}}
+
+Your previous response could not be used:
+{{response}}
+
+Problem: {{error}}
+
+Answer the request again, fixing this problem. Return ONLY the valid JSON array, without any explanation.`
+  },
+  {
+    name: 'classification',
+    version: 1,
+    description: 'Classifies a document as one of the known document types',
+    variables: ['typeList', 'text'],
+    system: 'You classify documents and reply with JSON only.',
+    user: `Classify this document as exactly one of the following document types:
+{{typeList}}
+
+Use "other" when none of the types fit. Return ONLY a valid JSON object with 'type' (one of the type names above) and 'confidence' (a number from 0 to 1 saying how certain you are) properties.
+
+Document text:
+{{text}}
+
+Return format example:
+{"type": "invoice", "confidence": 0.9}`
+  },
+  {
+    name: 'chat',
+    version: 1,
+    description: 'Answers a chat question from the extracted data of recent documents',
+    variables: ['documentData', 'question'],
+    system: `You are a helpful AI assistant that can answer questions about user documents. The user has uploaded documents and you have access to extracted key-value pairs from those documents.
+
+Instructions:
+- Provide a direct, concise answer based on the document data
+- If the answer is a single value (like a number, date, name), return just that value
+- If there are multiple relevant values, list them clearly
+- If you can't find the specific information requested, say so clearly
+- Keep responses short and focused
+- Use markdown formatting for emphasis when helpful`,
+    user: `Available Document Data:
+{{documentData}}
+
+User Question: "{{question}}"`
+  }
+];
+
+const PROMPT_NAMES = [...new Set(PROMPTS.map(prompt => prompt.name))];
+
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+class PromptRegistry {
+
+  static createError(processingStep, message) {
+    const error = new Error(message);
+    error.processingStep = processingStep;
+    return error;
+  }
+
+  static getVersions(name) {
+    return PROMPTS.filter(prompt => prompt.name === name).sort((a, b) => a.version - b.version);
+  }
+
+  // PROMPT_VERSIONS pins prompts to an older version (e.g. "extraction@1,chat@1"); the rest use their latest
+  static get pinnedVersions() {
+    if (!this._pinnedVersions) {
+      this._pinnedVersions = {};
+      for (const entry of (process.env.PROMPT_VERSIONS || '').split(',').map(part => part.trim()).filter(Boolean)) {
+        const [name, version] = entry.split('@');
+        if (!this.getVersions(name).some(prompt => prompt.version === Number(version))) {
+          console.warn(`Ignoring unknown prompt version "${entry}" in PROMPT_VERSIONS`);
+          continue;
+        }
+        this._pinnedVersions[name] = Number(version);
+      }
+    }
+    return this._pinnedVersions;
+  }
+
+  static getActiveVersion(name) {
+    const versions = this.getVersions(name);
+    return this.pinnedVersions[name] || versions[versions.length - 1]?.version;
+  }
+
+  // Returns the prompt definition, in its active version unless a version is given
+  static getPrompt(name, version) {
+    const versions = this.getVersions(name);
+    if (versions.length === 0) {
+      throw this.createError('PROMPT_NOT_FOUND', `Prompt "${name}" not found. Use one of: ${PROMPT_NAMES.join(', ')}`);
+    }
+
+    const wanted = version === undefined || version === null || version === '' ? this.getActiveVersion(name) : Number(version);
+    const prompt = versions.find(candidate => candidate.version === wanted);
+    if (!prompt) {
+      throw this.createError('PROMPT_NOT_FOUND', `Prompt "${name}" has no version ${version}. Available versions: ${versions.map(candidate => candidate.version).join(', ')}`);
+    }
+    return prompt;
+  }
+
+  static listPrompts() {
+    return PROMPT_NAMES.map(name => {
+      const activeVersion = this.getActiveVersion(name);
+      const active = this.getPrompt(name, activeVersion);
+      return {
+        name,
+        description: active.description,
+        variables: active.variables,
+        activeVersion,
+        versions: this.getVersions(name).map(prompt => prompt.version)
+      };
+    });
+  }
+
+  static fill(text, variables) {
+    return text.replace(VARIABLE_PATTERN, (placeholder, variable) =>
+      variables[variable] === undefined || variables[variable] === null ? placeholder : String(variables[variable])
+    );
+  }
+
+  // Returns { name, version, id, system, user } with every {{variable}} replaced; id is recorded as "name@version"
+  static render(name, variables = {}, version) {
+    const prompt = this.getPrompt(name, version);
+    const missing = prompt.variables.filter(variable => variables[variable] === undefined || variables[variable] === null);
+    if (missing.length > 0) {
+      throw this.createError('PROMPT_VARIABLES', `Prompt "${name}" needs the variable(s): ${missing.join(', ')}`);
+    }
+
+    return {
+      name,
+      version: prompt.version,
+      id: `${name}@${prompt.version}`,
+      system: this.fill(prompt.system, variables),
+      user: this.fill(prompt.user, variables)
+    };
+  }
+
+  // Like render, but variables that are not given stay as {{variable}} so a prompt can be inspected without a document
+  static preview(name, variables = {}, version) {
+    const prompt = this.getPrompt(name, version);
+    return {
+      name,
+      version: prompt.version,
+      id: `${name}@${prompt.version}`,
+      description: prompt.description,
+      variables: prompt.variables,
+      missingVariables: prompt.variables.filter(variable => variables[variable] === undefined || variables[variable] === null),
+      system: this.fill(prompt.system, variables),
+      user: this.fill(prompt.user, variables)
+    };
+  }
+}
+
+module.exports = PromptRegistry;
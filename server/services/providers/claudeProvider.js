@@ -1,57 +1,165 @@
 const axios = require('axios');
+const DocumentClassifier = require('../documentClassifier');
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const DEFAULT_MODEL = 'claude-sonnet-4-5';
+const DEFAULT_MAX_TOKENS = 4096;
+const DEFAULT_TIMEOUT_MS = 60000;
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Anthropic error types (https://docs.anthropic.com/en/api/errors) mapped to what the operator should do about them
+const API_ERROR_TYPES = {
+  invalid_request_error: { type: 'invalid_request', retryable: false, hint: 'The request was rejected as malformed; check CLAUDE_MODEL and CLAUDE_MAX_TOKENS' },
+  authentication_error: { type: 'authentication', retryable: false, hint: 'Check that CLAUDE_API_KEY is a valid Anthropic API key' },
+  permission_error: { type: 'permission', retryable: false, hint: 'The API key does not have access to this model or feature' },
+  not_found_error: { type: 'not_found', retryable: false, hint: 'The model was not found; check CLAUDE_MODEL' },
+  request_too_large: { type: 'request_too_large', retryable: false, hint: 'The document is too large for a single request' },
+  rate_limit_error: { type: 'rate_limit', retryable: true, hint: 'Rate limit reached; retry later or lower JOB_CONCURRENCY' },
+  api_error: { type: 'server_error', retryable: true, hint: 'Anthropic returned an internal error; retry later' },
+  overloaded_error: { type: 'overloaded', retryable: true, hint: 'The Anthropic API is overloaded; retry later' }
+};
+
+// Used when the response body carries no error type
+const STATUS_ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  529: 'overloaded_error'
+};
 
 class ClaudeProvider {
-  constructor(apiKey) {
+  constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
     this.isAvailable = !!apiKey;
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.model = options.model || DEFAULT_MODEL;
+    this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+  }
+
+  createError(type, message, details = {}) {
+    const error = new Error(message);
+    error.processingStep = 'CLAUDE_API';
+    error.errorType = type;
+    error.retryable = !!details.retryable;
+    error.status = details.status;
+    if (details.retryAfter) {
+      error.retryAfter = details.retryAfter;
+    }
+    return error;
+  }
+
+  // Turns axios failures into errors with an errorType, a retryable flag and an actionable message
+  mapApiError(error) {
+    if (error.processingStep) {
+      return error;
+    }
+
+    if (error.response) {
+      const { status, data, headers } = error.response;
+      const apiType = data?.error?.type || STATUS_ERROR_TYPES[status] || (status >= 500 ? 'api_error' : 'invalid_request_error');
+      const mapping = API_ERROR_TYPES[apiType] || API_ERROR_TYPES.api_error;
+      const apiMessage = data?.error?.message || error.message;
+      const retryAfter = parseInt(headers?.['retry-after']) || undefined;
+
+      return this.createError(mapping.type, `Claude API error (${status} ${mapping.type}): ${apiMessage}. ${mapping.hint}`, {
+        status,
+        retryable: mapping.retryable,
+        retryAfter
+      });
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return this.createError('timeout', `Claude API request timed out after ${this.timeout}ms`, { retryable: true });
+    }
+
+    return this.createError('network', `Could not reach the Claude API at ${this.baseUrl}: ${error.message}`, { retryable: true });
   }
 
-  async extractKeyValuePairs(text) {
+  // onUsage receives { model, inputTokens, outputTokens } for every answered request
+  async createMessage({ system, messages }, onUsage = () => {}) {
     if (!this.isAvailable) {
-      throw new Error('Claude API key not provided');
+      throw this.createError('authentication', 'Claude API key not provided. Set CLAUDE_API_KEY');
     }
 
     try {
-      const response = await axios.post('https://api.anthropic.com/v1/messages', {
-        model: 'claude-3-sonnet-20240229',
-        max_tokens: 1000,
-        messages: [{
-          role: 'user',
-          content: `Extract key-value pairs from this document text. Return ONLY a valid JSON array with objects containing 'key' and 'value' properties. Focus on important information like names, dates, amounts, addresses, phone numbers, emails, etc.
-
-Document text:
-${text}
-
-Return format example:
-[{"key": "Name", "value": "John Doe"}, {"key": "Email", "value": "john@example.com"}]`
-        }]
+      const response = await axios.post(`${this.baseUrl}/v1/messages`, {
+        model: this.model,
+        max_tokens: this.maxTokens,
+        system,
+        messages
       }, {
         headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-          'x-api-key': this.apiKey
-        }
+          'x-api-key': this.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+          'content-type': 'application/json'
+        },
+        timeout: this.timeout
       });
 
-      const content = response.data.content[0].text;
-      console.log('Claude AI response:', content);
-      
-      const jsonMatch = content.match(/\[.*\]/s);
-      if (jsonMatch) {
-        try {
-          return JSON.parse(jsonMatch[0]);
-        } catch (parseError) {
-          console.error('Claude JSON parse error:', parseError);
-          throw new Error('Failed to parse Claude response');
-        }
+      // A proxy or stand-in answering 200 with something other than a Messages response
+      if (!Array.isArray(response.data?.content)) {
+        throw this.createError('invalid_response', 'Claude API returned a response without content blocks');
       }
-      
-      throw new Error('No valid JSON found in Claude response');
-      
+
+      const text = response.data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      onUsage({
+        model: response.data.model || this.model,
+        inputTokens: response.data.usage?.input_tokens || 0,
+        outputTokens: response.data.usage?.output_tokens || 0
+      });
+
+      return { text, stopReason: response.data.stop_reason, usage: response.data.usage };
     } catch (error) {
       console.error('Claude API error:', error.response?.data || error.message);
-      throw error;
+      throw this.mapApiError(error);
+    }
+  }
+
+  // prompt is rendered by PromptRegistry: { system, user }
+  async extractKeyValuePairs(text, template, prompt, onUsage) {
+    const { text: content, stopReason } = await this.createMessage({
+      system: prompt.system,
+      messages: [{ role: 'user', content: prompt.user }]
+    }, onUsage);
+    // The response holds the extracted values, so only its size is logged
+    console.log(`Claude AI response: ${content.length} characters`);
+
+    // A response cut off at the token limit is an incomplete JSON array
+    if (stopReason === 'max_tokens') {
+      throw this.createError('max_tokens', `Claude response was cut off at ${this.maxTokens} tokens. Raise CLAUDE_MAX_TOKENS`);
     }
+
+    // Parsed and validated by AIService, which can ask for a repaired response
+    return content;
+  }
+
+  async classifyDocument(text, documentTypes, prompt, onUsage) {
+    const { text: content } = await this.createMessage({
+      system: prompt.system,
+      messages: [{ role: 'user', content: prompt.user }]
+    }, onUsage);
+
+    const classification = DocumentClassifier.parseResponse(content);
+    if (!classification) {
+      throw this.createError('invalid_response', 'No valid JSON found in Claude classification response');
+    }
+    return classification;
+  }
+
+  async chatQuery(userQuery, documentData, prompt, onUsage) {
+    const { text } = await this.createMessage({
+      system: prompt.system,
+      messages: [{ role: 'user', content: prompt.user }]
+    }, onUsage);
+
+    return text.trim();
   }
 }
 
@@ -1,4 +1,5 @@
 const { GoogleGenAI } = require('@google/genai');
+const DocumentClassifier = require('../documentClassifier');
 
 class GoogleProvider {
   constructor(apiKey) {
@@ -10,39 +11,38 @@ class GoogleProvider {
     }
   }
 
-  async extractKeyValuePairs(text) {
+  // prompt is rendered by PromptRegistry: { system, user }; onUsage receives { model, inputTokens, outputTokens }
+  async generateContent(prompt, onUsage = () => {}) {
+    const response = await this.ai.models.generateContent({
+      model: "gemini-2.5-flash",
+      contents: prompt.user,
+      config: { systemInstruction: prompt.system }
+    });
+
+    // Thinking tokens are billed as output
+    const usage = response.usageMetadata || {};
+    onUsage({
+      model: response.modelVersion || "gemini-2.5-flash",
+      inputTokens: usage.promptTokenCount || 0,
+      outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0)
+    });
+    return response;
+  }
+
+  async extractKeyValuePairs(text, template, prompt, onUsage) {
     if (!this.isAvailable) {
       throw new Error('Google API key not provided');
     }
 
     try {
-      const prompt = `Extract key-value pairs from this document text. Return ONLY a valid JSON array with objects containing 'key' and 'value' properties. Focus on important information like names, dates, amounts, addresses, phone numbers, emails, etc.
-
-Document text:
-${text}
-
-Return format example:
-[{"key": "Name", "value": "John Doe"}, {"key": "Email", "value": "john@example.com"}]`;
-
-      const response = await this.ai.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: prompt,
-      });
+      const response = await this.generateContent(prompt, onUsage);
       
       const content = response.text;
-      console.log('Google AI response:', content);
-      
-      const jsonMatch = content.match(/\[.*\]/s);
-      if (jsonMatch) {
-        try {
-          return JSON.parse(jsonMatch[0]);
-        } catch (parseError) {
-          console.error('Google JSON parse error:', parseError);
-          throw new Error('Failed to parse Google response');
-        }
-      }
+      // The response holds the extracted values, so only its size is logged
+      console.log(`Google AI response: ${(content || '').length} characters`);
       
-      throw new Error('No valid JSON found in Google response');
+      // Parsed and validated by AIService, which can ask for a repaired response
+      return content;
       
     } catch (error) {
       console.error('Google API error:', error.message);
@@ -50,33 +50,33 @@ Return format example:
     }
   }
 
-  async chatQuery(userQuery, documentData) {
+  async classifyDocument(text, documentTypes, prompt, onUsage) {
     if (!this.isAvailable) {
       throw new Error('Google API key not provided');
     }
 
     try {
-      const prompt = `You are a helpful AI assistant that can answer questions about user documents. The user has uploaded documents and you have access to extracted key-value pairs from those documents.
-
-User Question: "${userQuery}"
+      const response = await this.generateContent(prompt, onUsage);
 
-Available Document Data:
-${JSON.stringify(documentData, null, 2)}
+      const classification = DocumentClassifier.parseResponse(response.text);
+      if (!classification) {
+        throw new Error('No valid JSON found in Google classification response');
+      }
+      return classification;
 
-Instructions:
-- Provide a direct, concise answer based on the document data
-- If the answer is a single value (like a number, date, name), return just that value
-- If there are multiple relevant values, list them clearly
-- If you can't find the specific information requested, say so clearly
-- Keep responses short and focused
-- Use markdown formatting for emphasis when helpful
+    } catch (error) {
+      console.error('Google AI classification error:', error.message);
+      throw error;
+    }
+  }
 
-Answer:`;
+  async chatQuery(userQuery, documentData, prompt, onUsage) {
+    if (!this.isAvailable) {
+      throw new Error('Google API key not provided');
+    }
 
-      const response = await this.ai.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: prompt,
-      });
+    try {
+      const response = await this.generateContent(prompt, onUsage);
       
       return response.text.trim();
       
@@ -1,12 +1,15 @@
+const DocumentClassifier = require('../documentClassifier');
+
 class MockProvider {
   constructor() {
     this.isAvailable = true;
   }
 
-  async extractKeyValuePairs(text) {
+  async extractKeyValuePairs(text, template) {
     const keyValuePairs = [];
     const lines = text.split('\n').filter(line => line.trim());
     
+    // Confidence reflects the match type: specific patterns are more certain than a "Key: Value" split
     for (const line of lines) {
       if (line.includes(':')) {
         const [key, ...valueParts] = line.split(':');
@@ -15,7 +18,8 @@ class MockProvider {
         if (key.trim() && value) {
           keyValuePairs.push({
             key: key.trim(),
-            value: value
+            value: value,
+            confidence: 0.7
           });
         }
       }
@@ -24,7 +28,8 @@ class MockProvider {
       if (emailMatch) {
         keyValuePairs.push({
           key: 'Email',
-          value: emailMatch[1]
+          value: emailMatch[1],
+          confidence: 0.95
         });
       }
       
@@ -32,7 +37,8 @@ class MockProvider {
       if (phoneMatch) {
         keyValuePairs.push({
           key: 'Phone',
-          value: phoneMatch[1]
+          value: phoneMatch[1],
+          confidence: 0.85
         });
       }
       
@@ -40,7 +46,8 @@ class MockProvider {
       if (dateMatch) {
         keyValuePairs.push({
           key: 'Date',
-          value: dateMatch[1]
+          value: dateMatch[1],
+          confidence: 0.85
         });
       }
       
@@ -48,7 +55,8 @@ class MockProvider {
       if (amountMatch) {
         keyValuePairs.push({
           key: 'Amount',
-          value: amountMatch[1]
+          value: amountMatch[1],
+          confidence: 0.9
         });
       }
     }
@@ -57,9 +65,37 @@ class MockProvider {
       index === self.findIndex(p => p.key === pair.key && p.value === pair.value)
     );
     
+    if (template) {
+      return this.matchTemplateFields(uniquePairs, template);
+    }
     return uniquePairs.slice(0, 20);
   }
 
+  // No model to ask for specific fields, so each declared field takes the pair whose label
+  // matches its name, or else the first unused pattern match of its data type
+  matchTemplateFields(pairs, template) {
+    const normalize = value => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const typeKeys = { email: 'Email', phone: 'Phone', date: 'Date', amount: 'Amount' };
+    const used = new Set();
+
+    return template.fields.map(field => {
+      const name = normalize(field.name);
+      const match = pairs.find(pair => {
+        const key = normalize(pair.key);
+        return !used.has(pair) && key && (key === name || key.includes(name) || name.includes(key));
+      }) || pairs.find(pair => !used.has(pair) && pair.key === typeKeys[field.type]);
+
+      if (!match) return null;
+      used.add(match);
+      return { key: field.name, value: match.value, confidence: match.confidence };
+    }).filter(Boolean);
+  }
+
+  // Offline keyword rules; the document types are fixed by DocumentClassifier
+  async classifyDocument(text) {
+    return DocumentClassifier.classifyByRules(text);
+  }
+
   async chatQuery(userQuery, documentData) {
     // Simple mock implementation for development
     const queryLower = userQuery.toLowerCase();
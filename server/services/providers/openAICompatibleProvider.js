@@ -0,0 +1,152 @@
+const axios = require('axios');
+const DocumentClassifier = require('../documentClassifier');
+
+const DEFAULT_MAX_TOKENS = 4096;
+// Self-hosted models on modest hardware can take minutes for a long page
+const DEFAULT_TIMEOUT_MS = 180000;
+
+// HTTP status mapped to what the operator should do about it
+const STATUS_ERRORS = {
+  400: { type: 'invalid_request', retryable: false, hint: 'The server rejected the request; check OPENAI_MODEL and OPENAI_MAX_TOKENS' },
+  401: { type: 'authentication', retryable: false, hint: 'Check OPENAI_API_KEY' },
+  403: { type: 'permission', retryable: false, hint: 'The API key does not have access to this model' },
+  404: { type: 'not_found', retryable: false, hint: 'Model or endpoint not found; check OPENAI_MODEL and that OPENAI_BASE_URL ends with /v1' },
+  413: { type: 'request_too_large', retryable: false, hint: 'The document is too large for the model context' },
+  429: { type: 'rate_limit', retryable: true, hint: 'Rate limit reached; retry later or lower JOB_CONCURRENCY' }
+};
+
+// Talks to any OpenAI-compatible chat-completions endpoint, e.g. Ollama, llama.cpp server or vLLM
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, model, apiKey, maxTokens, timeout } = {}) {
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+    this.model = model;
+    this.apiKey = apiKey;
+    this.maxTokens = maxTokens || DEFAULT_MAX_TOKENS;
+    this.timeout = timeout || DEFAULT_TIMEOUT_MS;
+    this.isAvailable = !!(this.baseUrl && this.model);
+  }
+
+  createError(type, message, details = {}) {
+    const error = new Error(message);
+    error.processingStep = 'OPENAI_COMPATIBLE_API';
+    error.errorType = type;
+    error.retryable = !!details.retryable;
+    error.status = details.status;
+    if (details.retryAfter) {
+      error.retryAfter = details.retryAfter;
+    }
+    return error;
+  }
+
+  mapApiError(error) {
+    if (error.processingStep) {
+      return error;
+    }
+
+    if (error.response) {
+      const { status, data, headers } = error.response;
+      const mapping = STATUS_ERRORS[status] || (status >= 500
+        ? { type: 'server_error', retryable: true, hint: 'The model server returned an internal error; retry later' }
+        : { type: 'invalid_request', retryable: false, hint: 'The server rejected the request' });
+      // llama.cpp and Ollama sometimes return the error as a plain string
+      const apiMessage = data?.error?.message || (typeof data?.error === 'string' ? data.error : error.message);
+      const retryAfter = parseInt(headers?.['retry-after']) || undefined;
+
+      return this.createError(mapping.type, `OpenAI-compatible API error (${status} ${mapping.type}): ${apiMessage}. ${mapping.hint}`, {
+        status,
+        retryable: mapping.retryable,
+        retryAfter
+      });
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return this.createError('timeout', `Model server did not answer within ${this.timeout}ms; raise OPENAI_TIMEOUT_MS for slow models`, { retryable: true });
+    }
+
+    return this.createError('network', `Could not reach the model server at ${this.baseUrl}: ${error.message}. Is it running?`, { retryable: true });
+  }
+
+  // options.onUsage receives { model, inputTokens, outputTokens } for every answered request
+  async createChatCompletion(messages, options = {}) {
+    if (!this.isAvailable) {
+      throw this.createError('configuration', 'OpenAI-compatible provider needs OPENAI_BASE_URL and OPENAI_MODEL');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    // Local servers usually don't check keys, hosted ones do
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+        model: this.model,
+        messages,
+        max_tokens: this.maxTokens,
+        temperature: options.temperature ?? 0
+      }, { headers, timeout: this.timeout });
+
+      // Not every server reports usage; such calls are recorded with zero tokens
+      options.onUsage?.({
+        model: response.data.model || this.model,
+        inputTokens: response.data.usage?.prompt_tokens || 0,
+        outputTokens: response.data.usage?.completion_tokens || 0
+      });
+
+      const choice = response.data.choices?.[0];
+      if (!choice) {
+        throw this.createError('invalid_response', 'OpenAI-compatible API returned no choices');
+      }
+
+      return {
+        text: choice.message?.content || '',
+        finishReason: choice.finish_reason,
+        usage: response.data.usage
+      };
+    } catch (error) {
+      console.error('OpenAI-compatible API error:', error.response?.data || error.message);
+      throw this.mapApiError(error);
+    }
+  }
+
+  // prompt is rendered by PromptRegistry: { system, user }
+  async extractKeyValuePairs(text, template, prompt, onUsage) {
+    const { text: content, finishReason } = await this.createChatCompletion([
+      { role: 'system', content: prompt.system },
+      { role: 'user', content: prompt.user }
+    ], { onUsage });
+    // The response holds the extracted values, so only its size is logged
+    console.log(`OpenAI-compatible response: ${content.length} characters`);
+
+    if (finishReason === 'length') {
+      throw this.createError('max_tokens', `Model response was cut off at ${this.maxTokens} tokens. Raise OPENAI_MAX_TOKENS`);
+    }
+
+    // Parsed and validated by AIService, which can ask for a repaired response
+    return content;
+  }
+
+  async classifyDocument(text, documentTypes, prompt, onUsage) {
+    const { text: content } = await this.createChatCompletion([
+      { role: 'system', content: prompt.system },
+      { role: 'user', content: prompt.user }
+    ], { onUsage });
+
+    const classification = DocumentClassifier.parseResponse(content);
+    if (!classification) {
+      throw this.createError('invalid_response', 'No valid JSON found in model classification response');
+    }
+    return classification;
+  }
+
+  async chatQuery(userQuery, documentData, prompt, onUsage) {
+    const { text } = await this.createChatCompletion([
+      { role: 'system', content: prompt.system },
+      { role: 'user', content: prompt.user }
+    ], { temperature: 0.2, onUsage });
+
+    return text.trim();
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
\ No newline at end of file
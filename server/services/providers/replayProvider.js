@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PiiDetector = require('../piiDetector');
+
+// Answers with responses recorded from real providers (AI_RECORD=true), looked up by a hash of the rendered prompt.
+// Fixtures are plain JSON files, one per prompt, so they can be reviewed and, once checked, committed.
+class ReplayProvider {
+  constructor(fixturesDir) {
+    this.fixturesDir = path.resolve(fixturesDir);
+    // Always available: a missing fixtures directory should fail every call loudly, not fall back to Mock
+    this.isAvailable = true;
+  }
+
+  static hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(JSON.stringify([prompt.system, prompt.user])).digest('hex');
+  }
+
+  static getFixturePath(fixturesDir, prompt) {
+    return path.join(path.resolve(fixturesDir), `${this.hashPrompt(prompt)}.json`);
+  }
+
+  // Masks PII the detector finds in every string of a recorded request
+  static maskFixture(value) {
+    if (typeof value === 'string') return PiiDetector.maskText(value);
+    if (Array.isArray(value)) return value.map(item => this.maskFixture(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.maskFixture(item)]));
+    }
+    return value;
+  }
+
+  // Writes the fixture a later replay of the same prompt returns. The response is stored exactly as the provider sent
+  // it, since replaying anything else would not reproduce the run. The file is named after the hash of the real
+  // prompt, but the stored prompt is masked, so the document text it quotes does not leak PII.
+  static async record(fixturesDir, { operation, prompt, provider, response }) {
+    const filePath = this.getFixturePath(fixturesDir, prompt);
+    const fixture = {
+      hash: this.hashPrompt(prompt),
+      operation,
+      prompt: prompt.id,
+      provider,
+      recordedAt: new Date().toISOString(),
+      request: this.maskFixture({ system: prompt.system, user: prompt.user }),
+      response
+    };
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(fixture, null, 2) + '\n');
+    return filePath;
+  }
+
+  createError(type, message) {
+    const error = new Error(message);
+    error.processingStep = 'REPLAY';
+    error.errorType = type;
+    error.retryable = false;
+    return error;
+  }
+
+  async replay(operation, prompt) {
+    const filePath = ReplayProvider.getFixturePath(this.fixturesDir, prompt);
+
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      throw this.createError('miss', `No recorded ${operation} response for prompt ${prompt.id} (${path.basename(filePath)} not found in ${this.fixturesDir}). Record it by running once with AI_RECORD=true and a real provider`);
+    }
+
+    try {
+      return JSON.parse(content).response;
+    } catch (parseError) {
+      throw this.createError('invalid_fixture', `Fixture ${filePath} is not valid JSON: ${parseError.message}`);
+    }
+  }
+
+  async extractKeyValuePairs(text, template, prompt) {
+    return this.replay('extraction', prompt);
+  }
+
+  async classifyDocument(text, documentTypes, prompt) {
+    return this.replay('classification', prompt);
+  }
+
+  async chatQuery(userQuery, documentData, prompt) {
+    return this.replay('chat', prompt);
+  }
+}
+
+module.exports = ReplayProvider;
@@ -0,0 +1,305 @@
+const FormData = require('../models/FormData');
+const PiiDetector = require('./piiDetector');
+
+// The collection's only text index (MongoDB allows one), weighted so a match in the filename or a field
+// ranks above the same word somewhere in the document text
+const TEXT_INDEX_NAME = 'document_text_search';
+const TEXT_INDEX_FIELDS = { originalFilename: 'text', 'keyValuePairs.value': 'text', extractedText: 'text' };
+const TEXT_INDEX_WEIGHTS = { originalFilename: 10, 'keyValuePairs.value': 5, extractedText: 1 };
+
+// Fields returned for each result, the same as the document list
+const RESULT_FIELDS = ['_id', 'originalFilename', 'keyValuePairs', 'confidence', 'processingMethod', 'createdAt', 'metadata.fileSize', 'duplicateOf', 'template', 'missingFields', 'classification', 'piiTypes'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_QUERY_LENGTH = 200;
+// $text cannot match prefixes, so queries made only of prefixes are ranked here among this many recent matches;
+// older matches follow them, newest first
+const MAX_PREFIX_CANDIDATES = 500;
+// Words kept per document for prefix search: the filename and field values first, then the text in reading order
+const MAX_SEARCH_TERMS = 5000;
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['.-][\p{L}\p{N}]+)*/gu;
+
+const SNIPPET_RADIUS = 80;
+const MAX_TEXT_SNIPPETS = 2;
+const MAX_VALUE_SNIPPETS = 3;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class SearchService {
+
+  static createError(message) {
+    const error = new Error(message);
+    error.processingStep = 'SEARCH_QUERY';
+    return error;
+  }
+
+  // Replaces an older text index (the filename-only one) so the weighted index can be built
+  static async ensureTextIndex() {
+    // A new database has no collection to list indexes of yet (NamespaceNotFound)
+    const indexes = await FormData.collection.indexes().catch(error => {
+      if (error.code === 26) return [];
+      throw error;
+    });
+    for (const index of indexes) {
+      if (index.name !== TEXT_INDEX_NAME && index.key._fts === 'text') {
+        console.log(`Replacing text index ${index.name} with ${TEXT_INDEX_NAME}`);
+        await FormData.collection.dropIndex(index.name);
+      }
+    }
+    await FormData.collection.createIndex(TEXT_INDEX_FIELDS, { name: TEXT_INDEX_NAME, weights: TEXT_INDEX_WEIGHTS });
+  }
+
+  // Distinct lowercased words, and the parts of words joined by ' . or - ("acme.co" also gives acme and co),
+  // stored as searchTerms so a prefix is an anchored regex on an indexed array
+  static getSearchTerms({ originalFilename, keyValuePairs, extractedText }) {
+    const values = (Array.isArray(keyValuePairs) ? keyValuePairs : []).map(pair => pair.value).filter(value => typeof value === 'string');
+    const terms = new Set();
+    for (const text of [originalFilename || '', ...values, extractedText || '']) {
+      for (const [word] of text.toLowerCase().matchAll(WORD_PATTERN)) {
+        terms.add(word);
+        if (/['.-]/.test(word)) word.split(/['.-]/).forEach(part => terms.add(part));
+        if (terms.size >= MAX_SEARCH_TERMS) return [...terms].slice(0, MAX_SEARCH_TERMS);
+      }
+    }
+    return [...terms];
+  }
+
+  // Startup: adds searchTerms to documents stored before prefix search used them
+  static async backfillSearchTerms() {
+    const cursor = FormData.find({ searchTerms: { $exists: false } }, { originalFilename: 1, keyValuePairs: 1, extractedText: 1 })
+      .lean()
+      .cursor();
+
+    let operations = [];
+    let updated = 0;
+    for await (const document of cursor) {
+      operations.push({ updateOne: { filter: { _id: document._id }, update: { $set: { searchTerms: this.getSearchTerms(document) } } } });
+      if (operations.length === 100) {
+        updated += (await FormData.bulkWrite(operations, { ordered: false })).modifiedCount;
+        operations = [];
+      }
+    }
+    if (operations.length > 0) {
+      updated += (await FormData.bulkWrite(operations, { ordered: false })).modifiedCount;
+    }
+    if (updated > 0) {
+      console.log(`Added search terms to ${updated} documents`);
+    }
+    return updated;
+  }
+
+  // "quoted phrases" must appear as written, word* matches words starting with word, other words are ranked terms
+  static parseQuery(query) {
+    const text = String(query ?? '').trim();
+    if (!text) {
+      throw this.createError('Search query required');
+    }
+    if (text.length > MAX_QUERY_LENGTH) {
+      throw this.createError(`Search query must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    const phrases = [];
+    const rest = text.replace(/"([^"]*)"/g, (match, phrase) => {
+      const words = phrase.trim().split(/\s+/).filter(Boolean);
+      if (words.length > 0) phrases.push(words.join(' '));
+      return ' ';
+    });
+
+    const terms = [];
+    const prefixes = [];
+    for (const token of rest.replace(/"/g, ' ').split(/\s+/).filter(Boolean)) {
+      const prefix = token.match(/^([\p{L}\p{N}][\p{L}\p{N}'.-]*)\*$/u);
+      if (prefix) {
+        prefixes.push(prefix[1]);
+      } else {
+        const term = token.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+        if (term) terms.push(term);
+      }
+    }
+
+    if (terms.length === 0 && phrases.length === 0 && prefixes.length === 0) {
+      throw this.createError('Search query has no words to search for');
+    }
+    return { terms, phrases, prefixes };
+  }
+
+  static parsePaging({ page, limit }) {
+    const pageNumber = page === undefined ? 1 : Number(page);
+    const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      throw this.createError('page must be a positive integer');
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      throw this.createError(`limit must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+    }
+    return { page: pageNumber, limit: pageSize };
+  }
+
+  static buildFilter({ terms, phrases, prefixes }, baseFilter = {}) {
+    const filter = { ...baseFilter };
+    const textSearch = [...terms, ...phrases.map(phrase => `"${phrase}"`)].join(' ');
+    if (textSearch) {
+      filter.$text = { $search: textSearch };
+    }
+    if (prefixes.length > 0) {
+      // Anchored and case-sensitive against lowercased terms, so the searchTerms index bounds the scan
+      filter.$and = prefixes.map(prefix => ({ searchTerms: { $regex: `^${escapeRegex(prefix.toLowerCase())}` } }));
+    }
+    return filter;
+  }
+
+  // One pattern finding everything the query matches, used for highlights and prefix-only ranking.
+  // Terms also match longer words, as the text index matches "invoices" for "invoice".
+  static buildMatcher({ terms, phrases, prefixes }) {
+    const alternatives = [
+      ...phrases.map(phrase => phrase.split(' ').map(escapeRegex).join('\\W+')),
+      ...[...terms, ...prefixes].map(word => `${escapeRegex(word)}[\\p{L}\\p{N}]*`)
+    ].sort((a, b) => b.length - a.length);
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`, 'giu');
+  }
+
+  static findMatches(text, matcher) {
+    return [...String(text).matchAll(matcher)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+  }
+
+  // Windows of document text around the first matches; highlights are offsets into each snippet's text
+  static getTextSnippets(text, matcher) {
+    const windows = [];
+    for (const match of this.findMatches(text, matcher)) {
+      const last = windows[windows.length - 1];
+      if (last && match.start <= last.end) {
+        last.end = Math.min(text.length, Math.max(last.end, match.end + SNIPPET_RADIUS));
+        last.matches.push(match);
+        continue;
+      }
+      if (windows.length === MAX_TEXT_SNIPPETS) break;
+      windows.push({
+        start: Math.max(0, match.start - SNIPPET_RADIUS),
+        end: Math.min(text.length, match.end + SNIPPET_RADIUS),
+        matches: [match]
+      });
+    }
+
+    return windows.map(window => {
+      // Start and end on whole words
+      let start = window.start;
+      let end = window.end;
+      if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space > -1 && space < window.matches[0].start) start = space + 1;
+      }
+      if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > window.matches[window.matches.length - 1].end) end = space;
+      }
+
+      const prefix = start > 0 ? '…' : '';
+      const snippet = text.substring(start, end).replace(/\s/g, ' ');
+      return {
+        field: 'text',
+        text: `${prefix}${snippet}${end < text.length ? '…' : ''}`,
+        highlights: window.matches.map(match => ({ start: match.start - start + prefix.length, end: match.end - start + prefix.length }))
+      };
+    });
+  }
+
+  static getSnippets(document, matcher) {
+    const snippets = [];
+
+    const filenameMatches = this.findMatches(document.originalFilename, matcher);
+    if (filenameMatches.length > 0) {
+      snippets.push({ field: 'filename', text: document.originalFilename, highlights: filenameMatches });
+    }
+
+    const pairs = Array.isArray(document.keyValuePairs) ? document.keyValuePairs : [];
+    for (const pair of pairs) {
+      if (snippets.filter(snippet => snippet.field === 'value').length === MAX_VALUE_SNIPPETS) break;
+      if (typeof pair.value !== 'string') continue;
+      const valueMatches = this.findMatches(pair.value, matcher);
+      if (valueMatches.length > 0) {
+        snippets.push({ field: 'value', key: pair.key, text: pair.value, highlights: valueMatches });
+      }
+    }
+
+    return [...snippets, ...this.getTextSnippets(document.extractedText || '', matcher)];
+  }
+
+  // Relevance for prefix-only queries, weighted like the text index
+  static scoreMatches(document, matcher) {
+    const values = (Array.isArray(document.keyValuePairs) ? document.keyValuePairs : []).map(pair => pair.value).join(' ');
+    return this.findMatches(document.originalFilename, matcher).length * TEXT_INDEX_WEIGHTS.originalFilename +
+      this.findMatches(values, matcher).length * TEXT_INDEX_WEIGHTS['keyValuePairs.value'] +
+      this.findMatches(document.extractedText || '', matcher).length * TEXT_INDEX_WEIGHTS.extractedText;
+  }
+
+  // Ranked search over filenames, field values and document text. Returns one page of documents, best first,
+  // each with its relevance score and highlighted snippets.
+  static async search(query, { page, limit, type } = {}) {
+    const parsed = this.parseQuery(query);
+    const paging = this.parsePaging({ page, limit });
+    const filter = this.buildFilter(parsed, type ? { 'classification.type': type } : {});
+    const matcher = this.buildMatcher(parsed);
+    const skip = (paging.page - 1) * paging.limit;
+    const projection = Object.fromEntries([...RESULT_FIELDS, 'extractedText'].map(field => [field, 1]));
+
+    let documents;
+    let total;
+    if (filter.$text) {
+      [documents, total] = await Promise.all([
+        FormData.find(filter, { ...projection, score: { $meta: 'textScore' } })
+          .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+          .skip(skip)
+          .limit(paging.limit)
+          .lean(),
+        FormData.countDocuments(filter)
+      ]);
+    } else {
+      let candidates;
+      [candidates, total] = await Promise.all([
+        FormData.find(filter, projection)
+          .sort({ createdAt: -1 })
+          .limit(MAX_PREFIX_CANDIDATES)
+          .lean(),
+        FormData.countDocuments(filter)
+      ]);
+      documents = candidates
+        .map(document => ({ ...document, score: this.scoreMatches(document, matcher) }))
+        .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt)
+        .slice(skip, skip + paging.limit);
+
+      // Pages past the ranked candidates continue with the older matches
+      if (documents.length < paging.limit && total > MAX_PREFIX_CANDIDATES) {
+        const older = await FormData.find(filter, projection)
+          .sort({ createdAt: -1 })
+          .skip(Math.max(skip, MAX_PREFIX_CANDIDATES))
+          .limit(paging.limit - documents.length)
+          .lean();
+        documents.push(...older.map(document => ({ ...document, score: this.scoreMatches(document, matcher) })));
+      }
+    }
+
+    const results = documents.map(document => {
+      // Masking keeps lengths, so snippets of masked text still line up with their highlights
+      const { extractedText, ...result } = PiiDetector.maskDocument(document);
+      return {
+        ...result,
+        score: Math.round(document.score * 1000) / 1000,
+        snippets: this.getSnippets({ ...result, extractedText }, matcher)
+      };
+    });
+
+    return {
+      query: String(query).trim(),
+      parsed,
+      documents: results,
+      count: results.length,
+      total,
+      page: paging.page,
+      limit: paging.limit,
+      totalPages: Math.ceil(total / paging.limit)
+    };
+  }
+}
+
+module.exports = SearchService;
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+class LocalFileStore {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+    this.isAvailable = true;
+  }
+
+  resolveKey(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, data) {
+    const filePath = this.resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, data);
+    return key;
+  }
+
+  async getStream(key) {
+    const filePath = this.resolveKey(key);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolveKey(key), { force: true });
+  }
+
+  async deletePrefix(prefix) {
+    await fs.promises.rm(this.resolveKey(prefix), { recursive: true, force: true });
+  }
+}
+
+module.exports = LocalFileStore;
@@ -0,0 +1,81 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+class S3FileStore {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+    this.bucket = bucket;
+    this.isAvailable = !!bucket;
+
+    if (this.isAvailable) {
+      this.client = new S3Client({
+        region: region || 'us-east-1',
+        // Custom endpoints point at S3-compatible servers such as MinIO
+        endpoint: endpoint || undefined,
+        forcePathStyle: !!forcePathStyle,
+        credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+      });
+    }
+  }
+
+  async save(key, data, contentType) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: data,
+      ContentType: contentType
+    }));
+    return key;
+  }
+
+  async getStream(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+      return response.Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  async deletePrefix(prefix) {
+    let continuationToken;
+
+    do {
+      const listing = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix.endsWith('/') ? prefix : `${prefix}/`,
+        ContinuationToken: continuationToken
+      }));
+
+      const objects = (listing.Contents || []).map(object => ({ Key: object.Key }));
+      if (objects.length > 0) {
+        await this.client.send(new DeleteObjectsCommand({
+          Bucket: this.bucket,
+          Delete: { Objects: objects, Quiet: true }
+        }));
+      }
+
+      continuationToken = listing.IsTruncated ? listing.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+}
+
+module.exports = S3FileStore;
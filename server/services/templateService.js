@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const DocumentTemplate = require('../models/DocumentTemplate');
+
+const TEMPLATE_KEY_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+class TemplateService {
+
+  static createError(processingStep, message) {
+    const error = new Error(message);
+    error.processingStep = processingStep;
+    return error;
+  }
+
+  // Field names are compared the way LayoutService compares words: ignoring case and punctuation
+  static normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  // Checks a create/update body and returns only the fields a template stores
+  static validateTemplate(data = {}) {
+    const key = String(data.key || '').trim().toLowerCase();
+    if (!TEMPLATE_KEY_PATTERN.test(key)) {
+      throw this.createError('TEMPLATE_VALIDATION', 'Template key is required and may only contain lowercase letters, digits, "-" and "_"');
+    }
+
+    const name = String(data.name || '').trim();
+    if (!name) {
+      throw this.createError('TEMPLATE_VALIDATION', 'Template name is required');
+    }
+
+    if (!Array.isArray(data.fields) || data.fields.length === 0) {
+      throw this.createError('TEMPLATE_VALIDATION', 'A template needs at least one field');
+    }
+
+    const seen = new Set();
+    const fields = data.fields.map((field, index) => {
+      const fieldName = String(field?.name || '').trim();
+      if (!fieldName || !this.normalizeName(fieldName)) {
+        throw this.createError('TEMPLATE_VALIDATION', `Field ${index + 1} needs a name`);
+      }
+
+      const normalized = this.normalizeName(fieldName);
+      if (seen.has(normalized)) {
+        throw this.createError('TEMPLATE_VALIDATION', `Field "${fieldName}" is declared more than once`);
+      }
+      seen.add(normalized);
+
+      const type = field.type ? String(field.type).toLowerCase() : 'string';
+      if (!DocumentTemplate.FIELD_TYPES.includes(type)) {
+        throw this.createError('TEMPLATE_VALIDATION', `Field "${fieldName}" has invalid type "${field.type}". Use one of: ${DocumentTemplate.FIELD_TYPES.join(', ')}`);
+      }
+
+      return {
+        name: fieldName,
+        type,
+        required: field.required === true || field.required === 'true',
+        description: field.description ? String(field.description).trim() : ''
+      };
+    });
+
+    return { key, name, description: data.description ? String(data.description).trim() : '', fields };
+  }
+
+  // Templates can be referenced by their _id or by their key
+  static getTemplate(idOrKey) {
+    const value = String(idOrKey || '').trim();
+    if (mongoose.Types.ObjectId.isValid(value) && /^[a-f0-9]{24}$/i.test(value)) {
+      return DocumentTemplate.findById(value);
+    }
+    return DocumentTemplate.findOne({ key: value.toLowerCase() });
+  }
+
+  static async listTemplates() {
+    return DocumentTemplate.find().sort({ name: 1 });
+  }
+
+  static async createTemplate(data) {
+    const template = new DocumentTemplate(this.validateTemplate(data));
+    try {
+      return await template.save();
+    } catch (error) {
+      throw this.mapSaveError(error, template.key);
+    }
+  }
+
+  static async updateTemplate(idOrKey, data) {
+    const template = await this.getTemplate(idOrKey);
+    if (!template) {
+      return null;
+    }
+
+    template.set(this.validateTemplate({ key: template.key, ...data }));
+    try {
+      return await template.save();
+    } catch (error) {
+      throw this.mapSaveError(error, template.key);
+    }
+  }
+
+  static async deleteTemplate(idOrKey) {
+    const template = await this.getTemplate(idOrKey);
+    if (!template) {
+      return null;
+    }
+    await template.deleteOne();
+    return template;
+  }
+
+  static mapSaveError(error, key) {
+    if (error.code === 11000) {
+      return this.createError('TEMPLATE_CONFLICT', `A template with key "${key}" already exists`);
+    }
+    return error;
+  }
+
+  // Used by the upload routes so an unknown template fails the request before any processing
+  static async resolveTemplate(idOrKey) {
+    const template = await this.getTemplate(idOrKey);
+    if (!template) {
+      throw this.createError('TEMPLATE_SELECTION', `Document template "${idOrKey}" not found`);
+    }
+    return template;
+  }
+
+  static findField(template, key) {
+    const normalized = this.normalizeName(key);
+    return template.fields.find(field => this.normalizeName(field.name) === normalized);
+  }
+
+  // Keeps one pair per declared field, named exactly as in the template and in template order.
+  // A field found on several pages keeps its most confident value.
+  static applyTemplate(keyValuePairs, template) {
+    const bestByField = new Map();
+
+    for (const pair of keyValuePairs) {
+      const field = this.findField(template, pair.key);
+      if (!field || pair.value === null || pair.value === undefined || String(pair.value).trim() === '') {
+        continue;
+      }
+
+      const current = bestByField.get(field.name);
+      if (!current || (pair.confidence || 0) > (current.confidence || 0)) {
+        bestByField.set(field.name, { ...pair, key: field.name });
+      }
+    }
+
+    const matchedPairs = template.fields
+      .filter(field => bestByField.has(field.name))
+      .map(field => bestByField.get(field.name));
+    const missingFields = template.fields
+      .filter(field => field.required && !bestByField.has(field.name))
+      .map(field => field.name);
+
+    return { keyValuePairs: matchedPairs, missingFields };
+  }
+
+  // Variables of the template_extraction prompt
+  static getPromptVariables(template) {
+    const fieldList = template.fields.map(field => {
+      const details = [field.type, field.required ? 'required' : 'optional'].join(', ');
+      return `- ${field.name} (${details})${field.description ? `: ${field.description}` : ''}`;
+    }).join('\n');
+
+    return {
+      templateSummary: `${template.name}.${template.description ? ` ${template.description}` : ''}`,
+      fieldList,
+      exampleField: template.fields[0].name
+    };
+  }
+
+  // Reference stored on documents so they stay readable after the template changes or is deleted
+  static toDocumentReference(template) {
+    return { templateId: template._id, key: template.key, name: template.name };
+  }
+}
+
+module.exports = TemplateService;
\ No newline at end of file
@@ -0,0 +1,173 @@
+const FormData = require('../models/FormData');
+const ChatHistory = require('../models/ChatHistory');
+
+// USD per million tokens. Model names match by prefix, so "claude-sonnet-4-5" also prices "claude-sonnet-4-5-20250929".
+// AI_PRICES adds or overrides entries, e.g. {"llama3.1": {"input": 0, "output": 0}}
+const DEFAULT_PRICES = {
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 }
+};
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class UsageService {
+
+  static createError(processingStep, message) {
+    const error = new Error(message);
+    error.processingStep = processingStep;
+    return error;
+  }
+
+  static get prices() {
+    if (!this._prices) {
+      let configured = {};
+      if (process.env.AI_PRICES) {
+        try {
+          configured = JSON.parse(process.env.AI_PRICES);
+        } catch (error) {
+          console.warn('Ignoring AI_PRICES, it is not valid JSON:', error.message);
+        }
+      }
+      this._prices = { ...DEFAULT_PRICES, ...configured };
+    }
+    return this._prices;
+  }
+
+  // The longest matching model name wins, so a dated model can be priced apart from its alias
+  static getPrice(model) {
+    const name = String(model || '').toLowerCase();
+    const match = Object.keys(this.prices)
+      .filter(key => name.startsWith(key.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? this.prices[match] : null;
+  }
+
+  // Returns null for models without a price, so unknown spend is not reported as free
+  static estimateCost(model, inputTokens, outputTokens) {
+    const price = this.getPrice(model);
+    if (!price) {
+      return null;
+    }
+    return ((inputTokens || 0) * (price.input || 0) + (outputTokens || 0) * (price.output || 0)) / 1000000;
+  }
+
+  // One provider call, as stored in FormData metadata.aiUsage and ChatHistory message metadata.aiUsage
+  static createRecord({ operation, provider, model, inputTokens = 0, outputTokens = 0, latencyMs }) {
+    return {
+      operation,
+      provider,
+      model,
+      inputTokens,
+      outputTokens,
+      latencyMs,
+      cost: this.estimateCost(model, inputTokens, outputTokens),
+      recordedAt: new Date()
+    };
+  }
+
+  static roundCost(cost) {
+    return Math.round(cost * 1000000) / 1000000;
+  }
+
+  // Adds up grouped rows (or single records) into calls, tokens, cost and average latency
+  static summarize(rows) {
+    const totals = rows.reduce((sum, row) => ({
+      calls: sum.calls + (row.calls ?? 1),
+      inputTokens: sum.inputTokens + (row.inputTokens || 0),
+      outputTokens: sum.outputTokens + (row.outputTokens || 0),
+      cost: sum.cost + (row.cost || 0),
+      unpricedCalls: sum.unpricedCalls + (row.unpricedCalls ?? (row.cost === null ? 1 : 0)),
+      latencyMs: sum.latencyMs + (row.totalLatencyMs ?? row.latencyMs ?? 0)
+    }), { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedCalls: 0, latencyMs: 0 });
+
+    const { latencyMs, ...summary } = totals;
+    return {
+      ...summary,
+      cost: this.roundCost(summary.cost),
+      averageLatencyMs: summary.calls > 0 ? Math.round(latencyMs / summary.calls) : 0
+    };
+  }
+
+  static parseDay(value, name) {
+    if (!DAY_PATTERN.test(value) || isNaN(new Date(`${value}T00:00:00Z`))) {
+      throw this.createError('USAGE_QUERY', `${name} must be a date in YYYY-MM-DD format`);
+    }
+    return new Date(`${value}T00:00:00Z`);
+  }
+
+  // Stages turning the stored records into per day, provider and model rows
+  static getGroupStages(from, to) {
+    const recordedAt = {};
+    if (from) recordedAt.$gte = from;
+    if (to) recordedAt.$lt = to;
+
+    return [
+      ...(from || to ? [{ $match: { recordedAt } }] : []),
+      {
+        $group: {
+          _id: {
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$recordedAt' } },
+            provider: '$provider',
+            model: '$model'
+          },
+          calls: { $sum: 1 },
+          inputTokens: { $sum: '$inputTokens' },
+          outputTokens: { $sum: '$outputTokens' },
+          cost: { $sum: { $ifNull: ['$cost', 0] } },
+          unpricedCalls: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$cost', null] }, null] }, 1, 0] } },
+          totalLatencyMs: { $sum: { $ifNull: ['$latencyMs', 0] } }
+        }
+      }
+    ];
+  }
+
+  static rollUp(rows, getKey) {
+    const groups = new Map();
+    for (const row of rows) {
+      const key = JSON.stringify(getKey(row));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+    return [...groups.entries()].map(([key, groupRows]) => ({ ...JSON.parse(key), ...this.summarize(groupRows) }));
+  }
+
+  // Usage of document processing and chat between the from and to days (inclusive, UTC)
+  static async getUsage({ from, to } = {}) {
+    const fromDate = from ? this.parseDay(from, 'from') : null;
+    const toDate = to ? new Date(this.parseDay(to, 'to').getTime() + 24 * 60 * 60 * 1000) : null;
+
+    const [documentRows, chatRows] = await Promise.all([
+      FormData.aggregate([
+        { $unwind: '$metadata.aiUsage' },
+        { $replaceRoot: { newRoot: '$metadata.aiUsage' } },
+        ...this.getGroupStages(fromDate, toDate)
+      ]),
+      ChatHistory.aggregate([
+        { $unwind: '$messages' },
+        { $unwind: '$messages.metadata.aiUsage' },
+        { $replaceRoot: { newRoot: '$messages.metadata.aiUsage' } },
+        ...this.getGroupStages(fromDate, toDate)
+      ])
+    ]);
+
+    const rows = [
+      ...documentRows.map(({ _id, ...row }) => ({ ..._id, source: 'documents', ...row })),
+      ...chatRows.map(({ _id, ...row }) => ({ ..._id, source: 'chat', ...row }))
+    ];
+    const byDayProviderModel = this.rollUp(rows, row => ({ day: row.day, provider: row.provider, model: row.model }))
+      .sort((a, b) => b.day.localeCompare(a.day) || a.provider.localeCompare(b.provider));
+
+    return {
+      from: from || null,
+      to: to || null,
+      totals: this.summarize(rows),
+      bySource: this.rollUp(rows, row => ({ source: row.source })),
+      byDay: this.rollUp(rows, row => ({ day: row.day })).sort((a, b) => b.day.localeCompare(a.day)),
+      byProvider: this.rollUp(rows, row => ({ provider: row.provider })).sort((a, b) => b.cost - a.cost),
+      byModel: this.rollUp(rows, row => ({ provider: row.provider, model: row.model })).sort((a, b) => b.cost - a.cost),
+      byDayProviderModel
+    };
+  }
+}
+
+module.exports = UsageService;
@@ -0,0 +1,360 @@
+// Parses the strings providers return into comparable values: ISO dates, numeric amounts with a currency,
+// E.164 phone numbers, booleans and compact identifiers. The raw value is always kept alongside.
+
+const DEFAULT_LOCALE = 'en-US';
+
+// Currency and calling code for a locale's region; regions not listed fall back to USD and leave
+// national phone numbers (without a +country prefix) unnormalized
+const REGION_CURRENCIES = {
+  US: 'USD', CA: 'CAD', MX: 'MXN', BR: 'BRL', GB: 'GBP', IE: 'EUR', DE: 'EUR', FR: 'EUR', ES: 'EUR', IT: 'EUR',
+  NL: 'EUR', BE: 'EUR', AT: 'EUR', PT: 'EUR', FI: 'EUR', CH: 'CHF', SE: 'SEK', NO: 'NOK', DK: 'DKK', PL: 'PLN',
+  IN: 'INR', JP: 'JPY', CN: 'CNY', KR: 'KRW', SG: 'SGD', AU: 'AUD', NZ: 'NZD', ZA: 'ZAR'
+};
+const REGION_CALLING_CODES = {
+  US: '1', CA: '1', MX: '52', BR: '55', GB: '44', IE: '353', DE: '49', FR: '33', ES: '34', IT: '39',
+  NL: '31', BE: '32', AT: '43', PT: '351', FI: '358', CH: '41', SE: '46', NO: '47', DK: '45', PL: '48',
+  IN: '91', JP: '81', CN: '86', KR: '82', SG: '65', AU: '61', NZ: '64', ZA: '27'
+};
+
+// "$" means the local dollar where there is one, otherwise US dollars
+const DOLLAR_CURRENCIES = ['USD', 'CAD', 'AUD', 'NZD', 'SGD', 'MXN'];
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['A$', 'AUD'], ['NZ$', 'NZD'], ['S$', 'SGD'], ['R$', 'BRL'],
+  ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR'], ['₩', 'KRW'], ['₽', 'RUB'], ['₺', 'TRY'], ['₪', 'ILS'], ['฿', 'THB']
+];
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'CNY', 'INR', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'BRL', 'MXN', 'SGD', 'KRW', 'ZAR', 'RUB', 'TRY', 'ILS', 'THB'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+const TRUE_VALUES = ['yes', 'true', 'checked', '✓', '✔', '☑', '☒'];
+const FALSE_VALUES = ['no', 'false', 'unchecked', '☐', '✗'];
+// Only trusted when a template declares the field as boolean
+const SHORT_TRUE_VALUES = ['y', 'x', '1'];
+const SHORT_FALSE_VALUES = ['n', '0'];
+
+// Key names that say what the value is when the value alone is ambiguous
+const KEY_HINTS = {
+  identifier: /\b(id|no|number|num|#|code|ssn|ein|tin|account|acct|license|licence|policy|invoice|order|reference|ref|serial|member|passport|routing|iban|vin|zip|postal|postcode)\b/i,
+  amount: /\b(total|amount|subtotal|balance|price|cost|fee|tax|payment|paid|due|premium|salary|wages|pay|deductible|charges?)\b/i,
+  phone: /\b(phone|tel|telephone|mobile|cell|fax)\b/i,
+  date: /\b(date|dob|birth|expir\w*|issued|exp|effective|period)\b/i,
+  count: /\b(pages?|items?|qty|quantity|count|units?|hours)\b/i
+};
+
+const localeSettingsCache = new Map();
+
+class ValueNormalizer {
+
+  static get defaultLocale() {
+    return process.env.NORMALIZATION_LOCALE || DEFAULT_LOCALE;
+  }
+
+  // Canonical BCP 47 locale (e.g. "en-GB", "de-DE"); throws LOCALE_SELECTION for anything else
+  static resolveLocale(locale) {
+    const requested = locale === undefined || locale === null || locale === '' ? this.defaultLocale : String(locale);
+    try {
+      const [canonical] = Intl.getCanonicalLocales(requested.replace(/_/g, '-'));
+      if (canonical) return canonical;
+    } catch (error) {
+      // Reported below with the value the caller gave
+    }
+
+    const error = new Error(`Invalid locale "${requested}". Use a language tag such as en-US, en-GB or de-DE`);
+    error.processingStep = 'LOCALE_SELECTION';
+    throw error;
+  }
+
+  // Date order, decimal separator, currency and calling code for a locale, read from Intl where it knows them
+  static getLocaleSettings(locale) {
+    if (localeSettingsCache.has(locale)) {
+      return localeSettingsCache.get(locale);
+    }
+
+    const dateOrder = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(new Date(2001, 10, 22))
+      .filter(part => part.type !== 'literal')
+      .map(part => part.type[0])
+      .join('');
+    const decimalSeparator = new Intl.NumberFormat(locale).formatToParts(1234.5).find(part => part.type === 'decimal')?.value || '.';
+    const region = new Intl.Locale(locale).maximize().region;
+
+    const settings = {
+      locale,
+      dayFirst: dateOrder === 'dmy',
+      decimalSeparator,
+      region,
+      currency: REGION_CURRENCIES[region] || 'USD',
+      callingCode: REGION_CALLING_CODES[region]
+    };
+    localeSettingsCache.set(locale, settings);
+    return settings;
+  }
+
+  static toIsoDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Rejects impossible dates such as 02/30 instead of letting Date roll them over
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    return date.toISOString().substring(0, 10);
+  }
+
+  static expandYear(year) {
+    if (year >= 100) return year;
+    // Two-digit years up to ten years ahead are this century, the rest the last one
+    const cutoff = (new Date().getFullYear() + 10) % 100;
+    return year <= cutoff ? 2000 + year : 1900 + year;
+  }
+
+  static parseDate(raw, settings) {
+    const value = raw.trim().toLowerCase().replace(/,/g, ' ').replace(/\s+/g, ' ');
+
+    let match = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+    if (match) {
+      return this.toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+
+    match = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+    if (match) {
+      const first = Number(match[1]);
+      const second = Number(match[2]);
+      const year = this.expandYear(Number(match[3]));
+      // Only the locale can tell 03/04 apart; a part above 12 settles it either way
+      const dayFirst = first > 12 ? true : second > 12 ? false : settings.dayFirst;
+      return dayFirst ? this.toIsoDate(year, second, first) : this.toIsoDate(year, first, second);
+    }
+
+    // "March 4 2024", "Mar. 4th 2024"
+    match = value.match(new RegExp(`^${MONTH_PATTERN}[ -](\\d{1,2})(?:st|nd|rd|th)?[ -](\\d{2}|\\d{4})$`));
+    if (match) {
+      return this.toIsoDate(this.expandYear(Number(match[3])), MONTHS.indexOf(match[1].substring(0, 3)) + 1, Number(match[2]));
+    }
+
+    // "4 March 2024", "04-Mar-2024"
+    match = value.match(new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?[ -]${MONTH_PATTERN}[ -](\\d{2}|\\d{4})$`));
+    if (match) {
+      return this.toIsoDate(this.expandYear(Number(match[3])), MONTHS.indexOf(match[2].substring(0, 3)) + 1, Number(match[1]));
+    }
+
+    return null;
+  }
+
+  // Reads "1,234.50", "1.234,50", "1 234,50" and "(12.00)"; a lone separator before three digits is
+  // a thousands separator or a decimal point depending on the locale
+  static parseNumber(raw, settings) {
+    let value = raw.trim().replace(/[\s\u00a0\u202f']/g, '');
+    let negative = false;
+    if (/^\(.*\)$/.test(value)) {
+      negative = true;
+      value = value.slice(1, -1);
+    }
+    if (/^[-−]/.test(value)) {
+      negative = true;
+      value = value.substring(1);
+    } else if (/-$/.test(value)) {
+      negative = true;
+      value = value.slice(0, -1);
+    }
+
+    if (!/^\d[\d.,]*$/.test(value)) {
+      return null;
+    }
+
+    const lastComma = value.lastIndexOf(',');
+    const lastDot = value.lastIndexOf('.');
+    let decimalSeparator = null;
+
+    if (lastComma !== -1 && lastDot !== -1) {
+      decimalSeparator = lastComma > lastDot ? ',' : '.';
+    } else if (lastComma !== -1 || lastDot !== -1) {
+      const separator = lastComma !== -1 ? ',' : '.';
+      const occurrences = value.split(separator).length - 1;
+      const digitsAfter = value.length - value.lastIndexOf(separator) - 1;
+      if (occurrences === 1 && digitsAfter !== 3) {
+        decimalSeparator = separator;
+      } else if (occurrences === 1) {
+        decimalSeparator = separator === settings.decimalSeparator ? separator : null;
+      }
+    }
+
+    const decimalIndex = decimalSeparator ? value.lastIndexOf(decimalSeparator) : value.length;
+    const integerPart = value.substring(0, decimalIndex);
+    const fraction = value.substring(decimalIndex + 1);
+    // Separators left in the integer part must group thousands in exact three-digit groups, so a version
+    // number ("1.2.3") or an IP address ("10.0.0.1") stays a string
+    if (/[.,]/.test(integerPart) && !/^\d{1,3}([.,])\d{3}(?:\1\d{3})*$/.test(integerPart)) {
+      return null;
+    }
+    if (decimalSeparator && !/^\d+$/.test(fraction)) {
+      return null;
+    }
+
+    const number = Number(`${integerPart.replace(/[.,]/g, '')}${decimalSeparator ? `.${fraction}` : ''}`);
+    return negative ? -number : number;
+  }
+
+  // Returns { amount, currency }; currency comes from a symbol or code in the value, else the locale
+  static parseAmount(raw, settings, requireCurrency) {
+    let value = raw.trim();
+    let currency = null;
+
+    const code = CURRENCY_CODES.find(candidate => new RegExp(`(^|[^A-Z])${candidate}([^A-Z]|$)`).test(value.toUpperCase()));
+    if (code) {
+      currency = code;
+      value = value.replace(new RegExp(code, 'i'), '');
+    } else {
+      const symbol = CURRENCY_SYMBOLS.find(([candidate]) => value.includes(candidate));
+      if (symbol) {
+        currency = symbol[1];
+        value = value.replace(symbol[0], '');
+      } else if (value.includes('$')) {
+        currency = DOLLAR_CURRENCIES.includes(settings.currency) ? settings.currency : 'USD';
+        value = value.replace('$', '');
+      }
+    }
+
+    if (!currency && requireCurrency) {
+      return null;
+    }
+
+    const amount = this.parseNumber(value, settings);
+    if (amount === null) {
+      return null;
+    }
+    return { amount, currency: currency || settings.currency };
+  }
+
+  static parsePhone(raw, settings) {
+    const value = raw.trim();
+    // Extensions ("x123", "ext. 4") are not part of an E.164 number
+    const number = value.replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, '');
+    if (!/^[+\d\s().-]+$/.test(number)) {
+      return null;
+    }
+
+    let digits = number.replace(/\D/g, '');
+    if (number.trim().startsWith('+')) {
+      return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+    }
+    if (digits.startsWith('00')) {
+      digits = digits.substring(2);
+      return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+    }
+
+    if (!settings.callingCode) {
+      return null;
+    }
+
+    if (settings.callingCode === '1') {
+      // North American numbers: ten digits, optionally with the leading 1
+      if (digits.length === 11 && digits.startsWith('1')) digits = digits.substring(1);
+      return digits.length === 10 ? `+1${digits}` : null;
+    }
+
+    // Elsewhere a leading 0 is the trunk prefix and is dropped after the country code
+    digits = digits.replace(/^0/, '');
+    const e164 = `${settings.callingCode}${digits}`;
+    return digits.length >= 6 && e164.length <= 15 ? `+${e164}` : null;
+  }
+
+  static parseBoolean(raw, allowShortForms) {
+    const value = raw.trim().toLowerCase();
+    if (TRUE_VALUES.includes(value) || (allowShortForms && SHORT_TRUE_VALUES.includes(value))) return true;
+    if (FALSE_VALUES.includes(value) || (allowShortForms && SHORT_FALSE_VALUES.includes(value))) return false;
+    return null;
+  }
+
+  // Identifiers are compared without case, spaces and dashes ("123-45-6789" and "123 45 6789" match)
+  static normalizeIdentifier(raw) {
+    const value = raw.trim();
+    if (!/\d/.test(value) || !/^[A-Za-z0-9\s\-./#]+$/.test(value)) {
+      return null;
+    }
+    return value.toUpperCase().replace(/[\s\-.]/g, '');
+  }
+
+  static parseEmail(raw) {
+    const value = raw.trim();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value) ? value.toLowerCase() : null;
+  }
+
+  static typed(valueType, normalizedValue, extra = {}) {
+    return normalizedValue === null ? null : { valueType, normalizedValue, ...extra };
+  }
+
+  // declared is true when a document template gave the type rather than inference guessing it
+  static parseAs(type, raw, settings, declared = false) {
+    switch (type) {
+      case 'date':
+        return this.typed('date', this.parseDate(raw, settings));
+      case 'amount': {
+        const parsed = this.parseAmount(raw, settings, false);
+        return parsed && this.typed('amount', parsed.amount, { currency: parsed.currency });
+      }
+      case 'number':
+        return this.typed('number', this.parseNumber(raw, settings));
+      case 'phone':
+        return this.typed('phone', this.parsePhone(raw, settings));
+      case 'email':
+        return this.typed('email', this.parseEmail(raw));
+      case 'boolean':
+        return this.typed('boolean', this.parseBoolean(raw, declared));
+      case 'identifier':
+        return this.typed('identifier', this.normalizeIdentifier(raw));
+      default:
+        return null;
+    }
+  }
+
+  // Works out a value's type from its key and format. Order matters: "Invoice Number: 20240304"
+  // is an identifier, not a date or a number, and "Total: 1,234" is an amount rather than a number.
+  static inferType(key, raw, settings) {
+    const keyName = String(key || '');
+    const candidates = [];
+
+    if (KEY_HINTS.phone.test(keyName)) candidates.push('phone');
+    if (KEY_HINTS.identifier.test(keyName) && !KEY_HINTS.date.test(keyName)) candidates.push('identifier');
+    candidates.push('date', 'email', 'boolean');
+    if (KEY_HINTS.amount.test(keyName) && !KEY_HINTS.count.test(keyName)) candidates.push('amount');
+
+    for (const type of candidates) {
+      const result = this.parseAs(type, raw, settings);
+      if (result) return result;
+    }
+
+    // A currency symbol or code makes any value an amount; a bare "+" number is a phone number
+    const amount = this.parseAmount(raw, settings, true);
+    if (amount) return this.typed('amount', amount.amount, { currency: amount.currency });
+    if (/^\+\d/.test(raw.trim())) {
+      const phone = this.parseAs('phone', raw, settings);
+      if (phone) return phone;
+    }
+
+    // Leading zeros mean a code ("02134"), which a number would lose
+    return /^0\d/.test(raw.trim()) ? null : this.parseAs('number', raw, settings);
+  }
+
+  // Types from a document template are trusted over inference; "string" and "address" fields are inferred
+  static normalizeValue(key, value, { locale, fieldType } = {}) {
+    if (typeof value === 'number') return { valueType: 'number', normalizedValue: value };
+    if (typeof value === 'boolean') return { valueType: 'boolean', normalizedValue: value };
+    if (typeof value !== 'string' || !value.trim()) return { valueType: 'string' };
+
+    const settings = this.getLocaleSettings(this.resolveLocale(locale));
+    const declared = ['date', 'amount', 'number', 'phone', 'email', 'boolean'].includes(fieldType);
+    const result = declared ? this.parseAs(fieldType, value, settings, true) : this.inferType(key, value, settings);
+    return result || { valueType: 'string' };
+  }
+
+  // getFieldType(key) returns the declared template type for a key, if any
+  static normalizePairs(keyValuePairs, { locale, getFieldType = () => undefined } = {}) {
+    const resolvedLocale = this.resolveLocale(locale);
+    return keyValuePairs.map(pair => ({
+      ...pair,
+      ...this.normalizeValue(pair.key, pair.value, { locale: resolvedLocale, fieldType: getFieldType(pair.key) })
+    }));
+  }
+}
+
+module.exports = ValueNormalizer;
@@ -0,0 +1,106 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+// Read when the module loads; 15MB lets one 10MB document through but not two
+process.env.BATCH_MAX_UNCOMPRESSED_MB = '15';
+const BatchProcessor = require('../services/batchProcessor');
+
+const MB = 1024 * 1024;
+
+// Rewrites the uncompressed size recorded in both the local and central headers, as a crafted archive would
+function forgeDeclaredSizes(buffer, size) {
+  for (let offset = 0; offset < buffer.length - 4; offset++) {
+    const signature = buffer.readUInt32LE(offset);
+    if (signature === 0x04034b50) {
+      buffer.writeUInt32LE(size, offset + 22);
+    } else if (signature === 0x02014b50) {
+      buffer.writeUInt32LE(size, offset + 24);
+    }
+  }
+  return buffer;
+}
+
+describe('BatchProcessor.extractArchive', () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'batch-'));
+  });
+
+  after(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  async function writeArchive(name, files, transform = buffer => buffer) {
+    const zip = new AdmZip();
+    for (const [entryName, data] of Object.entries(files)) {
+      zip.addFile(entryName, data);
+    }
+    const archivePath = path.join(directory, name);
+    await fs.promises.writeFile(archivePath, transform(zip.toBuffer()));
+    return { path: archivePath, originalname: name };
+  }
+
+  function extractedFiles() {
+    return fs.readdirSync(directory).filter(name => name.startsWith('archive-'));
+  }
+
+  it('extracts supported entries and skips metadata', async () => {
+    const archive = await writeArchive('plain.zip', {
+      'scans/invoice.pdf': Buffer.from('%PDF-1.4 invoice'),
+      '__MACOSX/._invoice.pdf': Buffer.from('metadata'),
+      'notes.exe': Buffer.from('MZ')
+    });
+
+    const entries = BatchProcessor.extractArchive(archive);
+
+    assert.equal(entries.length, 2);
+    const pdf = entries.find(entry => entry.originalname === 'invoice.pdf');
+    const exe = entries.find(entry => entry.originalname === 'notes.exe');
+    assert.equal(pdf.file.size, 16);
+    assert.equal(fs.readFileSync(pdf.file.path, 'utf8'), '%PDF-1.4 invoice');
+    assert.equal(exe.error.processingStep, 'FILE_TYPE_CHECK');
+
+    fs.unlinkSync(pdf.file.path);
+  });
+
+  it('rejects an entry that inflates past 10MB despite a small declared size', async () => {
+    const archive = await writeArchive('bomb.zip', {
+      'bomb.pdf': Buffer.alloc(11 * MB)
+    }, buffer => forgeDeclaredSizes(buffer, 1024));
+
+    const entries = BatchProcessor.extractArchive(archive);
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].error.processingStep, 'FILE_SIZE_CHECK');
+    assert.deepEqual(extractedFiles(), []);
+  });
+
+  it('fails the archive and removes written entries once the total size cap is reached', async () => {
+    const archive = await writeArchive('large.zip', {
+      'first.pdf': Buffer.alloc(8 * MB),
+      'second.pdf': Buffer.alloc(8 * MB)
+    });
+
+    assert.throws(() => BatchProcessor.extractArchive(archive), /expands to more than 15MB/);
+    assert.deepEqual(extractedFiles(), []);
+  });
+
+  it('reports the archive as a failed entry when expanding uploads', async () => {
+    const archive = await writeArchive('upload.zip', {
+      'first.pdf': Buffer.alloc(8 * MB),
+      'second.pdf': Buffer.alloc(8 * MB)
+    });
+
+    const entries = BatchProcessor.expandUploads([{ ...archive, mimetype: 'application/zip' }]);
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].error.processingStep, 'ZIP_EXTRACTION');
+    assert.equal(fs.existsSync(archive.path), false);
+    assert.deepEqual(extractedFiles(), []);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AI_PROVIDER = 'mock';
+process.env.AI_CHUNK_MAX_CHARS = '200';
+process.env.AI_CHUNK_OVERLAP_CHARS = '40';
+delete process.env.AI_PROVIDERS;
+delete process.env.AI_RECORD;
+
+const aiService = require('../services/aiService');
+
+const paragraph = index => `Paragraph ${index} ` + 'lorem ipsum '.repeat(5).trim();
+
+describe('AIService.splitIntoChunks', () => {
+  it('keeps short text in one chunk', () => {
+    assert.deepEqual(aiService.splitIntoChunks('Name: Jane'), ['Name: Jane']);
+  });
+
+  it('splits on paragraphs and starts each chunk with the end of the previous one', () => {
+    const text = Array.from({ length: 8 }, (_, index) => paragraph(index + 1)).join('\n\n');
+
+    const chunks = aiService.splitIntoChunks(text);
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.ok(chunk.length <= 200, `chunk of ${chunk.length} characters`));
+    for (let index = 1; index < chunks.length; index++) {
+      const overlap = chunks[index].split('\n\n')[0];
+      assert.ok(chunks[index - 1].endsWith(overlap), `chunk ${index + 1} does not start with the end of chunk ${index}`);
+    }
+    assert.ok(chunks[chunks.length - 1].includes('Paragraph 8'));
+  });
+
+  it('breaks a paragraph longer than a chunk on spaces', () => {
+    const text = 'word '.repeat(120).trim();
+
+    const chunks = aiService.splitIntoChunks(text);
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => {
+      assert.ok(chunk.length <= 200);
+      assert.doesNotMatch(chunk, /(^|\s)(w|wo|wor|ord|rd|d)(\s|$)/);
+    });
+  });
+});
+
+describe('AIService.mergeChunkPairs', () => {
+  it('keeps a pair seen in two chunks once, at its highest confidence', () => {
+    const merged = aiService.mergeChunkPairs([
+      { key: 'Invoice Number', value: 'INV-1001', confidence: 0.7, chunk: 1 },
+      { key: 'invoice number:', value: 'inv 1001', confidence: 0.9, chunk: 2 }
+    ]);
+
+    assert.deepEqual(merged, [{ key: 'Invoice Number', value: 'INV-1001', confidence: 0.9, chunk: 1 }]);
+  });
+
+  it('keeps every value of a key that differs between chunks and marks the conflict', () => {
+    const merged = aiService.mergeChunkPairs([
+      { key: 'Total', value: '$250.00', chunk: 1 },
+      { key: 'Name', value: 'Jane', chunk: 1 },
+      { key: 'Total', value: '$275.00', chunk: 2 }
+    ]);
+
+    assert.deepEqual(merged, [
+      { key: 'Total', value: '$250.00', chunk: 1, valueConflict: true },
+      { key: 'Name', value: 'Jane', chunk: 1 },
+      { key: 'Total', value: '$275.00', chunk: 2, valueConflict: true }
+    ]);
+  });
+
+  it('keeps pairs from different pages apart', () => {
+    const merged = aiService.mergeChunkPairs([
+      { key: 'Date', value: '2024-03-01', page: 1, chunk: 1 },
+      { key: 'Date', value: '2024-03-09', page: 9, chunk: 2 },
+      { key: 'Date', value: '2024-03-09', page: 9, chunk: 3 }
+    ]);
+
+    assert.deepEqual(merged, [
+      { key: 'Date', value: '2024-03-01', page: 1, chunk: 1 },
+      { key: 'Date', value: '2024-03-09', page: 9, chunk: 2 }
+    ]);
+  });
+});
+
+describe('AIService.extractKeyValuePairsChunked', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('extracts each chunk and tags pairs with their source chunk', async () => {
+    const text = Array.from({ length: 8 }, (_, index) => paragraph(index + 1)).join('\n\n');
+    const chunkCount = aiService.splitIntoChunks(text).length;
+    let call = 0;
+    mock.method(aiService, 'extractKeyValuePairsWithProvider', async () => {
+      call++;
+      return {
+        keyValuePairs: [{ key: 'Name', value: 'Jane', confidence: call / 10 }, { key: `Field ${call}`, value: 'x' }],
+        provider: 'mock',
+        promptVersions: [],
+        usage: [{ operation: 'extraction' }]
+      };
+    });
+
+    const result = await aiService.extractKeyValuePairsChunked(text);
+
+    assert.equal(call, chunkCount);
+    assert.deepEqual(result.providers, ['mock']);
+    assert.deepEqual(result.promptVersions, []);
+    assert.equal(result.usage.length, chunkCount);
+    assert.deepEqual(result.keyValuePairs[0], { key: 'Name', value: 'Jane', confidence: chunkCount / 10, chunk: 1 });
+    assert.equal(result.keyValuePairs.length, chunkCount + 1);
+    assert.equal(result.keyValuePairs[chunkCount].chunk, chunkCount);
+  });
+
+  it('chunks the pages of a long document together rather than one request per page', async () => {
+    const provider = aiService.providers[0].provider;
+    const extract = mock.method(provider, 'extractKeyValuePairs');
+    const pages = Array.from({ length: 6 }, (_, index) => ({
+      pageNumber: index + 1,
+      text: `Section ${index + 1} Reference: REF-${index + 1}00\nSome text describing section ${index + 1}.`
+    }));
+
+    const { keyValuePairs } = await aiService.extractKeyValuePairsFromPages(pages);
+
+    assert.ok(extract.mock.callCount() < pages.length, `${extract.mock.callCount()} requests for ${pages.length} pages`);
+    extract.mock.calls.forEach(call => assert.match(call.arguments[0], /\[Page \d+\]/));
+    assert.deepEqual(
+      keyValuePairs.map(({ value, page }) => [value, page]),
+      pages.map(page => [`REF-${page.pageNumber}00`, page.pageNumber])
+    );
+  });
+});
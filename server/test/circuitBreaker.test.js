@@ -0,0 +1,62 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CircuitBreaker = require('../services/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  let now;
+  const openBreaker = () => {
+    now = 1000;
+    mock.method(Date, 'now', () => now);
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeout: 100 });
+    breaker.recordFailure(new Error('down'));
+    breaker.recordFailure(new Error('down'));
+    return breaker;
+  };
+
+  afterEach(() => mock.restoreAll());
+
+  it('opens after the failure threshold and skips calls until the reset timeout', () => {
+    const breaker = openBreaker();
+    assert.equal(breaker.getStatus().state, 'open');
+    assert.equal(breaker.canRequest(), false);
+    now += 99;
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(breaker.getStatus().totals.skipped, 2);
+  });
+
+  it('lets a single trial call through when half open', () => {
+    const breaker = openBreaker();
+    now += 100;
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(breaker.getStatus().probeInFlight, true);
+
+    breaker.recordSuccess();
+    assert.equal(breaker.getStatus().state, 'closed');
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.canRequest(), true);
+  });
+
+  it('re-opens when the trial call fails', () => {
+    const breaker = openBreaker();
+    now += 100;
+    assert.equal(breaker.canRequest(), true);
+    breaker.recordFailure(new Error('still down'));
+
+    assert.equal(breaker.getStatus().state, 'open');
+    assert.equal(breaker.canRequest(), false);
+    now += 100;
+    assert.equal(breaker.canRequest(), true);
+  });
+
+  it('allows another trial call when one never reports back', () => {
+    const breaker = openBreaker();
+    now += 100;
+    assert.equal(breaker.canRequest(), true);
+    now += 99;
+    assert.equal(breaker.canRequest(), false);
+    now += 1;
+    assert.equal(breaker.canRequest(), true);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ClaudeProvider = require('../services/providers/claudeProvider');
+const { startStandIn, sendJson } = require('./helpers/httpStandIn');
+
+const prompt = { id: 'extraction@1', system: 'Reply with JSON only.', user: 'Extract key-value pairs.' };
+
+describe('ClaudeProvider against a local stand-in', () => {
+  let standIn;
+  let respond;
+
+  before(async () => {
+    standIn = await startStandIn((request, body, response) => respond(request, body, response));
+  });
+  after(() => standIn.close());
+  beforeEach(() => {
+    standIn.requests.length = 0;
+  });
+
+  const createProvider = options => new ClaudeProvider('test-key', { baseUrl: `${standIn.url}/`, model: 'claude-test', maxTokens: 256, ...options });
+
+  it('sends a Messages request and returns the text and usage', async () => {
+    respond = (request, body, response) => sendJson(response, 200, {
+      model: 'claude-test-20250101',
+      content: [{ type: 'text', text: '[{"key":"Total",' }, { type: 'text', text: '"value":"5"}]' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 12, output_tokens: 8 }
+    });
+    const usage = [];
+
+    const content = await createProvider().extractKeyValuePairs('', null, prompt, reported => usage.push(reported));
+
+    assert.equal(content, '[{"key":"Total","value":"5"}]');
+    assert.deepEqual(usage, [{ model: 'claude-test-20250101', inputTokens: 12, outputTokens: 8 }]);
+    const [request] = standIn.requests;
+    assert.equal(request.url, '/v1/messages');
+    assert.equal(request.headers['x-api-key'], 'test-key');
+    assert.equal(request.headers['anthropic-version'], '2023-06-01');
+    assert.deepEqual(request.body, {
+      model: 'claude-test',
+      max_tokens: 256,
+      system: 'Reply with JSON only.',
+      messages: [{ role: 'user', content: 'Extract key-value pairs.' }]
+    });
+  });
+
+  it('reports a response cut off at the token limit', async () => {
+    respond = (request, body, response) => sendJson(response, 200, { content: [{ type: 'text', text: '[{"key":' }], stop_reason: 'max_tokens' });
+    await assert.rejects(createProvider().extractKeyValuePairs('', null, prompt), { errorType: 'max_tokens' });
+  });
+
+  it('maps error statuses to typed errors', async () => {
+    respond = (request, body, response) => sendJson(response, 429, { type: 'error', error: { type: 'rate_limit_error', message: 'Slow down' } }, { 'retry-after': '7' });
+    await assert.rejects(createProvider().extractKeyValuePairs('', null, prompt), error => {
+      assert.equal(error.processingStep, 'CLAUDE_API');
+      assert.equal(error.errorType, 'rate_limit');
+      assert.equal(error.status, 429);
+      assert.equal(error.retryable, true);
+      assert.equal(error.retryAfter, 7);
+      assert.match(error.message, /Slow down/);
+      return true;
+    });
+
+    respond = (request, body, response) => sendJson(response, 401, { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } });
+    await assert.rejects(createProvider().extractKeyValuePairs('', null, prompt), { errorType: 'authentication', retryable: false });
+
+    // No error body: the status decides
+    respond = (request, body, response) => {
+      response.writeHead(529);
+      response.end();
+    };
+    await assert.rejects(createProvider().extractKeyValuePairs('', null, prompt), { errorType: 'overloaded', retryable: true });
+  });
+
+  it('rejects a malformed body', async () => {
+    respond = (request, body, response) => {
+      response.writeHead(200, { 'content-type': 'text/html' });
+      response.end('<html>Bad gateway</html>');
+    };
+    await assert.rejects(createProvider().extractKeyValuePairs('', null, prompt), { errorType: 'invalid_response' });
+
+    respond = (request, body, response) => sendJson(response, 200, { content: [{ type: 'text', text: 'I think it is an invoice' }] });
+    await assert.rejects(createProvider().classifyDocument('', [], prompt), { errorType: 'invalid_response' });
+  });
+
+  it('reports timeouts and unreachable servers as retryable', async () => {
+    respond = () => {};
+    await assert.rejects(createProvider({ timeout: 100 }).chatQuery('', [], prompt), { errorType: 'timeout', retryable: true });
+
+    const provider = new ClaudeProvider('test-key', { baseUrl: 'http://127.0.0.1:1' });
+    await assert.rejects(provider.chatQuery('', [], prompt), { errorType: 'network', retryable: true });
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.LOW_CONFIDENCE_THRESHOLD;
+
+const ConfidenceService = require('../services/confidenceService');
+
+const word = (text, confidence, x) => ({ text, confidence, box: { x, y: 0.1, width: 0.1, height: 0.02 } });
+const pages = [{
+  pageNumber: 1,
+  words: [word('Total:', 0.9, 0.1), word('$250.00', 0.5, 0.3), word('Date:', 0.7, 0.5)]
+}];
+
+describe('ConfidenceService.validate', () => {
+  it('checks the value against the format its key implies', () => {
+    assert.deepEqual(ConfidenceService.validate('Email', 'jane@example.com'), { valid: true, rule: 'email' });
+    assert.deepEqual(ConfidenceService.validate('Due Date', 'next week'), { valid: false, rule: 'date', message: 'Value does not look like a date' });
+    assert.equal(ConfidenceService.validate('Total Amount', '€1.250,00').valid, true);
+    assert.equal(ConfidenceService.validate('Phone', '+1 (555) 010-9999').valid, true);
+    assert.equal(ConfidenceService.validate('ZIP', '94103-1234').valid, true);
+  });
+
+  it('leaves identifiers and unknown keys unchecked', () => {
+    assert.deepEqual(ConfidenceService.validate('Tax ID', 'AB-12-X'), { valid: null });
+    assert.deepEqual(ConfidenceService.validate('Customer', 'ACME'), { valid: null });
+  });
+
+  it('rejects empty and overlong values', () => {
+    assert.equal(ConfidenceService.validate('Customer', '  ').rule, 'not_empty');
+    assert.equal(ConfidenceService.validate('Notes', 'x'.repeat(501)).rule, 'max_length');
+  });
+});
+
+describe('ConfidenceService.scoreKeyValuePairs', () => {
+  it('averages the OCR confidence under the value box with the provider confidence', () => {
+    const [pair] = ConfidenceService.scoreKeyValuePairs([
+      { key: 'Total', value: '$250.00', page: 1, providerConfidence: 0.9, boundingBox: { x: 0.3, y: 0.1, width: 0.1, height: 0.02 } }
+    ], pages);
+
+    assert.deepEqual(pair, {
+      key: 'Total',
+      value: '$250.00',
+      page: 1,
+      boundingBox: { x: 0.3, y: 0.1, width: 0.1, height: 0.02 },
+      confidence: 0.7,
+      confidenceSources: { ocr: 0.5, provider: 0.9, validation: true },
+      lowConfidence: false
+    });
+  });
+
+  it('penalizes values that cannot be located or fail validation', () => {
+    const [unlocated, invalid] = ConfidenceService.scoreKeyValuePairs([
+      { key: 'Customer', value: 'ACME', page: 1 },
+      { key: 'Due Date', value: 'soon', page: 1, providerConfidence: 0.5, boundingBox: { x: 0.5, y: 0.1, width: 0.1, height: 0.02 } }
+    ], pages);
+
+    // Page average 0.7 times the unlocated penalty, with the default provider confidence of 0.8
+    assert.equal(unlocated.confidenceSources.ocr, 0.56);
+    assert.equal(unlocated.confidence, 0.68);
+    assert.equal(invalid.confidence, 0.36);
+    assert.equal(invalid.lowConfidence, true);
+    assert.equal(invalid.validationIssue, 'Value does not look like a date');
+  });
+
+  it('trusts text without OCR words', () => {
+    const [pair] = ConfidenceService.scoreKeyValuePairs([{ key: 'Name', value: 'Jane', page: 2, providerConfidence: '1' }], pages);
+    assert.equal(pair.confidence, 1);
+  });
+});
+
+describe('ConfidenceService.getDocumentConfidence', () => {
+  it('averages the field confidences', () => {
+    assert.equal(ConfidenceService.getDocumentConfidence([{ confidence: 0.9 }, { confidence: 0.6 }], pages), 0.75);
+  });
+
+  it('falls back to the OCR confidence when nothing was extracted', () => {
+    assert.equal(ConfidenceService.getDocumentConfidence([], pages), 0.7);
+    assert.equal(ConfidenceService.getDocumentConfidence([], [{ pageNumber: 1, text: '' }]), 0);
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const DocumentClassifier = require('../services/documentClassifier');
+const DocumentPipeline = require('../services/documentPipeline');
+const aiService = require('../services/aiService');
+
+describe('DocumentClassifier.classifyByRules', () => {
+  it('picks the type with the most matching phrases', () => {
+    const result = DocumentClassifier.classifyByRules('INVOICE\nInvoice Number: INV-1001\nBill To: ACME\nDue Date: 2024-04-01\nAmount Due: $250.00');
+
+    assert.deepEqual(result, { type: 'invoice', label: 'Invoice', confidence: 0.83 });
+  });
+
+  it('is less confident when another type matches almost as often', () => {
+    const result = DocumentClassifier.classifyByRules('Receipt\nCashier: Ann\nSubtotal: 20.00\nInvoice Number: 88');
+
+    assert.equal(result.type, 'receipt');
+    assert.equal(result.confidence, 0.5);
+  });
+
+  it('falls back to other', () => {
+    assert.deepEqual(DocumentClassifier.classifyByRules('Lorem ipsum dolor sit amet'), { type: 'other', label: 'Other', confidence: 0.3 });
+    assert.equal(DocumentClassifier.classifyByRules('').type, 'other');
+  });
+
+  it('only reads the start of long documents', () => {
+    const text = 'x'.repeat(5000) + ' invoice number bill to amount due';
+    assert.equal(DocumentClassifier.classifyByRules(text).type, 'other');
+  });
+});
+
+describe('DocumentClassifier.normalizeResult', () => {
+  it('maps provider answers onto the known types', () => {
+    assert.deepEqual(DocumentClassifier.normalizeResult({ type: 'Bank Statement', confidence: 0.92 }), { type: 'bank_statement', label: 'Bank Statement', confidence: 0.92 });
+    assert.deepEqual(DocumentClassifier.normalizeResult({ type: 'menu', confidence: 3 }), { type: 'other', label: 'Other', confidence: 1 });
+    assert.deepEqual(DocumentClassifier.normalizeResult(null), { type: 'other', label: 'Other', confidence: 0.5 });
+  });
+});
+
+describe('DocumentPipeline.classifyDocument', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('records whether a provider or the rules classified the document', async () => {
+    mock.method(aiService, 'classifyDocument', async () => ({ type: 'receipt', label: 'Receipt', confidence: 0.9, provider: 'claude' }));
+
+    assert.deepEqual(await DocumentPipeline.classifyDocument('Receipt'), { type: 'receipt', label: 'Receipt', confidence: 0.9, method: 'llm', provider: 'claude' });
+  });
+
+  it('classifies with the rules when every provider fails', async () => {
+    mock.method(aiService, 'classifyDocument', async () => {
+      throw new Error('All AI providers failed');
+    });
+
+    const result = await DocumentPipeline.classifyDocument('Pay Period: March\nGross Pay: 4,000\nNet Pay: 3,100');
+
+    assert.equal(result.type, 'pay_stub');
+    assert.equal(result.method, 'rules');
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fileStore = require('../services/fileStore');
+const PageWords = require('../models/PageWords');
+const DocumentPipeline = require('../services/documentPipeline');
+
+describe('DocumentPipeline.savePageWords', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('saves the word boxes of each page with words to their own collection', async () => {
+    const insert = mock.method(PageWords, 'insertMany', async entries => entries);
+    const words = [{ text: 'Total', confidence: 0.9, box: { x: 0.1, y: 0.2, width: 0.05, height: 0.01 } }];
+
+    await DocumentPipeline.savePageWords('doc1', [
+      { pageNumber: 1, text: 'Total', words },
+      { pageNumber: 2, text: '', words: [] },
+      { pageNumber: 3, text: 'No layout' }
+    ]);
+
+    assert.deepEqual(insert.mock.calls[0].arguments[0], [{ documentId: 'doc1', pageNumber: 1, words }]);
+  });
+
+  it('saves nothing when no page has words', async () => {
+    const insert = mock.method(PageWords, 'insertMany');
+
+    await DocumentPipeline.savePageWords('doc1', [{ pageNumber: 1, text: '' }]);
+
+    assert.equal(insert.mock.callCount(), 0);
+  });
+});
+
+describe('DocumentPipeline.storeFiles', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('stores the original and page images and records their keys on the pages', async () => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pipeline-'));
+    const filePath = path.join(directory, 'upload.pdf');
+    await fs.promises.writeFile(filePath, '%PDF-1.4');
+
+    const saved = new Map();
+    mock.method(fileStore, 'save', async (key, data) => saved.set(key, data));
+
+    const pages = [
+      { pageNumber: 1, text: 'Total', renders: { image: Buffer.from('image'), thumbnail: Buffer.from('thumbnail') } },
+      { pageNumber: 2, text: '' }
+    ];
+
+    try {
+      const storage = await DocumentPipeline.storeFiles('doc1', { path: filePath, originalname: 'upload.pdf', mimetype: 'application/pdf' }, pages);
+
+      assert.equal(storage.originalKey, 'documents/doc1/original.pdf');
+      assert.equal(saved.get(storage.originalKey).toString(), '%PDF-1.4');
+      assert.equal(pages[0].image, 'documents/doc1/pages/1.jpg');
+      assert.equal(saved.get(pages[0].thumbnail).toString(), 'thumbnail');
+      assert.equal(pages[1].image, undefined);
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('marks storage failures with the FILE_STORAGE step', async () => {
+    mock.method(fileStore, 'save', async () => {
+      throw new Error('disk full');
+    });
+
+    await assert.rejects(
+      DocumentPipeline.storeFiles('doc1', { path: path.join(os.tmpdir(), 'missing.pdf'), originalname: 'missing.pdf' }, []),
+      error => error.processingStep === 'FILE_STORAGE'
+    );
+  });
+});
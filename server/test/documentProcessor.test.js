@@ -0,0 +1,135 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const documentProcessor = require('../services/documentProcessor');
+const { createPdf } = require('./helpers/pdfFixture');
+const { createDocx } = require('./helpers/docxFixture');
+
+describe('DocumentProcessor PDF extraction', () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pdf-'));
+  });
+
+  after(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  it('reads the text layer page by page and leaves no temporary files', async () => {
+    const filePath = path.join(directory, 'form.pdf');
+    await fs.promises.writeFile(filePath, createPdf([
+      'Invoice Number: INV-1001 issued to ACME Supplies',
+      'Total Amount Due: 250.00 USD by March 2024'
+    ]));
+
+    const pages = await documentProcessor.extractPages(filePath, 'application/pdf');
+
+    assert.deepEqual(pages.map(page => page.pageNumber), [1, 2]);
+    assert.match(pages[0].text, /Invoice Number: INV-1001/);
+    assert.match(pages[1].text, /Total Amount Due: 250\.00 USD/);
+    assert.deepEqual(fs.readdirSync(directory).filter(name => name.startsWith('temp_')), []);
+  });
+
+  it('rejects files that are not PDFs', async () => {
+    const filePath = path.join(directory, 'fake.pdf');
+    await fs.promises.writeFile(filePath, 'not a pdf');
+
+    await assert.rejects(documentProcessor.extractPages(filePath, 'application/pdf'), error => error.processingStep === 'PDF_VALIDATION');
+  });
+
+  it('releases the canvas when a page fails to render', async () => {
+    const created = [];
+    const destroyed = [];
+    const pdfDocument = {
+      canvasFactory: {
+        create: (width, height) => {
+          const canvasAndContext = { canvas: {}, context: {}, width, height };
+          created.push(canvasAndContext);
+          return canvasAndContext;
+        },
+        destroy: canvasAndContext => destroyed.push(canvasAndContext)
+      }
+    };
+    const page = { pageNumber: 3, render: () => ({ promise: Promise.reject(new Error('broken content stream')) }) };
+
+    await assert.rejects(
+      documentProcessor.renderPDFPage(pdfDocument, page, { width: 100.5, height: 200 }, path.join(directory, 'bad.pdf')),
+      error => error.processingStep === 'PDF_PAGE_RENDERING'
+    );
+    assert.equal(created.length, 1);
+    assert.deepEqual(destroyed, created);
+  });
+});
+
+describe('DocumentProcessor text formats', () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'formats-'));
+  });
+
+  after(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  it('resolves the type from the extension when the browser sends none', () => {
+    assert.equal(documentProcessor.resolveMimeType('application/octet-stream', 'IMG_0042.HEIC'), 'image/heic');
+    assert.equal(documentProcessor.resolveMimeType('', 'forwarded.eml'), 'message/rfc822');
+    assert.equal(documentProcessor.resolveMimeType('image/png', 'scan.bin'), 'image/png');
+    assert.equal(documentProcessor.resolveMimeType('application/octet-stream', 'archive.rar'), null);
+  });
+
+  it('splits plain text into pages on form feeds', async () => {
+    const filePath = path.join(directory, 'export.txt');
+    await fs.promises.writeFile(filePath, '\uFEFFInvoice Number: INV-1001\n\fTotal: 250.00\n');
+
+    const pages = await documentProcessor.extractPages(filePath, 'text/plain');
+
+    assert.deepEqual(pages.map(({ pageNumber, text }) => ({ pageNumber, text })), [
+      { pageNumber: 1, text: 'Invoice Number: INV-1001' },
+      { pageNumber: 2, text: 'Total: 250.00' }
+    ]);
+  });
+
+  it('reads the body of a Word document as one page', async () => {
+    const filePath = path.join(directory, 'letter.docx');
+    await fs.promises.writeFile(filePath, createDocx(['Policy Number: P-7731', 'Holder: Jane Doe']));
+
+    const pages = await documentProcessor.extractPages(filePath, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+
+    assert.equal(pages.length, 1);
+    assert.equal(pages[0].text, 'Policy Number: P-7731\n\nHolder: Jane Doe');
+  });
+
+  it('puts the headers of an email before its body', async () => {
+    const filePath = path.join(directory, 'message.eml');
+    await fs.promises.writeFile(filePath, [
+      'From: Billing <billing@example.com>',
+      'To: jane@example.com',
+      'Subject: Invoice INV-1001',
+      'Date: Mon, 04 Mar 2024 10:00:00 +0000',
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      'Amount due: 250.00 USD'
+    ].join('\r\n'));
+
+    const pages = await documentProcessor.extractPages(filePath, 'message/rfc822');
+
+    assert.equal(pages.length, 1);
+    assert.equal(pages[0].text, [
+      'From: "Billing" <billing@example.com>',
+      'To: jane@example.com',
+      'Date: 2024-03-04T10:00:00.000Z',
+      'Subject: Invoice INV-1001',
+      '',
+      'Amount due: 250.00 USD'
+    ].join('\n'));
+  });
+
+  it('rejects unsupported types', async () => {
+    await assert.rejects(documentProcessor.extractPages(path.join(directory, 'x.rar'), 'application/x-rar'), error => error.processingStep === 'FILE_TYPE_CHECK');
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FormData = require('../models/FormData');
+const DuplicateDetector = require('../services/duplicateDetector');
+
+describe('DuplicateDetector.resolvePolicy', () => {
+  afterEach(() => {
+    delete process.env.DUPLICATE_POLICY;
+  });
+
+  it('falls back to DUPLICATE_POLICY, then to link', () => {
+    assert.equal(DuplicateDetector.resolvePolicy(), 'link');
+    process.env.DUPLICATE_POLICY = 'Reject';
+    assert.equal(DuplicateDetector.resolvePolicy(''), 'reject');
+    process.env.DUPLICATE_POLICY = 'sometimes';
+    assert.equal(DuplicateDetector.resolvePolicy(null), 'link');
+  });
+
+  it('accepts a policy in any case and rejects unknown ones', () => {
+    assert.equal(DuplicateDetector.resolvePolicy('ALLOW'), 'allow');
+    assert.throws(() => DuplicateDetector.resolvePolicy('merge'), error => error.processingStep === 'DUPLICATE_POLICY');
+  });
+});
+
+describe('DuplicateDetector hashes', () => {
+  it('hashes a file by its content', async () => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'duplicates-'));
+    try {
+      await fs.promises.writeFile(path.join(directory, 'a.pdf'), 'same bytes');
+      await fs.promises.writeFile(path.join(directory, 'b.pdf'), 'same bytes');
+
+      const [first, second] = await Promise.all(['a.pdf', 'b.pdf'].map(name => DuplicateDetector.hashFile(path.join(directory, name))));
+
+      assert.equal(first, second);
+      assert.equal(first, DuplicateDetector.sha256('same bytes'));
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('gives two scans of the same text the same text hash', () => {
+    assert.equal(DuplicateDetector.hashText('Invoice No. 1001\nTotal: $250'), DuplicateDetector.hashText('invoice no 1001 total 250'));
+    assert.notEqual(DuplicateDetector.hashText('Total: $250'), DuplicateDetector.hashText('Total: $275'));
+    assert.equal(DuplicateDetector.hashText('  ...  '), null);
+  });
+
+  it('hashes fields regardless of order and formatting', () => {
+    const fields = [
+      { key: 'Invoice Number', value: 'INV-1001' },
+      { key: 'Total', value: '$250.00' },
+      { key: 'Customer', value: 'ACME Supplies' }
+    ];
+    const reordered = [
+      { key: 'customer', value: 'Acme supplies' },
+      { key: 'invoice number:', value: 'inv 1001' },
+      { key: 'TOTAL', value: '250.00' },
+      { key: 'Total', value: '250.00' }
+    ];
+
+    assert.equal(DuplicateDetector.hashFields(fields), DuplicateDetector.hashFields(reordered));
+  });
+
+  it('gives no fields hash for too few fields', () => {
+    assert.equal(DuplicateDetector.hashFields([{ key: 'Date', value: '2024-03-04' }, { key: 'Total', value: '' }, { key: 'Name', value: 'Jane' }]), null);
+  });
+});
+
+describe('DuplicateDetector.findNearDuplicate', () => {
+  afterEach(() => mock.restoreAll());
+
+  const findOne = result => mock.method(FormData, 'findOne', () => ({ sort: () => ({ select: async () => result }) }));
+
+  it('reports whether the text or the fields matched', async () => {
+    const lookup = findOne({ _id: 'doc1', originalFilename: 'scan.pdf', textHash: 'other', fieldsHash: 'fields' });
+
+    const duplicate = await DuplicateDetector.findNearDuplicate('text', 'fields');
+
+    assert.deepEqual(lookup.mock.calls[0].arguments[0], { $or: [{ textHash: 'text' }, { fieldsHash: 'fields' }] });
+    assert.deepEqual(duplicate, { documentId: 'doc1', originalFilename: 'scan.pdf', reason: 'fields' });
+  });
+
+  it('does not query without hashes', async () => {
+    const lookup = findOne(null);
+
+    assert.equal(await DuplicateDetector.findNearDuplicate(null, null), null);
+    assert.equal(lookup.mock.callCount(), 0);
+  });
+});
+
+describe('DuplicateDetector.createDuplicateError', () => {
+  it('carries the duplicate for the response', () => {
+    const error = DuplicateDetector.createDuplicateError('exact', { documentId: 'doc1', originalFilename: 'scan.pdf' });
+
+    assert.equal(error.message, 'Document is an exact duplicate of scan.pdf');
+    assert.equal(error.processingStep, 'DUPLICATE_DOCUMENT');
+    assert.deepEqual(error.duplicate, { type: 'exact', documentId: 'doc1', originalFilename: 'scan.pdf' });
+  });
+});
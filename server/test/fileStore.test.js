@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+process.env.FILE_STORE = 's3';
+process.env.FILE_STORE_PATH = root;
+delete process.env.S3_BUCKET;
+
+const fileStore = require('../services/fileStore');
+const LocalFileStore = require('../services/storage/localFileStore');
+
+const readStream = async stream => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe('FileStore', () => {
+  after(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  it('falls back to local disk when S3 is selected without a bucket', () => {
+    assert.equal(fileStore.backendName, 'local');
+    assert.ok(fileStore.backend instanceof LocalFileStore);
+  });
+
+  it('keeps every file of a document under one prefix', () => {
+    assert.equal(fileStore.originalKey('abc', 'Scan.PDF'), 'documents/abc/original.pdf');
+    assert.equal(fileStore.pageImageKey('abc', 2), 'documents/abc/pages/2.jpg');
+    assert.equal(fileStore.pageThumbnailKey('abc', 2), 'documents/abc/pages/2_thumbnail.jpg');
+  });
+
+  it('removes the files of one document only', async () => {
+    await fileStore.save(fileStore.originalKey('abc', 'a.pdf'), 'first');
+    await fileStore.save(fileStore.pageImageKey('abc', 1), 'page');
+    await fileStore.save(fileStore.originalKey('def', 'b.pdf'), 'second');
+
+    await fileStore.deleteDocumentFiles('abc');
+
+    assert.equal(await fileStore.getStream(fileStore.originalKey('abc', 'a.pdf')), null);
+    assert.equal(await readStream(await fileStore.getStream(fileStore.originalKey('def', 'b.pdf'))), 'second');
+  });
+});
+
+describe('LocalFileStore', () => {
+  let store;
+
+  before(async () => {
+    store = new LocalFileStore(await fs.promises.mkdtemp(path.join(os.tmpdir(), 'local-store-')));
+  });
+
+  after(async () => {
+    await fs.promises.rm(store.rootDir, { recursive: true, force: true });
+  });
+
+  it('saves, reads and deletes a file', async () => {
+    await store.save('documents/x/original.txt', Buffer.from('hello'));
+
+    assert.equal(await readStream(await store.getStream('documents/x/original.txt')), 'hello');
+
+    await store.delete('documents/x/original.txt');
+    assert.equal(await store.getStream('documents/x/original.txt'), null);
+  });
+
+  it('rejects keys outside its root', async () => {
+    await assert.rejects(store.save('../outside.txt', 'x'), /Invalid storage key/);
+    assert.throws(() => store.resolveKey('documents/../../outside.txt'), /Invalid storage key/);
+  });
+});
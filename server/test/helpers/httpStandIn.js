@@ -0,0 +1,35 @@
+const http = require('http');
+
+// A local HTTP server standing in for a provider API. handler(request, body, response) answers each request;
+// requests lists { method, url, headers, body } for every request received.
+const startStandIn = async handler => {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let data = '';
+    request.on('data', chunk => {
+      data += chunk;
+    });
+    request.on('end', () => {
+      const body = data ? JSON.parse(data) : null;
+      requests.push({ method: request.method, url: request.url, headers: request.headers, body });
+      handler(request, body, response);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+const sendJson = (response, status, body, headers = {}) => {
+  response.writeHead(status, { 'content-type': 'application/json', ...headers });
+  response.end(JSON.stringify(body));
+};
+
+module.exports = { startStandIn, sendJson };
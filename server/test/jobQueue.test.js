@@ -0,0 +1,95 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProcessingJob = require('../models/ProcessingJob');
+const DocumentPipeline = require('../services/documentPipeline');
+const jobQueue = require('../services/jobQueue');
+
+describe('JobQueue.resumePendingJobs', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('re-queues interrupted jobs and fails those out of attempts', async () => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'jobs-'));
+    const retryPath = path.join(directory, 'retry.pdf');
+    const exhaustedPath = path.join(directory, 'exhausted.pdf');
+    await fs.promises.writeFile(retryPath, '');
+    await fs.promises.writeFile(exhaustedPath, '');
+
+    const jobs = [
+      { _id: 'retry', file: { path: retryPath }, attempts: jobQueue.maxAttempts - 1 },
+      { _id: 'exhausted', file: { path: exhaustedPath }, attempts: jobQueue.maxAttempts },
+      { _id: 'missing', file: { path: path.join(directory, 'missing.pdf') }, attempts: 0 }
+    ];
+    mock.method(ProcessingJob, 'find', () => {
+      const chain = { sort: () => chain, select: () => chain, lean: async () => jobs };
+      return chain;
+    });
+    const updates = mock.method(ProcessingJob, 'updateOne', async () => ({}));
+    const enqueue = mock.method(jobQueue, 'enqueue', () => {});
+
+    try {
+      await jobQueue.resumePendingJobs();
+
+      assert.deepEqual(enqueue.mock.calls.map(call => call.arguments[0]), ['retry']);
+      const failed = Object.fromEntries(updates.mock.calls
+        .filter(call => call.arguments[1].$set.status === 'failed')
+        .map(call => [call.arguments[0]._id, call.arguments[1].$set.error.processingStep]));
+      assert.deepEqual(failed, { exhausted: 'JOB_ATTEMPTS', missing: 'JOB_RESUME' });
+      assert.equal(fs.existsSync(exhaustedPath), false);
+      assert.equal(fs.existsSync(retryPath), true);
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('JobQueue PII masking', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.PII_MASKING;
+  });
+
+  const job = {
+    _id: 'job1',
+    status: 'completed',
+    file: { originalname: 'form.pdf' },
+    result: { keyValuePairs: [{ key: 'SSN', value: '234-56-7890', pii: 'ssn' }, { key: 'Name', value: 'Jane Doe' }] },
+    error: { message: 'Invalid output', rawResponses: [{ attempt: 1, response: '[{"key":"SSN","value":"234-56-7890"}]' }] }
+  };
+
+  it('masks extracted values and raw responses in job statuses', () => {
+    const described = jobQueue.describeJob(job);
+
+    assert.deepEqual(described.result.keyValuePairs.map(pair => pair.value), ['***-**-7890', 'Jane Doe']);
+    assert.equal(described.error.rawResponses[0].response, '[{"key":"SSN","value":"***-**-7890"}]');
+    assert.equal(job.result.keyValuePairs[0].value, '234-56-7890');
+  });
+
+  it('returns plain values when PII_MASKING=false', () => {
+    process.env.PII_MASKING = 'false';
+
+    const described = jobQueue.describeJob(job);
+
+    assert.equal(described.result.keyValuePairs[0].value, '234-56-7890');
+    assert.equal(described.error.rawResponses[0].response, job.error.rawResponses[0].response);
+  });
+
+  it('stores raw responses of a failed job with PII masked', async () => {
+    mock.method(ProcessingJob, 'findByIdAndUpdate', async () => ({ _id: 'job1', file: { path: '/tmp/form.pdf' }, options: {} }));
+    mock.method(DocumentPipeline, 'processDocument', async () => {
+      throw Object.assign(new Error('Invalid output'), {
+        processingStep: 'AI_PROVIDER_CHAIN',
+        rawResponses: [{ provider: 'claude', attempt: 1, response: 'SSN 234-56-7890', error: 'not JSON' }]
+      });
+    });
+    const updates = mock.method(ProcessingJob, 'updateOne', async () => ({}));
+
+    await jobQueue.runJob('job1');
+
+    const stored = updates.mock.calls.at(-1).arguments[1].$set.error;
+    assert.equal(stored.processingStep, 'AI_PROVIDER_CHAIN');
+    assert.deepEqual(stored.rawResponses, [{ provider: 'claude', attempt: 1, response: 'SSN ***-**-7890', error: 'not JSON' }]);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CanonicalKey = require('../models/CanonicalKey');
+const KeyValueIndex = require('../models/KeyValueIndex');
+const KeyRegistry = require('../services/keyRegistry');
+
+function stubRegistry(entries) {
+  return mock.method(CanonicalKey, 'find', () => ({ lean: async () => entries }));
+}
+
+describe('KeyRegistry.getLookup', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    KeyRegistry._lookup = null;
+  });
+
+  it('reuses the loaded registry while it is fresh', async () => {
+    const find = stubRegistry([{ key: 'date_of_birth', label: 'Date of Birth', synonyms: ['dob'] }]);
+
+    const lookup = await KeyRegistry.getLookup();
+    await KeyRegistry.getLookup();
+
+    assert.equal(find.mock.callCount(), 1);
+    assert.deepEqual(lookup.get('dob'), { key: 'date_of_birth', label: 'Date of Birth' });
+    assert.equal(lookup.get('date_of_birth').key, 'date_of_birth');
+  });
+
+  it('reloads the registry once the cache has expired, picking up edits from other instances', async () => {
+    const entries = [{ key: 'date_of_birth', label: 'Date of Birth', synonyms: ['dob'] }];
+    const find = stubRegistry(entries);
+
+    await KeyRegistry.getLookup();
+    entries[0].synonyms = ['dob', 'born_on'];
+    KeyRegistry._lookupLoadedAt -= 61 * 1000;
+    const lookup = await KeyRegistry.getLookup();
+
+    assert.equal(find.mock.callCount(), 2);
+    assert.equal(lookup.get('born_on').key, 'date_of_birth');
+  });
+});
+
+describe('KeyRegistry.renormalizeIndex', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    KeyRegistry._lookup = null;
+  });
+
+  it('rewrites keyNormalized and canonicalKey for every original key', async () => {
+    stubRegistry([{ key: 'invoice_number', label: 'Invoice Number', synonyms: ['invoice_no'] }]);
+    mock.method(KeyValueIndex, 'distinct', async () => ['Invoice No.', 'Customer  Name', '#']);
+    const bulkWrite = mock.method(KeyValueIndex, 'bulkWrite', async () => ({ modifiedCount: 3 }));
+
+    const modified = await KeyRegistry.renormalizeIndex();
+
+    assert.equal(modified, 3);
+    assert.deepEqual(bulkWrite.mock.calls[0].arguments[0], [
+      {
+        updateMany: {
+          filter: { key: 'Invoice No.', keyNormalized: { $ne: 'invoice_no' } },
+          update: { $set: { keyNormalized: 'invoice_no', canonicalKey: 'invoice_number' } }
+        }
+      },
+      {
+        updateMany: {
+          filter: { key: 'Customer  Name', keyNormalized: { $ne: 'customer_name' } },
+          update: { $set: { keyNormalized: 'customer_name', canonicalKey: 'customer_name' } }
+        }
+      }
+    ]);
+  });
+
+  it('does nothing on an empty index', async () => {
+    stubRegistry([]);
+    mock.method(KeyValueIndex, 'distinct', async () => []);
+    const bulkWrite = mock.method(KeyValueIndex, 'bulkWrite', async () => ({ modifiedCount: 0 }));
+
+    assert.equal(await KeyRegistry.renormalizeIndex(), 0);
+    assert.equal(bulkWrite.mock.callCount(), 0);
+  });
+});
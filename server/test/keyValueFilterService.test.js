@@ -0,0 +1,172 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const KeyValueIndex = require('../models/KeyValueIndex');
+const KeyRegistry = require('../services/keyRegistry');
+const KeyValueFilterService = require('../services/keyValueFilterService');
+
+const lookup = new Map([
+  ['total_amount', { key: 'total_amount', label: 'Total Amount' }],
+  ['total', { key: 'total_amount', label: 'Total Amount' }],
+  ['state', { key: 'state', label: 'State' }]
+]);
+
+// Stands in for a mongoose query chain ending in lean()
+const query = result => {
+  const chain = { sort: () => chain, skip: () => chain, limit: () => chain, lean: async () => result };
+  return chain;
+};
+
+describe('KeyValueFilterService.parseWhere', () => {
+  it('parses a single comparison', () => {
+    assert.deepEqual(KeyValueFilterService.parseWhere('Total > 500'), { key: 'Total', op: 'gt', value: '500' });
+  });
+
+  it('binds AND tighter than OR', () => {
+    assert.deepEqual(KeyValueFilterService.parseWhere('A = 1 OR B = 2 AND C = 3'), {
+      any: [
+        { key: 'A', op: 'eq', value: '1' },
+        { all: [{ key: 'B', op: 'eq', value: '2' }, { key: 'C', op: 'eq', value: '3' }] }
+      ]
+    });
+  });
+
+  it('groups with parentheses', () => {
+    assert.deepEqual(KeyValueFilterService.parseWhere('Total > 500 AND (State = CA OR State = "New York")'), {
+      all: [
+        { key: 'Total', op: 'gt', value: '500' },
+        { any: [{ key: 'State', op: 'eq', value: 'CA' }, { key: 'State', op: 'eq', value: 'New York' }] }
+      ]
+    });
+  });
+
+  it('reads between, contains and multi-word keys', () => {
+    assert.deepEqual(KeyValueFilterService.parseWhere('"Invoice Date" between 2024-01-01 and 2024-03-31'),
+      { key: 'Invoice Date', op: 'between', value: ['2024-01-01', '2024-03-31'] });
+    assert.deepEqual(KeyValueFilterService.parseWhere('Vendor Name contains acme corp'),
+      { key: 'Vendor Name', op: 'contains', value: 'acme corp' });
+    assert.deepEqual(KeyValueFilterService.parseWhere("Driver's License ~ D123"),
+      { key: "Driver's License", op: 'contains', value: 'D123' });
+  });
+
+  it('rejects malformed queries', () => {
+    for (const where of ['', 'Total', 'Total >', '(Total > 5', 'Total > 5 State = CA', 'Total between 1 2', 'Total > 5 )']) {
+      assert.throws(() => KeyValueFilterService.parseWhere(where), { processingStep: 'FILTER_QUERY' }, where);
+    }
+  });
+});
+
+describe('KeyValueFilterService.validateFilter', () => {
+  it('accepts nested groups and keeps only condition fields', () => {
+    assert.deepEqual(
+      KeyValueFilterService.validateFilter({ all: [{ key: 'Total', op: 'gt', value: 5, extra: true }, { any: [{ key: 'State', op: 'eq', value: 'CA' }] }] }),
+      { all: [{ key: 'Total', op: 'gt', value: 5 }, { any: [{ key: 'State', op: 'eq', value: 'CA' }] }] }
+    );
+  });
+
+  it('rejects invalid conditions', () => {
+    const invalid = [
+      null,
+      { all: [] },
+      { key: '', op: 'eq', value: 1 },
+      { key: 'Total', op: 'like', value: 1 },
+      { key: 'Total', op: 'between', value: [1] },
+      { key: 'Total', op: 'eq', value: {} },
+      { key: 'Total', op: 'eq', value: 1, type: 'currency' },
+      { any: Array.from({ length: 21 }, () => ({ key: 'Total', op: 'eq', value: 1 })) }
+    ];
+    for (const filter of invalid) {
+      assert.throws(() => KeyValueFilterService.validateFilter(filter), { processingStep: 'FILTER_QUERY' });
+    }
+  });
+});
+
+describe('KeyValueFilterService.buildCondition', () => {
+  const build = (condition, locale = 'en-US') => KeyValueFilterService.buildCondition(condition, locale, lookup);
+
+  it('compares amounts within the literal currency', () => {
+    assert.deepEqual(build({ key: 'Total', op: 'gt', value: '€1.000,50' }, 'de-DE'), {
+      canonicalKey: 'total_amount',
+      valueType: { $in: ['amount', 'number'] },
+      currency: { $in: ['EUR', null] },
+      normalizedValue: { $gt: 1000.5 }
+    });
+    assert.deepEqual(build({ key: 'Total', op: 'lte', value: '500' }).currency, { $in: ['USD', null] });
+  });
+
+  it('rejects ranges across currencies', () => {
+    assert.throws(() => build({ key: 'Total', op: 'between', value: ['100 EUR', '200 USD'] }), { processingStep: 'FILTER_QUERY' });
+  });
+
+  it('orders between bounds and normalizes dates', () => {
+    assert.deepEqual(build({ key: 'Invoice Date', op: 'between', value: ['03/31/2024', '2024-01-01'] }), {
+      canonicalKey: 'invoice_date',
+      valueType: 'date',
+      normalizedValue: { $gte: '2024-01-01', $lte: '2024-03-31' }
+    });
+  });
+
+  it('matches plain text on the normalized text', () => {
+    assert.deepEqual(build({ key: 'State', op: 'eq', value: ' New York ' }),
+      { canonicalKey: 'state', valueType: 'string', normalizedValue: 'new york' });
+    assert.deepEqual(build({ key: 'State', op: 'ne', value: 'CA' }),
+      { canonicalKey: 'state', valueType: 'string', normalizedValue: { $ne: 'ca' } });
+    assert.deepEqual(build({ key: 'Vendor', op: 'contains', value: 'Acme (US)' }),
+      { canonicalKey: 'vendor', valueType: 'string', normalizedValue: { $regex: 'acme \\(us\\)' } });
+  });
+
+  it('rejects ranges on text', () => {
+    assert.throws(() => build({ key: 'State', op: 'gt', value: 'CA' }), { processingStep: 'FILTER_QUERY' });
+  });
+});
+
+describe('KeyValueFilterService.search', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('loads index entries for the requested page of documents only', async () => {
+    mock.method(KeyRegistry, 'getLookup', async () => lookup);
+    const aggregate = mock.method(KeyValueIndex, 'aggregate', () => ({
+      allowDiskUse: async () => [{ total: [{ count: 3 }], page: [{ _id: 'b2' }] }]
+    }));
+    const entryQuery = mock.method(KeyValueIndex, 'find', () => query([
+      { documentId: 'b2', filename: 'b.pdf', originalFilename: 'b.pdf', key: 'Total', canonicalKey: 'total_amount', value: '$600', valueType: 'amount', normalizedValue: 600, currency: 'USD' }
+    ]));
+
+    const result = await KeyValueFilterService.search({ where: 'Total > 500', page: 2, limit: 1 });
+
+    const pipeline = aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual(pipeline[pipeline.length - 1].$facet.page, [{ $skip: 1 }, { $limit: 1 }]);
+    assert.deepEqual(entryQuery.mock.calls[0].arguments[0].documentId, { $in: ['b2'] });
+    assert.equal(result.results.length, 1);
+    assert.equal(result.results[0].matches[0].normalizedValue, 600);
+    assert.equal(result.totalDocuments, 3);
+    assert.equal(result.totalPages, 3);
+    assert.equal(result.page, 2);
+  });
+
+  it('combines conditions inside the aggregation', async () => {
+    mock.method(KeyRegistry, 'getLookup', async () => lookup);
+    const aggregate = mock.method(KeyValueIndex, 'aggregate', () => ({
+      allowDiskUse: async () => [{ total: [], page: [] }]
+    }));
+    const entryQuery = mock.method(KeyValueIndex, 'find');
+
+    const result = await KeyValueFilterService.search({ where: 'Total > 500 AND (State = CA OR State = NY)' });
+
+    const pipeline = aggregate.mock.calls[0].arguments[0];
+    assert.equal(pipeline.filter(stage => stage.$unionWith).length, 2);
+    assert.deepEqual(pipeline.find(stage => stage.$match && stage.$match.$expr).$match.$expr, {
+      $and: [
+        { $in: [0, '$conditions'] },
+        { $or: [{ $in: [1, '$conditions'] }, { $in: [2, '$conditions'] }] }
+      ]
+    });
+    assert.equal(entryQuery.mock.callCount(), 0);
+    assert.deepEqual(result.results, []);
+    assert.equal(result.totalDocuments, 0);
+  });
+
+  it('rejects an invalid page or limit', async () => {
+    await assert.rejects(KeyValueFilterService.search({ where: 'Total > 5', page: 0 }), { processingStep: 'FILTER_QUERY' });
+    await assert.rejects(KeyValueFilterService.search({ where: 'Total > 5', limit: 1000 }), { processingStep: 'FILTER_QUERY' });
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.OCR_ENGINES;
+delete process.env.GOOGLE_APPLICATION_CREDENTIALS;
+
+const ocrService = require('../services/ocrService');
+
+const engine = (name, recognize, isAvailable = true) => ({ name, isAvailable, recognize });
+
+describe('OCRService engine chain', () => {
+  it('lists the registered engines and the default chain', () => {
+    assert.deepEqual(ocrService.defaultChain, ['google-vision', 'tesseract']);
+    assert.deepEqual(ocrService.listEngines().map(({ name, isDefault }) => [name, isDefault]), [
+      ['google-vision', true],
+      ['tesseract', true]
+    ]);
+  });
+
+  it('resolves a requested chain in order without repeats', () => {
+    assert.equal(ocrService.resolveChain(undefined), ocrService.defaultChain);
+    assert.deepEqual(ocrService.resolveChain(' Tesseract, google-vision,tesseract'), ['tesseract', 'google-vision']);
+    assert.deepEqual(ocrService.resolveChain(['tesseract']), ['tesseract']);
+  });
+
+  it('rejects unknown and unconfigured engines', () => {
+    assert.throws(() => ocrService.resolveChain('abbyy,tesseract'), error => {
+      assert.equal(error.processingStep, 'OCR_ENGINE_SELECTION');
+      assert.match(error.message, /Unknown OCR engine "abbyy"\. Available engines: google-vision, tesseract/);
+      return true;
+    });
+    assert.throws(() => ocrService.resolveChain('google-vision'), /"google-vision" is not configured on this server/);
+  });
+});
+
+describe('OCRService.recognize', () => {
+  afterEach(() => {
+    ['first', 'second'].forEach(name => ocrService.engines.delete(name));
+  });
+
+  it('falls through failing and empty engines to the first that reads text', async () => {
+    const calls = [];
+    ocrService.register(engine('first', async () => {
+      calls.push('first');
+      throw new Error('quota exceeded');
+    }));
+    ocrService.register(engine('second', async () => {
+      calls.push('second');
+      return { text: 'Total: 250.00', words: [] };
+    }));
+
+    const result = await ocrService.recognize('page.png', { engines: ['first', 'second'] });
+
+    assert.deepEqual(calls, ['first', 'second']);
+    assert.deepEqual(result, { text: 'Total: 250.00', words: [], engine: 'second' });
+  });
+
+  it('returns a blank page rather than failing', async () => {
+    ocrService.register(engine('first', async () => ({ text: '', words: [] })));
+    ocrService.register(engine('second', async () => {
+      throw new Error('timeout');
+    }));
+
+    assert.deepEqual(await ocrService.recognize('page.png', { engines: ['first', 'second'] }), { text: '', words: [], engine: 'first' });
+  });
+
+  it('fails with every engine error when none can read the image', async () => {
+    ocrService.register(engine('first', async () => {
+      throw new Error('quota exceeded');
+    }));
+    ocrService.register(engine('second', async () => ({ text: 'unused' }), false));
+
+    await assert.rejects(ocrService.recognize('page.png', { engines: ['first', 'second'] }), error => {
+      assert.equal(error.processingStep, 'IMAGE_OCR_COMPLETE_FAILURE');
+      assert.equal(error.message, 'Failed to extract text from image. first error: quota exceeded');
+      return true;
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const OpenAICompatibleProvider = require('../services/providers/openAICompatibleProvider');
+const { startStandIn, sendJson } = require('./helpers/httpStandIn');
+
+const prompt = { id: 'classification@1', system: 'Reply with JSON only.', user: 'Classify this document.' };
+
+describe('OpenAICompatibleProvider against a local stand-in', () => {
+  let standIn;
+  let respond;
+
+  before(async () => {
+    standIn = await startStandIn((request, body, response) => respond(request, body, response));
+  });
+  after(() => standIn.close());
+  beforeEach(() => {
+    standIn.requests.length = 0;
+  });
+
+  const createProvider = options => new OpenAICompatibleProvider({ baseUrl: `${standIn.url}/v1`, model: 'llama3', apiKey: 'local-key', maxTokens: 128, ...options });
+
+  it('sends a chat completion and returns the parsed classification and usage', async () => {
+    respond = (request, body, response) => sendJson(response, 200, {
+      model: 'llama3:8b',
+      choices: [{ message: { role: 'assistant', content: 'Sure: {"type": "invoice", "confidence": 0.9}' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 30, completion_tokens: 10 }
+    });
+    const usage = [];
+
+    const classification = await createProvider().classifyDocument('', [], prompt, reported => usage.push(reported));
+
+    assert.equal(classification.type, 'invoice');
+    assert.deepEqual(usage, [{ model: 'llama3:8b', inputTokens: 30, outputTokens: 10 }]);
+    const [request] = standIn.requests;
+    assert.equal(request.url, '/v1/chat/completions');
+    assert.equal(request.headers.authorization, 'Bearer local-key');
+    assert.deepEqual(request.body, {
+      model: 'llama3',
+      messages: [{ role: 'system', content: 'Reply with JSON only.' }, { role: 'user', content: 'Classify this document.' }],
+      max_tokens: 128,
+      temperature: 0
+    });
+  });
+
+  it('sends no Authorization header without a key and records missing usage as zero', async () => {
+    respond = (request, body, response) => sendJson(response, 200, { choices: [{ message: { content: ' 42 ' }, finish_reason: 'stop' }] });
+    const usage = [];
+
+    const answer = await createProvider({ apiKey: undefined }).chatQuery('', [], prompt, reported => usage.push(reported));
+
+    assert.equal(answer, '42');
+    assert.equal(standIn.requests[0].headers.authorization, undefined);
+    assert.equal(standIn.requests[0].body.temperature, 0.2);
+    assert.deepEqual(usage, [{ model: 'llama3', inputTokens: 0, outputTokens: 0 }]);
+  });
+
+  it('reports a response cut off at the token limit', async () => {
+    respond = (request, body, response) => sendJson(response, 200, { choices: [{ message: { content: '[{"key":' }, finish_reason: 'length' }] });
+    await assert.rejects(createProvider().extractKeyValuePairs('', null, prompt), { errorType: 'max_tokens' });
+  });
+
+  it('maps error statuses to typed errors', async () => {
+    // llama.cpp style: the error is a plain string
+    respond = (request, body, response) => sendJson(response, 503, { error: 'Loading model' });
+    await assert.rejects(createProvider().chatQuery('', [], prompt), error => {
+      assert.equal(error.processingStep, 'OPENAI_COMPATIBLE_API');
+      assert.equal(error.errorType, 'server_error');
+      assert.equal(error.retryable, true);
+      assert.match(error.message, /Loading model/);
+      return true;
+    });
+
+    respond = (request, body, response) => sendJson(response, 404, { error: { message: 'model "llama3" not found' } });
+    await assert.rejects(createProvider().chatQuery('', [], prompt), { errorType: 'not_found', retryable: false, status: 404 });
+
+    respond = (request, body, response) => sendJson(response, 429, { error: { message: 'Too many requests' } }, { 'retry-after': '3' });
+    await assert.rejects(createProvider().chatQuery('', [], prompt), { errorType: 'rate_limit', retryable: true, retryAfter: 3 });
+  });
+
+  it('rejects a malformed body', async () => {
+    respond = (request, body, response) => {
+      response.writeHead(200, { 'content-type': 'application/json' });
+      response.end('{"choices": [');
+    };
+    await assert.rejects(createProvider().chatQuery('', [], prompt), { errorType: 'invalid_response' });
+
+    respond = (request, body, response) => sendJson(response, 200, { choices: [{ message: { content: 'no JSON here' }, finish_reason: 'stop' }] });
+    await assert.rejects(createProvider().classifyDocument('', [], prompt), { errorType: 'invalid_response' });
+  });
+
+  it('reports timeouts as retryable', async () => {
+    respond = () => {};
+    await assert.rejects(createProvider({ timeout: 100 }).chatQuery('', [], prompt), { errorType: 'timeout', retryable: true });
+  });
+});
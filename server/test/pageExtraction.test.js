@@ -0,0 +1,76 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AI_PROVIDER = 'mock';
+delete process.env.AI_PROVIDERS;
+delete process.env.AI_RECORD;
+delete process.env.PII_REDACT_EXTERNAL;
+
+const aiService = require('../services/aiService');
+
+const provider = aiService.providers[0].provider;
+const fields = pairs => pairs.map(({ key, value, page }) => [key, value, page]);
+
+describe('AIService.extractKeyValuePairsFromPages', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('sends the pages in one request with page markers and maps pairs back to their page', async () => {
+    const extract = mock.method(provider, 'extractKeyValuePairs');
+    const pages = [
+      { pageNumber: 1, text: 'Invoice Number: INV-1001\nCustomer: ACME Supplies' },
+      { pageNumber: 2, text: '   ' },
+      { pageNumber: 3, text: 'Reference: INV-1001-B\nCustomer: Globex' }
+    ];
+
+    const { keyValuePairs, providers } = await aiService.extractKeyValuePairsFromPages(pages);
+
+    assert.equal(extract.mock.callCount(), 1);
+    const [text] = extract.mock.calls[0].arguments;
+    assert.equal(text, '[Page 1]\nInvoice Number: INV-1001\nCustomer: ACME Supplies\n\n[Page 3]\nReference: INV-1001-B\nCustomer: Globex');
+    assert.deepEqual(fields(keyValuePairs), [
+      ['Invoice Number', 'INV-1001', 1],
+      ['Customer', 'ACME Supplies', 1],
+      ['Reference', 'INV-1001-B', 3],
+      ['Customer', 'Globex', 3]
+    ]);
+    assert.deepEqual(providers, ['mock']);
+    // The same key on two pages is two fields, not a conflict
+    assert.equal(keyValuePairs.some(pair => pair.valueConflict), false);
+  });
+
+  it('sends a single page without a marker', async () => {
+    const extract = mock.method(provider, 'extractKeyValuePairs');
+
+    const { keyValuePairs } = await aiService.extractKeyValuePairsFromPages([{ pageNumber: 1, text: 'Name: Jane Doe' }]);
+
+    assert.equal(extract.mock.calls[0].arguments[0], 'Name: Jane Doe');
+    assert.deepEqual(fields(keyValuePairs), [['Name', 'Jane Doe', 1]]);
+  });
+
+  it('prefers the page the provider names, and falls back to the key when the value was reworded', async () => {
+    mock.method(provider, 'extractKeyValuePairs', async () => [
+      { key: 'Total', value: '250.00', page: 2 },
+      { key: 'Signature Date', value: '2024-03-09', page: 7 }
+    ]);
+    const pages = [
+      { pageNumber: 1, text: 'Subtotal: 250.00' },
+      { pageNumber: 2, text: 'Total: 250.00\nSignature Date: March 9, 2024' }
+    ];
+
+    const { keyValuePairs } = await aiService.extractKeyValuePairsFromPages(pages);
+
+    assert.deepEqual(fields(keyValuePairs), [
+      ['Total', '250.00', 2],
+      ['Signature Date', '2024-03-09', 2]
+    ]);
+  });
+
+  it('makes no request for pages without text', async () => {
+    const extract = mock.method(provider, 'extractKeyValuePairs');
+
+    const { keyValuePairs } = await aiService.extractKeyValuePairsFromPages([{ pageNumber: 1, text: '' }]);
+
+    assert.equal(extract.mock.callCount(), 0);
+    assert.deepEqual(keyValuePairs, []);
+  });
+});
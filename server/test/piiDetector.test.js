@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PiiDetector = require('../services/piiDetector');
+
+describe('PiiDetector checksums', () => {
+  it('checks card numbers with Luhn and a network prefix', () => {
+    assert.equal(PiiDetector.isLuhnValid('79927398713'), true);
+    assert.equal(PiiDetector.isLuhnValid('79927398710'), false);
+    assert.equal(PiiDetector.isCardNumber('4111 1111 1111 1111'), true);
+    assert.equal(PiiDetector.isCardNumber('5500-0000-0000-0004'), true);
+    assert.equal(PiiDetector.isCardNumber('4111 1111 1111 1112'), false);
+    // Luhn-valid, but no card network starts with 1
+    assert.equal(PiiDetector.isCardNumber('1234567812345670'), false);
+    assert.equal(PiiDetector.isCardNumber('0000000000000000'), false);
+  });
+
+  it('checks IBANs with mod 97', () => {
+    assert.equal(PiiDetector.isIban('GB82 WEST 1234 5698 7654 32'), true);
+    assert.equal(PiiDetector.isIban('de89370400440532013000'), true);
+    assert.equal(PiiDetector.isIban('GB82 WEST 1234 5698 7654 33'), false);
+    assert.equal(PiiDetector.isIban('GB82'), false);
+  });
+});
+
+describe('PiiDetector.detectInText', () => {
+  it('finds SSNs, cards, IBANs and labelled numbers in reading order', () => {
+    const text = 'SSN 123-45-6789, card 4111 1111 1111 1111, IBAN GB82 WEST 1234 5698 7654 32, Passport No: X1234567, DL# D1234-5678';
+    assert.deepEqual(PiiDetector.detectInText(text).map(({ type, value }) => [type, value]), [
+      ['ssn', '123-45-6789'],
+      ['credit_card', '4111 1111 1111 1111'],
+      ['iban', 'GB82 WEST 1234 5698 7654 32'],
+      ['passport', 'X1234567'],
+      ['drivers_license', 'D1234-5678']
+    ]);
+  });
+
+  it('leaves lookalikes alone', () => {
+    assert.deepEqual(PiiDetector.detectInText('Order 123456789, SSN 000-12-3456, 666-12-3456, phone 555-12-3456x, ref 1234567812345670, Passport: pending'), []);
+  });
+});
+
+describe('PiiDetector.detectPair', () => {
+  it('uses the key when it names a PII field', () => {
+    assert.equal(PiiDetector.detectPair('Social Security Number', '123456789'), 'ssn');
+    assert.equal(PiiDetector.detectPair('Tax ID', '12-3456789'), 'national_id');
+    assert.equal(PiiDetector.detectPair('Passport', 'Not provided'), null);
+  });
+
+  it('recognizes PII values under other keys', () => {
+    assert.equal(PiiDetector.detectPair('Reference', '123-45-6789'), 'ssn');
+    assert.equal(PiiDetector.detectPair('Payment', '4111111111111111'), 'credit_card');
+    assert.equal(PiiDetector.detectPair('Total', '$1,234.56'), null);
+    assert.equal(PiiDetector.detectPair('Agreed', true), null);
+  });
+});
+
+describe('PiiDetector masking', () => {
+  it('keeps the last four letters and digits and the length', () => {
+    assert.equal(PiiDetector.maskValue('123-45-6789'), '***-**-6789');
+    assert.equal(PiiDetector.maskValue('X12'), '***');
+  });
+
+  it('masks pairs, normalized values and text', () => {
+    assert.deepEqual(PiiDetector.maskPair({ key: 'SSN', value: '123-45-6789', normalizedValue: '123456789' }),
+      { key: 'SSN', value: '***-**-6789', normalizedValue: '*****6789', pii: 'ssn', masked: true });
+    assert.deepEqual(PiiDetector.maskPair({ key: 'Total', value: '5' }), { key: 'Total', value: '5' });
+
+    const text = 'Card 4111 1111 1111 1111 on file';
+    const masked = PiiDetector.maskText(text);
+    assert.equal(masked, 'Card **** **** **** 1111 on file');
+    assert.equal(masked.length, text.length);
+  });
+});
+
+describe('PiiDetector.createRedaction', () => {
+  it('replaces PII with numbered placeholders and restores them', () => {
+    const redaction = PiiDetector.createRedaction();
+    const redacted = redaction.redact('SSN 123-45-6789 and 234-56-7890, again 123-45-6789');
+    assert.equal(redacted, 'SSN [SSN_1] and [SSN_2], again [SSN_1]');
+    assert.deepEqual(redaction.redactPair({ key: 'SSN', value: '345678901' }), { key: 'SSN', value: '[SSN_3]' });
+    assert.equal(redaction.count, 3);
+    assert.equal(redaction.restore('Your SSN is [SSN_2]; [SSN_9] is unknown'), 'Your SSN is 234-56-7890; [SSN_9] is unknown');
+  });
+});
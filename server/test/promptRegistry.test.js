@@ -0,0 +1,85 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const PromptRegistry = require('../services/promptRegistry');
+const TemplateService = require('../services/templateService');
+
+const isPromptError = step => error => error.processingStep === step;
+
+describe('PromptRegistry.render', () => {
+  it('fills the variables and records name@version', () => {
+    const prompt = PromptRegistry.render('extraction', { text: 'Total: $250.00' });
+
+    assert.equal(prompt.id, 'extraction@1');
+    assert.equal(prompt.version, 1);
+    assert.match(prompt.user, /Document text:\nTotal: \$250\.00\n/);
+    assert.doesNotMatch(prompt.user, /\{\{/);
+  });
+
+  it('fills a template prompt with the declared fields', () => {
+    const template = {
+      name: 'Invoice',
+      description: 'Supplier invoices',
+      fields: [{ name: 'Total', type: 'amount', required: true, description: 'Amount due' }, { name: 'PO Number', type: 'string', required: false }]
+    };
+
+    const prompt = PromptRegistry.render('template_extraction', { ...TemplateService.getPromptVariables(template), text: 'Total: 5' });
+
+    assert.match(prompt.user, /^Document type: Invoice\. Supplier invoices\n/);
+    assert.match(prompt.user, /- Total \(amount, required\): Amount due\n- PO Number \(string, optional\)\n/);
+    assert.match(prompt.user, /\[\{"key": "Total", "value": "\.\.\.", "confidence": 0\.95\}\]$/);
+  });
+
+  it('does not fill placeholders inside variable values', () => {
+    const prompt = PromptRegistry.render('chat', { documentData: 'Note: {{question}}', question: 'What is the total?' });
+
+    assert.match(prompt.user, /Note: \{\{question\}\}/);
+  });
+
+  it('requires every variable', () => {
+    assert.throws(() => PromptRegistry.render('classification', { text: 'x' }), isPromptError('PROMPT_VARIABLES'));
+  });
+
+  it('rejects unknown prompts and versions', () => {
+    assert.throws(() => PromptRegistry.render('summary', {}), isPromptError('PROMPT_NOT_FOUND'));
+    assert.throws(() => PromptRegistry.getPrompt('chat', 7), /Prompt "chat" has no version 7\. Available versions: 1/);
+  });
+});
+
+describe('PromptRegistry.preview', () => {
+  it('leaves missing variables in place and lists them', () => {
+    const preview = PromptRegistry.preview('chat', { question: 'Who?' });
+
+    assert.deepEqual(preview.missingVariables, ['documentData']);
+    assert.match(preview.user, /\{\{documentData\}\}/);
+    assert.match(preview.user, /User Question: "Who\?"/);
+  });
+});
+
+describe('PromptRegistry.pinnedVersions', () => {
+  afterEach(() => {
+    delete process.env.PROMPT_VERSIONS;
+    PromptRegistry._pinnedVersions = undefined;
+    mock.restoreAll();
+  });
+
+  it('reads PROMPT_VERSIONS and skips versions that do not exist', () => {
+    mock.method(console, 'warn', () => {});
+    process.env.PROMPT_VERSIONS = 'extraction@1, chat@9';
+    PromptRegistry._pinnedVersions = undefined;
+
+    assert.deepEqual(PromptRegistry.pinnedVersions, { extraction: 1 });
+    assert.equal(console.warn.mock.calls[0].arguments[0], 'Ignoring unknown prompt version "chat@9" in PROMPT_VERSIONS');
+  });
+
+  it('lists each prompt with its active version', () => {
+    const chat = PromptRegistry.listPrompts().find(prompt => prompt.name === 'chat');
+
+    assert.deepEqual(chat, {
+      name: 'chat',
+      description: 'Answers a chat question from the extracted data of recent documents',
+      variables: ['documentData', 'question'],
+      activeVersion: 1,
+      versions: [1]
+    });
+  });
+});
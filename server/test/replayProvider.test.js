@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Relative to the server directory, wherever the tests are started from
+process.env.AI_PROVIDER = 'replay';
+process.env.AI_FIXTURES_DIR = 'test/fixtures/ai';
+delete process.env.AI_PROVIDERS;
+delete process.env.AI_RECORD;
+delete process.env.PII_REDACT_EXTERNAL;
+
+const aiService = require('../services/aiService');
+const PromptRegistry = require('../services/promptRegistry');
+const ReplayProvider = require('../services/providers/replayProvider');
+
+const text = 'ACME Supplies\nInvoice Number: INV-1001\nInvoice Date: 03/04/2024\nTotal: $250.00';
+
+describe('Replay provider', () => {
+  it('resolves the fixtures directory from the server directory', () => {
+    assert.equal(aiService.fixturesDir, path.join(__dirname, 'fixtures', 'ai'));
+  });
+
+  it('replays a recorded extraction', async () => {
+    const result = await aiService.extractKeyValuePairsWithProvider(text);
+    assert.equal(result.provider, 'replay');
+    assert.deepEqual(result.promptVersions, ['extraction@1']);
+    assert.deepEqual(result.keyValuePairs.map(({ key, value }) => [key, value]), [
+      ['Invoice Number', 'INV-1001'],
+      ['Invoice Date', '03/04/2024'],
+      ['Total', '$250.00']
+    ]);
+  });
+
+  it('replays a recorded classification and chat answer', async () => {
+    const classification = await aiService.classifyDocument(text);
+    assert.equal(classification.type, 'invoice');
+    assert.equal(classification.confidence, 0.93);
+
+    const chat = await aiService.chatQueryWithProvider('What is the ACME invoice total?', [
+      { filename: 'acme-invoice.pdf', keyValuePairs: [{ key: 'Total', value: '$250.00' }] }
+    ]);
+    assert.equal(chat.response, 'The ACME invoice total is $250.00.');
+  });
+
+  it('fails with a REPLAY error for a prompt without a fixture', async () => {
+    await assert.rejects(aiService.extractKeyValuePairsWithProvider('Something never recorded'), { processingStep: 'REPLAY' });
+  });
+});
+
+describe('ReplayProvider.record', () => {
+  it('masks PII in the stored prompt, keeps the response as sent and keys the file by the real prompt', async () => {
+    const fixturesDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'replay-'));
+    try {
+      const prompt = PromptRegistry.render('extraction', { text: 'SSN: 123-45-6789' });
+      const response = '[{"key":"SSN","value":"123-45-6789"}]';
+      const filePath = await ReplayProvider.record(fixturesDir, {
+        operation: 'extraction',
+        prompt,
+        provider: 'claude',
+        response
+      });
+
+      const stored = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      assert.equal(stored.request.user.includes('123-45-6789'), false);
+      assert.match(stored.request.user, /SSN: \*\*\*-\*\*-6789/);
+      assert.equal(path.basename(filePath), `${ReplayProvider.hashPrompt(prompt)}.json`);
+      assert.equal(await new ReplayProvider(fixturesDir).extractKeyValuePairs('', null, prompt), response);
+    } finally {
+      await fs.promises.rm(fixturesDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const FormData = require('../models/FormData');
+const SearchService = require('../services/searchService');
+
+const query = result => {
+  const chain = { sort: () => chain, skip: () => chain, limit: () => chain, lean: async () => result };
+  return chain;
+};
+
+describe('SearchService.parseQuery', () => {
+  it('splits terms, phrases and prefixes', () => {
+    assert.deepEqual(SearchService.parseQuery('"net  pay" acme* invoice, 2024'), {
+      terms: ['invoice', '2024'],
+      phrases: ['net pay'],
+      prefixes: ['acme']
+    });
+  });
+
+  it('ignores stray quotes and punctuation', () => {
+    assert.deepEqual(SearchService.parseQuery('"unclosed (total)'), { terms: ['unclosed', 'total'], phrases: [], prefixes: [] });
+  });
+
+  it('rejects empty and overlong queries', () => {
+    for (const query of ['', '   ', '""', '*', '...', 'a'.repeat(201)]) {
+      assert.throws(() => SearchService.parseQuery(query), { processingStep: 'SEARCH_QUERY' }, query);
+    }
+  });
+});
+
+describe('SearchService.parsePaging', () => {
+  it('defaults and validates page and limit', () => {
+    assert.deepEqual(SearchService.parsePaging({}), { page: 1, limit: 20 });
+    assert.deepEqual(SearchService.parsePaging({ page: '3', limit: '50' }), { page: 3, limit: 50 });
+    assert.throws(() => SearchService.parsePaging({ page: '0' }), { processingStep: 'SEARCH_QUERY' });
+    assert.throws(() => SearchService.parsePaging({ limit: '101' }), { processingStep: 'SEARCH_QUERY' });
+  });
+});
+
+describe('SearchService.buildFilter', () => {
+  it('uses $text for terms and phrases and anchored searchTerms regexes for prefixes', () => {
+    assert.deepEqual(SearchService.buildFilter({ terms: ['invoice'], phrases: ['net pay'], prefixes: ['Acme', 'o.b'] }, { 'classification.type': 'invoice' }), {
+      'classification.type': 'invoice',
+      $text: { $search: 'invoice "net pay"' },
+      $and: [{ searchTerms: { $regex: '^acme' } }, { searchTerms: { $regex: '^o\\.b' } }]
+    });
+  });
+});
+
+describe('SearchService.getSearchTerms', () => {
+  it('collects distinct lowercased words and the parts of joined words', () => {
+    assert.deepEqual(
+      SearchService.getSearchTerms({ originalFilename: 'Acme.co Invoice.pdf', keyValuePairs: [{ key: 'Name', value: "O'Brien" }, { key: 'Total', value: 5 }], extractedText: 'Invoice from ACME' }),
+      ['acme.co', 'acme', 'co', 'invoice.pdf', 'invoice', 'pdf', "o'brien", 'o', 'brien', 'from']
+    );
+  });
+
+  it('keeps at most 5000 terms', () => {
+    const extractedText = Array.from({ length: 6000 }, (_, index) => `word${index}`).join(' ');
+    const terms = SearchService.getSearchTerms({ originalFilename: 'scan.pdf', extractedText });
+    assert.equal(terms.length, 5000);
+    assert.deepEqual(terms.slice(0, 3), ['scan.pdf', 'scan', 'pdf']);
+  });
+});
+
+describe('SearchService.getSnippets', () => {
+  it('highlights matches in the filename, values and text', () => {
+    const matcher = SearchService.buildMatcher(SearchService.parseQuery('acme* "net pay"'));
+    const snippets = SearchService.getSnippets({
+      originalFilename: 'acme-payslip.pdf',
+      keyValuePairs: [{ key: 'Employer', value: 'Acme Corp' }, { key: 'Net Pay', value: '$1,000' }],
+      extractedText: `${'x '.repeat(100)}Your net pay from ACME this month`
+    }, matcher);
+
+    assert.deepEqual(snippets.map(snippet => snippet.field), ['filename', 'value', 'text']);
+    assert.deepEqual(snippets[0].highlights, [{ start: 0, end: 4 }]);
+    assert.deepEqual(snippets[1].highlights, [{ start: 0, end: 4 }]);
+    const text = snippets[2];
+    assert.ok(text.text.startsWith('…'));
+    assert.deepEqual(text.highlights.map(({ start, end }) => text.text.substring(start, end)), ['net pay', 'ACME']);
+  });
+});
+
+describe('SearchService.search', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('counts every prefix match and pages past the ranked candidates', async () => {
+    const candidates = Array.from({ length: 500 }, (_, index) => ({ _id: `new${index}`, originalFilename: `acme${index}.pdf`, createdAt: new Date(2024, 0, 1, 0, 0, 500 - index) }));
+    const older = [{ _id: 'old0', originalFilename: 'acme-old.pdf', createdAt: new Date(2023, 0, 1) }];
+    const find = mock.method(FormData, 'find', () => (find.mock.callCount() === 0 ? query(candidates) : query(older)));
+    const count = mock.method(FormData, 'countDocuments', async () => 501);
+
+    const result = await SearchService.search('acme*', { page: '6', limit: '100' });
+
+    assert.deepEqual(count.mock.calls[0].arguments[0], { $and: [{ searchTerms: { $regex: '^acme' } }] });
+    assert.equal(result.total, 501);
+    assert.equal(result.totalPages, 6);
+    assert.deepEqual(result.documents.map(document => document._id), ['old0']);
+  });
+});
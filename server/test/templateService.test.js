@@ -0,0 +1,98 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const DocumentTemplate = require('../models/DocumentTemplate');
+const TemplateService = require('../services/templateService');
+
+const template = {
+  key: 'invoice',
+  name: 'Invoice',
+  fields: [
+    { name: 'Invoice Number', type: 'string', required: true },
+    { name: 'Total', type: 'amount', required: true },
+    { name: 'PO Number', type: 'string', required: false }
+  ]
+};
+
+describe('TemplateService.validateTemplate', () => {
+  it('keeps only the stored fields and fills in defaults', () => {
+    const validated = TemplateService.validateTemplate({
+      key: ' Invoice ',
+      name: 'Invoice ',
+      owner: 'ignored',
+      fields: [{ name: 'Total', type: 'AMOUNT', required: 'true' }, { name: 'Notes', description: ' Free text ' }]
+    });
+
+    assert.deepEqual(validated, {
+      key: 'invoice',
+      name: 'Invoice',
+      description: '',
+      fields: [
+        { name: 'Total', type: 'amount', required: true, description: '' },
+        { name: 'Notes', type: 'string', required: false, description: 'Free text' }
+      ]
+    });
+  });
+
+  it('rejects bad keys, missing fields, duplicates and unknown types', () => {
+    const rejects = (data, message) => assert.throws(() => TemplateService.validateTemplate(data), error => {
+      assert.equal(error.processingStep, 'TEMPLATE_VALIDATION');
+      assert.match(error.message, message);
+      return true;
+    });
+
+    rejects({ key: 'my invoice', name: 'Invoice', fields: [{ name: 'Total' }] }, /Template key is required/);
+    rejects({ key: 'invoice', name: 'Invoice', fields: [] }, /at least one field/);
+    rejects({ key: 'invoice', name: 'Invoice', fields: [{ name: 'Total' }, { name: 'total:' }] }, /"total:" is declared more than once/);
+    rejects({ key: 'invoice', name: 'Invoice', fields: [{ name: 'Total', type: 'money' }] }, /invalid type "money"/);
+  });
+});
+
+describe('TemplateService.applyTemplate', () => {
+  it('keeps the most confident pair per declared field, in template order', () => {
+    const result = TemplateService.applyTemplate([
+      { key: 'total', value: '$250.00', confidence: 0.6, page: 1 },
+      { key: 'Vendor', value: 'ACME' },
+      { key: 'invoice number:', value: 'INV-1001', confidence: 0.9 },
+      { key: 'TOTAL', value: '$250.00', confidence: 0.8, page: 2 }
+    ], template);
+
+    assert.deepEqual(result, {
+      keyValuePairs: [
+        { key: 'Invoice Number', value: 'INV-1001', confidence: 0.9 },
+        { key: 'Total', value: '$250.00', confidence: 0.8, page: 2 }
+      ],
+      missingFields: []
+    });
+  });
+
+  it('lists required fields without a value', () => {
+    const result = TemplateService.applyTemplate([{ key: 'Total', value: ' ' }], template);
+
+    assert.deepEqual(result, { keyValuePairs: [], missingFields: ['Invoice Number', 'Total'] });
+  });
+});
+
+describe('TemplateService.resolveTemplate', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('looks templates up by id or by key', async () => {
+    const byId = mock.method(DocumentTemplate, 'findById', async () => template);
+    const byKey = mock.method(DocumentTemplate, 'findOne', async () => template);
+
+    await TemplateService.resolveTemplate('65f0c0ffee0000000000abcd');
+    await TemplateService.resolveTemplate(' Invoice ');
+
+    assert.deepEqual(byId.mock.calls[0].arguments, ['65f0c0ffee0000000000abcd']);
+    assert.deepEqual(byKey.mock.calls[0].arguments, [{ key: 'invoice' }]);
+  });
+
+  it('fails the request for an unknown template', async () => {
+    mock.method(DocumentTemplate, 'findOne', async () => null);
+
+    await assert.rejects(TemplateService.resolveTemplate('receipt'), error => {
+      assert.equal(error.processingStep, 'TEMPLATE_SELECTION');
+      assert.equal(error.message, 'Document template "receipt" not found');
+      return true;
+    });
+  });
+});
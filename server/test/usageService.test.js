@@ -0,0 +1,73 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AI_PRICES = '{"llama3.1": {"input": 0, "output": 0}, "claude-sonnet-4-5-2025": {"input": 1, "output": 5}}';
+
+const FormData = require('../models/FormData');
+const ChatHistory = require('../models/ChatHistory');
+const UsageService = require('../services/usageService');
+
+describe('UsageService.estimateCost', () => {
+  it('prices by the longest matching model name', () => {
+    assert.equal(UsageService.estimateCost('claude-sonnet-4-5', 1000000, 100000), 4.5);
+    assert.equal(UsageService.estimateCost('claude-sonnet-4-5-20250929', 1000000, 100000), 1.5);
+    assert.equal(UsageService.estimateCost('gemini-2.5-flash', 2000, 1000), 0.0031);
+  });
+
+  it('prices configured free models at zero and unknown models at null', () => {
+    assert.equal(UsageService.estimateCost('llama3.1:8b', 5000, 500), 0);
+    assert.equal(UsageService.estimateCost('mistral-large', 5000, 500), null);
+    assert.equal(UsageService.createRecord({ operation: 'chat', provider: 'openai', model: 'mistral-large' }).cost, null);
+  });
+});
+
+describe('UsageService.summarize', () => {
+  it('adds up records and counts calls without a price', () => {
+    const summary = UsageService.summarize([
+      UsageService.createRecord({ operation: 'extraction', provider: 'claude', model: 'claude-sonnet-4-5', inputTokens: 1000, outputTokens: 200, latencyMs: 900 }),
+      UsageService.createRecord({ operation: 'classification', provider: 'openai', model: 'mistral-large', inputTokens: 500, outputTokens: 10, latencyMs: 300 })
+    ]);
+
+    assert.deepEqual(summary, { calls: 2, inputTokens: 1500, outputTokens: 210, cost: 0.006, unpricedCalls: 1, averageLatencyMs: 600 });
+  });
+});
+
+describe('UsageService.getUsage', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('merges document and chat usage into rollups', async () => {
+    const row = (day, provider, model, calls, cost) => ({
+      _id: { day, provider, model },
+      calls,
+      inputTokens: calls * 100,
+      outputTokens: calls * 10,
+      cost,
+      unpricedCalls: 0,
+      totalLatencyMs: calls * 500
+    });
+    const documents = mock.method(FormData, 'aggregate', async () => [
+      row('2024-03-04', 'claude', 'claude-sonnet-4-5', 2, 0.02),
+      row('2024-03-05', 'google', 'gemini-2.5-flash', 1, 0.001)
+    ]);
+    mock.method(ChatHistory, 'aggregate', async () => [row('2024-03-05', 'claude', 'claude-sonnet-4-5', 1, 0.01)]);
+
+    const usage = await UsageService.getUsage({ from: '2024-03-04', to: '2024-03-05' });
+
+    assert.deepEqual(documents.mock.calls[0].arguments[0][2], {
+      $match: { recordedAt: { $gte: new Date('2024-03-04T00:00:00Z'), $lt: new Date('2024-03-06T00:00:00Z') } }
+    });
+    assert.equal(usage.totals.calls, 4);
+    assert.equal(usage.totals.cost, 0.031);
+    assert.deepEqual(usage.bySource.map(({ source, calls }) => [source, calls]), [['documents', 3], ['chat', 1]]);
+    assert.deepEqual(usage.byDay.map(({ day, calls }) => [day, calls]), [['2024-03-05', 2], ['2024-03-04', 2]]);
+    assert.deepEqual(usage.byProvider.map(({ provider, cost }) => [provider, cost]), [['claude', 0.03], ['google', 0.001]]);
+  });
+
+  it('rejects malformed days', async () => {
+    await assert.rejects(UsageService.getUsage({ from: '03/04/2024' }), error => {
+      assert.equal(error.processingStep, 'USAGE_QUERY');
+      assert.equal(error.message, 'from must be a date in YYYY-MM-DD format');
+      return true;
+    });
+  });
+});
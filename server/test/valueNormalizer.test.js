@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ValueNormalizer = require('../services/valueNormalizer');
+
+const us = ValueNormalizer.getLocaleSettings('en-US');
+const de = ValueNormalizer.getLocaleSettings('de-DE');
+const gb = ValueNormalizer.getLocaleSettings('en-GB');
+
+describe('ValueNormalizer.parseNumber', () => {
+  it('reads grouping and decimal separators', () => {
+    assert.equal(ValueNormalizer.parseNumber('1,234.50', us), 1234.5);
+    assert.equal(ValueNormalizer.parseNumber('1.234,50', us), 1234.5);
+    assert.equal(ValueNormalizer.parseNumber('1 234,50', de), 1234.5);
+    assert.equal(ValueNormalizer.parseNumber('1,234,567', us), 1234567);
+    assert.equal(ValueNormalizer.parseNumber('1.234.567', de), 1234567);
+    assert.equal(ValueNormalizer.parseNumber('1,5', us), 1.5);
+  });
+
+  it('reads a lone separator before three digits by the locale', () => {
+    assert.equal(ValueNormalizer.parseNumber('1.234', us), 1.234);
+    assert.equal(ValueNormalizer.parseNumber('1.234', de), 1234);
+    assert.equal(ValueNormalizer.parseNumber('1,234', us), 1234);
+  });
+
+  it('reads negative numbers', () => {
+    assert.equal(ValueNormalizer.parseNumber('(12.00)', us), -12);
+    assert.equal(ValueNormalizer.parseNumber('-5', us), -5);
+    assert.equal(ValueNormalizer.parseNumber('5-', us), -5);
+  });
+
+  it('leaves anything that is not three-digit grouping as a string', () => {
+    for (const value of ['1.2.3', '10.0.0.1', '192.168.1.10', '12,34,567', '1,23.45', '1.234,567.89', '1.', 'abc', '']) {
+      assert.equal(ValueNormalizer.parseNumber(value, us), null, value);
+      assert.equal(ValueNormalizer.parseNumber(value, de), null, value);
+    }
+  });
+});
+
+describe('ValueNormalizer.parseDate', () => {
+  it('reads ISO and named-month dates', () => {
+    assert.equal(ValueNormalizer.parseDate('2024-03-04', us), '2024-03-04');
+    assert.equal(ValueNormalizer.parseDate('March 4, 2024', us), '2024-03-04');
+    assert.equal(ValueNormalizer.parseDate('4th Mar 2024', us), '2024-03-04');
+    assert.equal(ValueNormalizer.parseDate('04-Mar-2024', us), '2024-03-04');
+  });
+
+  it('orders numeric dates by the locale unless a part is above 12', () => {
+    assert.equal(ValueNormalizer.parseDate('03/04/2024', us), '2024-03-04');
+    assert.equal(ValueNormalizer.parseDate('03/04/2024', gb), '2024-04-03');
+    assert.equal(ValueNormalizer.parseDate('13/04/2024', us), '2024-04-13');
+  });
+
+  it('rejects impossible dates', () => {
+    assert.equal(ValueNormalizer.parseDate('02/30/2024', us), null);
+    assert.equal(ValueNormalizer.parseDate('2024-13-01', us), null);
+  });
+});
+
+describe('ValueNormalizer.parseAmount', () => {
+  it('takes the currency from a symbol or code, else the locale', () => {
+    assert.deepEqual(ValueNormalizer.parseAmount('€1.234,50', de, false), { amount: 1234.5, currency: 'EUR' });
+    assert.deepEqual(ValueNormalizer.parseAmount('1,000 GBP', us, false), { amount: 1000, currency: 'GBP' });
+    assert.deepEqual(ValueNormalizer.parseAmount('$5', ValueNormalizer.getLocaleSettings('en-CA'), false), { amount: 5, currency: 'CAD' });
+    assert.deepEqual(ValueNormalizer.parseAmount('500', de, false), { amount: 500, currency: 'EUR' });
+  });
+
+  it('needs a currency when asked to', () => {
+    assert.equal(ValueNormalizer.parseAmount('500', us, true), null);
+  });
+});
+
+describe('ValueNormalizer.parsePhone', () => {
+  it('normalizes to E.164', () => {
+    assert.equal(ValueNormalizer.parsePhone('(555) 123-4567', us), '+15551234567');
+    assert.equal(ValueNormalizer.parsePhone('+44 20 7946 0958', us), '+442079460958');
+    assert.equal(ValueNormalizer.parsePhone('020 7946 0958', gb), '+442079460958');
+    assert.equal(ValueNormalizer.parsePhone('555-1234 ext. 5', us), null);
+  });
+});
+
+describe('ValueNormalizer.normalizeValue', () => {
+  it('infers types from the key and the value', () => {
+    assert.deepEqual(ValueNormalizer.normalizeValue('Total', '$1,234.50'), { valueType: 'amount', normalizedValue: 1234.5, currency: 'USD' });
+    assert.deepEqual(ValueNormalizer.normalizeValue('Invoice Number', '20240304'), { valueType: 'identifier', normalizedValue: '20240304' });
+    assert.deepEqual(ValueNormalizer.normalizeValue('Date of Birth', '03/04/1990'), { valueType: 'date', normalizedValue: '1990-03-04' });
+    assert.deepEqual(ValueNormalizer.normalizeValue('Email', 'Jane@Example.com'), { valueType: 'email', normalizedValue: 'jane@example.com' });
+    assert.deepEqual(ValueNormalizer.normalizeValue('Pages', '12'), { valueType: 'number', normalizedValue: 12 });
+    assert.deepEqual(ValueNormalizer.normalizeValue('Zip', '02134'), { valueType: 'identifier', normalizedValue: '02134' });
+  });
+
+  it('keeps version numbers and IP addresses as strings', () => {
+    assert.deepEqual(ValueNormalizer.normalizeValue('Version', '1.2.3'), { valueType: 'string' });
+    assert.deepEqual(ValueNormalizer.normalizeValue('Server', '10.0.0.1'), { valueType: 'string' });
+  });
+
+  it('trusts a declared field type', () => {
+    assert.deepEqual(ValueNormalizer.normalizeValue('Agreed', 'x', { fieldType: 'boolean' }), { valueType: 'boolean', normalizedValue: true });
+    assert.deepEqual(ValueNormalizer.normalizeValue('Agreed', 'x'), { valueType: 'string' });
+  });
+
+  it('rejects an invalid locale', () => {
+    assert.throws(() => ValueNormalizer.normalizeValue('Total', '5', { locale: 'not a locale!' }), { processingStep: 'LOCALE_SELECTION' });
+  });
+});